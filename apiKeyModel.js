@@ -0,0 +1,82 @@
+// apiKeyModel.js
+const mongoose = require('mongoose');
+const { API_KEY_SCOPES } = require('./utils/apiKeys');
+
+// lastUsedAt is refreshed at most this often per key
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+/**
+ * A personal API key. Only the SHA-256 hash of the key is stored; the prefix
+ * identifies it in listings. Revoked keys are kept for the owner's records.
+ */
+const ApiKeySchema = new mongoose.Schema({
+  name: {
+    type: String, // e.g. what the key is used for
+    required: true,
+    maxlength: 100
+  },
+  prefix: {
+    type: String, // Start of the key, e.g. "cak_1a2b3c4d5e6f"
+    required: true,
+    immutable: true
+  },
+  keyHash: {
+    type: String,
+    required: true,
+    unique: true,
+    immutable: true,
+    select: false
+  },
+  scopes: {
+    type: [{ type: String, enum: API_KEY_SCOPES }],
+    validate: {
+      validator: scopes => scopes.length > 0,
+      message: 'An API key needs at least one scope'
+    },
+    immutable: true
+  },
+  expiresAt: {
+    type: Date, // null = never expires
+    default: null,
+    immutable: true
+  },
+  lastUsedAt: {
+    type: Date
+  },
+  revokedAt: {
+    type: Date
+  },
+  revokedBy: {
+    type: String
+  },
+  createdBy: {
+    type: String, // userId of the owner; requests made with the key act as this user
+    required: true,
+    immutable: true,
+    index: true
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+  versionKey: false
+});
+
+/**
+ * Note that a key was used, at most once per LAST_USED_RESOLUTION_MS
+ * @param {ObjectId|string} id - API key ID
+ * @returns {Promise}
+ */
+ApiKeySchema.statics.recordUse = function(id) {
+  const now = new Date();
+  return this.updateOne(
+    {
+      _id: id,
+      $or: [
+        { lastUsedAt: null },
+        { lastUsedAt: { $lt: new Date(now.getTime() - LAST_USED_RESOLUTION_MS) } }
+      ]
+    },
+    { $set: { lastUsedAt: now } }
+  );
+};
+
+module.exports = mongoose.model('ApiKey', ApiKeySchema);
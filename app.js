@@ -32,10 +32,23 @@ const {
   csrfTokenHandler,
   autoGenerateCSRF 
 } = require('./middleware/csrf');
+const { verifySignedRequest } = require('./middleware/signedRequest');
+const { authenticateApiKey } = require('./middleware/apiKey');
 
 // Import routes
 const chartRoutes = require('./routes/charts');
+const chartRevisionRoutes = require('./routes/chartRevisions');
 const authRoutes = require('./routes/auth');
+const embedRoutes = require('./routes/embed');
+const chartShareRoutes = require('./routes/chartShares');
+const sharedRoutes = require('./routes/shared');
+const dashboardRoutes = require('./routes/dashboards');
+const auditRoutes = require('./routes/audit');
+const webhookRoutes = require('./routes/webhooks');
+const apiKeyRoutes = require('./routes/apiKeys');
+const { getOpenApiDocument, listEndpoints } = require('./utils/openapi');
+const { startTrashSweep } = require('./utils/chartTrash');
+const { startWebhookRetries } = require('./utils/webhooks');
 
 // Create Express application
 const app = express();
@@ -46,6 +59,12 @@ const port = process.env.PORT || 3001;
 // Connect to MongoDB
 connectDB();
 
+// Purge charts that outlived their time in the trash
+startTrashSweep();
+
+// Retry webhook deliveries that failed
+startWebhookRetries();
+
 // =============================================================================
 // SECURITY MIDDLEWARE
 // =============================================================================
@@ -69,9 +88,9 @@ app.use(corsConfig);
 // Body parsing middleware with security-focused size limits
 app.use(express.json({ 
   limit: '2mb', // Reduced from 10mb for security
-  type: 'application/json',
+  type: ['application/json', 'application/json-patch+json', 'application/merge-patch+json'],
   verify: (req, res, buf) => {
-    // Store raw body for signature verification if needed
+    // Kept for signed service requests (middleware/signedRequest.js)
     req.rawBody = buf.toString();
   }
 }));
@@ -99,18 +118,36 @@ app.use(cookieParser());
 // Automatically generate CSRF token on first GET request
 app.use(autoGenerateCSRF);
 
-// CSRF token endpoint - clients can request a fresh token
+/**
+ * @route   GET /api/csrf-token
+ * @desc    Get a fresh CSRF token for the X-CSRF-Token header
+ * @access  Public
+ * @returns 200 token: string, expiresIn: string
+ */
 app.get('/api/csrf-token', csrfTokenHandler);
 
-// Apply CSRF validation to all API routes (except GET/HEAD/OPTIONS)
+// Authenticate signed service requests; they are exempt from CSRF validation
+app.use('/api', verifySignedRequest);
+
+// Authenticate API keys (Authorization: Bearer); they are exempt from CSRF validation too
+app.use('/api', authenticateApiKey);
+
+// Apply CSRF validation to all API routes (except GET/HEAD/OPTIONS, signed requests and API keys)
 app.use('/api', validateCSRF);
 
 // =============================================================================
 // ROUTES
 // =============================================================================
 
-// Basic health check route
+/**
+ * @route   GET /
+ * @desc    API health check and information
+ * @access  Public
+ * @returns 200 version: string, environment: string, timestamp: string, endpoints: object
+ */
 app.get('/', (req, res) => {
+  const endpoints = listEndpoints(getOpenApiDocument(app));
+
   res.json({ 
     success: true,
     message: 'Plotly Chart API Server is running!',
@@ -118,21 +155,9 @@ app.get('/', (req, res) => {
       version: '1.0.0',
       environment: process.env.NODE_ENV || 'development',
       timestamp: new Date().toISOString(),
-      endpoints: {
-        'GET /': 'API health check and information',
-        'GET /api/csrf-token': 'Get CSRF token for secure requests',
-        'GET /api/charts': 'Get all charts (with pagination)',
-        'GET /api/charts/:id': 'Get a specific chart by ID',
-        'GET /api/charts/:id/stats': 'Get chart statistics',
-        'POST /api/charts': 'Upload a new Plotly chart (requires CSRF token)',
-        'POST /api/charts/:id/duplicate': 'Duplicate an existing chart (requires CSRF token)',
-        'PUT /api/charts/:id': 'Update a specific chart (requires CSRF token)',
-        'DELETE /api/charts/:id': 'Delete a specific chart (requires CSRF token)',
-        'POST /api/auth/login': 'Login with email and password (requires CSRF token)',
-        'POST /api/auth/logout': 'Logout and clear authentication cookie (requires CSRF token)',
-        'GET /api/auth/me': 'Get current user information',
-        'GET /api/auth/status': 'Check authentication status'
-      }
+      endpoints: Object.fromEntries(
+        endpoints.map(endpoint => [`${endpoint.method} ${endpoint.path}`, endpoint.summary])
+      )
     },
     meta: {
       server: 'Express.js',
@@ -145,10 +170,25 @@ app.get('/', (req, res) => {
 });
 
 // API routes
+app.use('/api/charts/:id/revisions', chartRevisionRoutes);
+app.use('/api/charts/:id', chartShareRoutes);
 app.use('/api/charts', chartRoutes);
 app.use('/api/auth', authRoutes);
-
-// Health check endpoint for monitoring
+app.use('/api/shared', sharedRoutes);
+app.use('/api/dashboards', dashboardRoutes);
+app.use('/api/audit', auditRoutes);
+app.use('/api/webhooks', webhookRoutes);
+app.use('/api/api-keys', apiKeyRoutes);
+
+// Embeddable chart pages (own CSP; framing allowed from configured origins)
+app.use('/embed', embedRoutes);
+
+/**
+ * @route   GET /health
+ * @desc    Server health status for monitoring
+ * @access  Public
+ * @returns 200 application/json
+ */
 app.get('/health', (req, res) => {
   res.json({
     success: true,
@@ -160,7 +200,26 @@ app.get('/health', (req, res) => {
   });
 });
 
-// API documentation endpoint (basic)
+/**
+ * @route   GET /api/openapi.json
+ * @desc    OpenAPI 3.1 document, generated from the routes and their validators
+ *          (see utils/openapi.js)
+ * @access  Public
+ * @returns 200 application/json
+ */
+app.get('/api/openapi.json', (req, res) => {
+  res.json({
+    ...getOpenApiDocument(app),
+    servers: [{ url: `${req.protocol}://${req.get('host')}` }]
+  });
+});
+
+/**
+ * @route   GET /api
+ * @desc    API documentation: a summary of /api/openapi.json
+ * @access  Public
+ * @returns 200 version: string, baseUrl: string, openapi: string, endpoints: object[]
+ */
 app.get('/api', (req, res) => {
   res.json({
     success: true,
@@ -168,54 +227,8 @@ app.get('/api', (req, res) => {
     data: {
       version: '1.0.0',
       baseUrl: `${req.protocol}://${req.get('host')}`,
-      endpoints: [
-        {
-          method: 'GET',
-          path: '/api/charts',
-          description: 'Get all charts with pagination',
-          parameters: {
-            page: 'Page number (default: 1)',
-            limit: 'Items per page (default: 10, max: 100)',
-            sort: 'Sort field (createdAt, updatedAt, chartTitle)',
-            search: 'Search in title, description, and tags'
-          }
-        },
-        {
-          method: 'GET',
-          path: '/api/charts/:id',
-          description: 'Get a specific chart by ID',
-          parameters: {
-            id: 'Chart ID (MongoDB ObjectId)'
-          }
-        },
-        {
-          method: 'POST',
-          path: '/api/charts',
-          description: 'Create a new chart',
-          body: {
-            plotlyData: 'Required. Plotly chart configuration object',
-            chartTitle: 'Optional. Chart title (max 200 chars)',
-            description: 'Optional. Chart description (max 1000 chars)',
-            tags: 'Optional. Array of tags (max 10 items, 50 chars each)'
-          }
-        },
-        {
-          method: 'PUT',
-          path: '/api/charts/:id',
-          description: 'Update an existing chart',
-          parameters: {
-            id: 'Chart ID (MongoDB ObjectId)'
-          }
-        },
-        {
-          method: 'DELETE',
-          path: '/api/charts/:id',
-          description: 'Delete a chart',
-          parameters: {
-            id: 'Chart ID (MongoDB ObjectId)'
-          }
-        }
-      ]
+      openapi: '/api/openapi.json',
+      endpoints: listEndpoints(getOpenApiDocument(app))
     },
     meta: {
       timestamp: new Date().toISOString()
@@ -245,16 +258,9 @@ const server = app.listen(port, () => {
   console.log(`🔒 Security: Enhanced with helmet, rate limiting, and input validation`);
   console.log(`🛡️  Rate limits: 100 requests/15min general, 20 writes/15min`);
   console.log('\\n📋 Available endpoints:');
-  console.log('   GET  / - API information and health check');
-  console.log('   GET  /health - Server health status');
-  console.log('   GET  /api - API documentation');
-  console.log('   GET  /api/charts - Get all charts (paginated)');
-  console.log('   GET  /api/charts/:id - Get specific chart');
-  console.log('   GET  /api/charts/:id/stats - Get chart statistics');
-  console.log('   POST /api/charts - Upload new chart');
-  console.log('   POST /api/charts/:id/duplicate - Duplicate chart');
-  console.log('   PUT  /api/charts/:id - Update chart');
-  console.log('   DELETE /api/charts/:id - Delete chart');
+  listEndpoints(getOpenApiDocument(app)).forEach((endpoint) => {
+    console.log(`   ${endpoint.method.padEnd(6)} ${endpoint.path} - ${endpoint.summary}`);
+  });
   console.log('\\n📚 Ready to accept secure Plotly chart data!');
   console.log('🔐 Security features active: Input validation, rate limiting, CORS protection');
 });
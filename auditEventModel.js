@@ -0,0 +1,74 @@
+// auditEventModel.js
+const mongoose = require('mongoose');
+
+// Days audit events are kept (0 keeps them forever)
+const AUDIT_RETENTION_DAYS = parseInt(process.env.AUDIT_RETENTION_DAYS, 10) || 0;
+
+/**
+ * Record of one successful write: who made it, from where, and what changed
+ */
+const AuditEventSchema = new mongoose.Schema({
+  action: {
+    type: String, // e.g. chart.update (see AUDIT_ACTIONS in utils/audit.js)
+    required: true,
+    immutable: true
+  },
+  actor: {
+    type: {
+      type: String,
+      enum: ['user', 'service', 'apiKey', 'anonymous'],
+      required: true
+    },
+    id: { type: String }, // userId (also for API keys) or service:<keyId>
+    role: { type: String },
+    keyId: { type: String } // API key used, if any
+  },
+  ip: {
+    type: String,
+    immutable: true
+  },
+  userAgent: {
+    type: String,
+    immutable: true
+  },
+  chartId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Chart',
+    immutable: true
+  },
+  dashboardId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Dashboard',
+    immutable: true
+  },
+  changes: {
+    type: mongoose.Schema.Types.Mixed, // field => { from, to }; figures are summarised
+    immutable: true
+  },
+  details: {
+    type: mongoose.Schema.Types.Mixed, // Action-specific context (source chart, share ID, ...)
+    immutable: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    immutable: true
+  }
+}, {
+  versionKey: false
+});
+
+AuditEventSchema.index({ createdAt: -1 }, AUDIT_RETENTION_DAYS > 0
+  ? { expireAfterSeconds: AUDIT_RETENTION_DAYS * 24 * 60 * 60 }
+  : {});
+AuditEventSchema.index({ 'actor.id': 1, createdAt: -1 });
+AuditEventSchema.index({ chartId: 1, createdAt: -1 });
+AuditEventSchema.index({ action: 1, createdAt: -1 });
+
+// The audit log is append-only
+const rejectMutation = function() {
+  throw new Error('Audit events are immutable');
+};
+AuditEventSchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace'], rejectMutation);
+
+module.exports = mongoose.model('AuditEvent', AuditEventSchema);
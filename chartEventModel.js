@@ -0,0 +1,56 @@
+// chartEventModel.js
+const mongoose = require('mongoose');
+
+// Most recent events kept for Last-Event-ID resume
+const CHART_EVENT_BUFFER_SIZE = parseInt(process.env.CHART_EVENT_BUFFER_SIZE, 10) || 1000;
+
+/**
+ * A chart change published to GET /api/charts/events. The collection is capped,
+ * so it is a bounded buffer shared by every API instance: each instance tails
+ * it and forwards new events to its own clients.
+ */
+const ChartEventSchema = new mongoose.Schema({
+  seq: {
+    type: Number, // Increasing event number; the SSE event id
+    required: true
+  },
+  event: {
+    type: String, // chart.created, chart.updated, ...
+    required: true
+  },
+  chartId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  chart: {
+    type: mongoose.Schema.Types.Mixed, // Summary of the chart after the change (see summarizeChart)
+    required: true
+  },
+  extra: {
+    type: mongoose.Schema.Types.Mixed // Additional data, e.g. sourceChartId for duplicates
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  capped: { size: CHART_EVENT_BUFFER_SIZE * 16 * 1024, max: CHART_EVENT_BUFFER_SIZE },
+  versionKey: false
+});
+
+ChartEventSchema.index({ seq: 1 });
+
+/**
+ * Reserve the next event number (shared by all instances)
+ * @returns {Promise<number>}
+ */
+ChartEventSchema.statics.nextSeq = async function() {
+  const counter = await this.db.collection('counters').findOneAndUpdate(
+    { _id: 'chartEvents' },
+    { $inc: { seq: 1 } },
+    { upsert: true, returnDocument: 'after' }
+  );
+  return counter.seq;
+};
+
+module.exports = mongoose.model('ChartEvent', ChartEventSchema);
@@ -1,5 +1,7 @@
 // chartModel.js
 const mongoose = require('mongoose');
+const { extractSearchFields } = require('./utils/chartSearch');
+const { listTraceTypes, countDataPoints } = require('./utils/traceData');
 
 const ChartSchema = new mongoose.Schema({
   plotlyData: {
@@ -21,6 +23,47 @@ const ChartSchema = new mongoose.Schema({
   tags: [{
     type: String
   }],
+  visibility: {
+    type: String,
+    enum: ['private', 'public'],
+    default: 'public'
+  },
+  embedOrigins: [{
+    type: String // Origins allowed to frame /embed/:id, on top of EMBED_ALLOWED_ORIGINS
+  }],
+  // Derived from plotlyData by the hooks below, for search and filtering
+  searchFields: {
+    // Text for the full-text index
+    axisTitles: { type: [String], select: false },
+    traceNames: { type: [String], select: false }
+  },
+  traceTypes: {
+    type: [String],
+    index: true
+  },
+  dataPointCount: {
+    type: Number,
+    index: true
+  },
+  createdBy: {
+    type: String, // userId from the authenticated JWT
+    index: true
+  },
+  deletedAt: {
+    type: Date, // Set while the chart is in the trash; purged after CHART_TRASH_RETENTION_DAYS
+    default: null,
+    index: true
+  },
+  deletedBy: {
+    type: String
+  },
+  updatedBy: {
+    type: String
+  },
+  revision: {
+    type: Number, // Incremented on every update; prior states live in ChartRevision
+    default: 1
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -33,4 +76,53 @@ const ChartSchema = new mongoose.Schema({
   timestamps: true // Automatically handle createdAt and updatedAt
 });
 
+// Full-text search (?search=) over the chart's own text and the text inside plotlyData
+ChartSchema.index({
+  chartTitle: 'text',
+  description: 'text',
+  tags: 'text',
+  'searchFields.axisTitles': 'text',
+  'searchFields.traceNames': 'text'
+}, {
+  name: 'chart_text_search',
+  weights: {
+    chartTitle: 10,
+    tags: 5,
+    description: 3,
+    'searchFields.axisTitles': 2,
+    'searchFields.traceNames': 2
+  },
+  language_override: 'searchLanguage' // Not a chart field; keeps every chart on the default language
+});
+
+/**
+ * Fields derived from plotlyData
+ * @param {Object} plotlyData - Plotly figure
+ * @returns {Object} { searchFields, traceTypes, dataPointCount }
+ */
+const derivedFields = (plotlyData) => ({
+  searchFields: extractSearchFields(plotlyData),
+  traceTypes: listTraceTypes(plotlyData),
+  dataPointCount: countDataPoints(plotlyData)
+});
+
+// Validation runs for save() and insertMany(), so both keep the derived fields current
+ChartSchema.pre('validate', function(next) {
+  if (this.isNew || this.isModified('plotlyData')) {
+    this.set(derivedFields(this.plotlyData));
+  }
+  next();
+});
+
+ChartSchema.pre('findOneAndUpdate', function(next) {
+  const update = this.getUpdate() || {};
+  const plotlyData = update.$set?.plotlyData ?? update.plotlyData;
+  if (plotlyData !== undefined) {
+    this.set(derivedFields(plotlyData));
+  }
+  next();
+});
+
+ChartSchema.statics.derivedFields = derivedFields;
+
 module.exports = mongoose.model('Chart', ChartSchema);
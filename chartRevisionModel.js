@@ -0,0 +1,86 @@
+// chartRevisionModel.js
+const mongoose = require('mongoose');
+
+// Retention limits (per chart). Set to 0 to disable a limit.
+// (`|| 50` would turn 0 into 50, so unparsable or negative values fall back explicitly)
+const parsedRevisionLimit = parseInt(process.env.CHART_REVISION_LIMIT, 10);
+const REVISION_LIMIT = parsedRevisionLimit >= 0 ? parsedRevisionLimit : 50;
+const REVISION_MAX_AGE_DAYS = parseInt(process.env.CHART_REVISION_MAX_AGE_DAYS, 10) || 0;
+
+/**
+ * Immutable snapshot of a chart as it was before an update
+ */
+const ChartRevisionSchema = new mongoose.Schema({
+  chartId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Chart',
+    required: true,
+    immutable: true
+  },
+  rev: {
+    type: Number, // The chart's revision number at the time of the snapshot
+    required: true,
+    immutable: true
+  },
+  snapshot: {
+    type: mongoose.Schema.Types.Mixed, // Full prior chart document
+    required: true,
+    immutable: true
+  },
+  changedBy: {
+    type: String, // userId of whoever replaced this revision
+    immutable: true
+  },
+  changedAt: {
+    type: Date,
+    default: Date.now,
+    immutable: true
+  },
+  message: {
+    type: String,
+    immutable: true
+  }
+}, {
+  versionKey: false
+});
+
+// One snapshot per chart revision; also serialises concurrent writers
+ChartRevisionSchema.index({ chartId: 1, rev: -1 }, { unique: true });
+
+// Revisions are append-only
+const rejectMutation = function() {
+  throw new Error('Chart revisions are immutable');
+};
+ChartRevisionSchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace'], rejectMutation);
+
+/**
+ * Delete revisions of a chart that fall outside the retention limits
+ * @param {ObjectId|string} chartId
+ * @returns {Promise<number>} Number of revisions removed
+ */
+ChartRevisionSchema.statics.prune = async function(chartId) {
+  let removed = 0;
+
+  if (REVISION_LIMIT > 0) {
+    const cutoff = await this.findOne({ chartId })
+      .sort({ rev: -1 })
+      .skip(REVISION_LIMIT - 1)
+      .select('rev')
+      .lean();
+
+    if (cutoff) {
+      const result = await this.deleteMany({ chartId, rev: { $lt: cutoff.rev } });
+      removed += result.deletedCount;
+    }
+  }
+
+  if (REVISION_MAX_AGE_DAYS > 0) {
+    const oldest = new Date(Date.now() - REVISION_MAX_AGE_DAYS * 24 * 60 * 60 * 1000);
+    const result = await this.deleteMany({ chartId, changedAt: { $lt: oldest } });
+    removed += result.deletedCount;
+  }
+
+  return removed;
+};
+
+module.exports = mongoose.model('ChartRevision', ChartRevisionSchema);
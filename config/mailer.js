@@ -0,0 +1,61 @@
+/**
+ * Pluggable Mailer
+ *
+ * The API never talks to an SMTP server directly. Outgoing mail goes through
+ * whichever transport is registered with setMailer(). A transport is any
+ * object with an async `sendMail({ to, subject, text, html })` method, so
+ * nodemailer transports work as-is and tests can register a stub.
+ *
+ * Without a registered transport, outside production the recipient and
+ * subject are logged to the console. The body is never logged because it can
+ * carry secrets such as password reset tokens. In production the console
+ * transport refuses to send, so a missing transport fails closed.
+ */
+
+const consoleTransport = {
+  sendMail: async (message) => {
+    if (process.env.NODE_ENV === 'production') {
+      throw new Error('No mail transport registered; call setMailer() before sending mail in production');
+    }
+    console.log('📧 Mail (console transport, body not logged):', JSON.stringify({
+      to: message.to,
+      subject: message.subject
+    }, null, 2));
+    return { delivered: false, transport: 'console' };
+  }
+};
+
+let transport = consoleTransport;
+
+/**
+ * Register the transport used for outgoing mail
+ * @param {Object|null} newTransport - Object with an async sendMail(message) method, or null to reset
+ */
+const setMailer = (newTransport) => {
+  if (newTransport && typeof newTransport.sendMail !== 'function') {
+    throw new Error('Mail transport must implement sendMail(message)');
+  }
+  transport = newTransport || consoleTransport;
+};
+
+/**
+ * Get the currently registered transport
+ * @returns {Object} Mail transport
+ */
+const getMailer = () => transport;
+
+/**
+ * Send a message through the registered transport
+ * @param {Object} message - { to, subject, text, html }
+ * @returns {Promise<Object>} Transport-specific result
+ */
+const sendMail = (message) => {
+  const from = process.env.MAIL_FROM || 'no-reply@localhost';
+  return transport.sendMail({ from, ...message });
+};
+
+module.exports = {
+  setMailer,
+  getMailer,
+  sendMail
+};
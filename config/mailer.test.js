@@ -0,0 +1,49 @@
+const { sendMail, setMailer, getMailer } = require('./mailer');
+
+describe('mailer', () => {
+  const originalEnv = process.env.NODE_ENV;
+
+  afterEach(() => {
+    process.env.NODE_ENV = originalEnv;
+    setMailer(null);
+    jest.restoreAllMocks();
+  });
+
+  test('sends through a registered transport with the default sender', async () => {
+    const transport = { sendMail: jest.fn().mockResolvedValue({ delivered: true }) };
+    setMailer(transport);
+
+    await sendMail({ to: 'ada@example.com', subject: 'Hi', text: 'secret' });
+
+    expect(getMailer()).toBe(transport);
+    expect(transport.sendMail).toHaveBeenCalledWith(expect.objectContaining({
+      from: expect.any(String),
+      to: 'ada@example.com',
+      text: 'secret'
+    }));
+  });
+
+  test('rejects transports without sendMail', () => {
+    expect(() => setMailer({})).toThrow('sendMail');
+  });
+
+  test('console transport never logs the message body', async () => {
+    process.env.NODE_ENV = 'development';
+    const log = jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    await sendMail({ to: 'ada@example.com', subject: 'Reset', text: 'token 1234abcd' });
+
+    const output = log.mock.calls.flat().join(' ');
+    expect(output).toContain('ada@example.com');
+    expect(output).not.toContain('1234abcd');
+  });
+
+  test('console transport refuses to send in production', async () => {
+    process.env.NODE_ENV = 'production';
+    const log = jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    await expect(sendMail({ to: 'ada@example.com', subject: 'Reset', text: 'token' }))
+      .rejects.toThrow('No mail transport registered');
+    expect(log).not.toHaveBeenCalled();
+  });
+});
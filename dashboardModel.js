@@ -0,0 +1,93 @@
+// dashboardModel.js
+const mongoose = require('mongoose');
+
+/**
+ * One chart placed on the dashboard grid. Positions and sizes are in grid
+ * cells; `overrides` change how the chart is shown on this dashboard only.
+ */
+const TileSchema = new mongoose.Schema({
+  chartId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Chart',
+    required: true
+  },
+  x: { type: Number, required: true, min: 0 },
+  y: { type: Number, required: true, min: 0 },
+  w: { type: Number, required: true, min: 1 },
+  h: { type: Number, required: true, min: 1 },
+  overrides: {
+    title: { type: String, maxlength: 200 }, // Replaces the chart title on this tile
+    height: { type: Number }, // Fixed plot height in pixels
+    traces: [{ type: String }] // Trace indexes or names to show (default: all)
+  },
+  chartRemovedAt: {
+    type: Date // Set when the referenced chart is deleted; the tile stays until the owner removes it
+  }
+});
+
+const DashboardSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: true,
+    maxlength: 200
+  },
+  description: {
+    type: String,
+    maxlength: 1000
+  },
+  visibility: {
+    type: String,
+    enum: ['private', 'public'],
+    default: 'public'
+  },
+  columns: {
+    type: Number, // Width of the grid in cells
+    default: 12,
+    min: 1
+  },
+  tiles: [TileSchema],
+  createdBy: {
+    type: String, // userId from the authenticated JWT
+    index: true
+  },
+  updatedBy: {
+    type: String
+  }
+}, {
+  timestamps: true
+});
+
+// Find the dashboards showing a chart (chart deletion marks their tiles)
+DashboardSchema.index({ 'tiles.chartId': 1 });
+
+/**
+ * Mark the tiles showing a chart that was deleted or moved to the trash
+ * @param {ObjectId|string} chartId
+ * @returns {Promise<number>} Number of dashboards affected
+ */
+DashboardSchema.statics.markChartRemoved = async function(chartId) {
+  const id = new mongoose.Types.ObjectId(String(chartId));
+  const result = await this.updateMany(
+    { 'tiles.chartId': id },
+    { $set: { 'tiles.$[tile].chartRemovedAt': new Date() } },
+    { arrayFilters: [{ 'tile.chartId': id, 'tile.chartRemovedAt': null }], timestamps: false }
+  );
+  return result.modifiedCount;
+};
+
+/**
+ * Clear the marker on tiles showing a chart restored from the trash
+ * @param {ObjectId|string} chartId
+ * @returns {Promise<number>} Number of dashboards affected
+ */
+DashboardSchema.statics.markChartRestored = async function(chartId) {
+  const id = new mongoose.Types.ObjectId(String(chartId));
+  const result = await this.updateMany(
+    { 'tiles.chartId': id },
+    { $unset: { 'tiles.$[tile].chartRemovedAt': '' } },
+    { arrayFilters: [{ 'tile.chartId': id }], timestamps: false }
+  );
+  return result.modifiedCount;
+};
+
+module.exports = mongoose.model('Dashboard', DashboardSchema);
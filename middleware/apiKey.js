@@ -0,0 +1,100 @@
+const ApiKey = require('../apiKeyModel');
+const User = require('../userModel');
+const { API_KEY_PREFIX, hashApiKey, isApiKeyFormat, requiredScope, hasScope } = require('../utils/apiKeys');
+
+/**
+ * API Key Authentication
+ *
+ * Requests with "Authorization: Bearer <key>" act as the key's owner:
+ * req.user = { userId, email, name, role, apiKeyId } and
+ * req.apiKey = { id, prefix, scopes }. The role is only 'admin' when the key
+ * has the admin scope and its owner is still an admin. Keys are sent
+ * explicitly, so these requests skip CSRF validation. Requests without an
+ * Authorization header, or whose credentials are not an API key (another
+ * scheme, or a bearer token without the "cak_" prefix), pass through untouched
+ * to the session authentication.
+ */
+
+// Sessions and keys are managed with a session cookie only (paths below /api)
+const SESSION_ONLY_PATHS = ['/auth', '/api-keys'];
+
+/**
+ * Reject a request whose API key cannot be accepted
+ */
+const rejectApiKey = (res, status, message, code) => {
+  return res.status(status).json({
+    success: false,
+    error: message,
+    code
+  });
+};
+
+/**
+ * Authenticate API keys (mount on /api before CSRF validation)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const authenticateApiKey = async (req, res, next) => {
+  const authorization = req.get('authorization');
+
+  if (authorization === undefined || req.signedRequest) {
+    return next();
+  }
+
+  const [scheme, key] = authorization.trim().split(/\s+/);
+  if (!/^bearer$/i.test(scheme) || !key || !key.startsWith(API_KEY_PREFIX)) {
+    return next();
+  }
+
+  try {
+    if (!isApiKeyFormat(key)) {
+      return rejectApiKey(res, 401, 'Malformed API key', 'INVALID_API_KEY');
+    }
+
+    const apiKey = await ApiKey.findOne({ keyHash: hashApiKey(key) }).lean();
+    if (!apiKey || apiKey.revokedAt) {
+      return rejectApiKey(res, 401, 'Invalid or revoked API key', 'INVALID_API_KEY');
+    }
+    if (apiKey.expiresAt && apiKey.expiresAt <= new Date()) {
+      return rejectApiKey(res, 401, 'API key has expired', 'INVALID_API_KEY');
+    }
+
+    // Deleted users' keys stop working; demoted admins lose the admin role
+    const owner = await User.findById(apiKey.createdBy).select('email name role').lean();
+    if (!owner) {
+      return rejectApiKey(res, 401, 'Invalid or revoked API key', 'INVALID_API_KEY');
+    }
+
+    if (SESSION_ONLY_PATHS.some(path => req.path === path || req.path.startsWith(`${path}/`))) {
+      return rejectApiKey(res, 403, 'API keys cannot be used to manage sessions or API keys', 'INSUFFICIENT_SCOPE');
+    }
+
+    const scope = requiredScope(req.method);
+    if (!hasScope(apiKey.scopes, scope)) {
+      return rejectApiKey(res, 403, `API key lacks the ${scope} scope`, 'INSUFFICIENT_SCOPE');
+    }
+
+    ApiKey.recordUse(apiKey._id).catch((error) => {
+      console.error('Failed to record API key use:', error.message);
+    });
+
+    req.user = {
+      userId: String(owner._id),
+      email: owner.email,
+      name: owner.name,
+      role: apiKey.scopes.includes('admin') && owner.role === 'admin' ? 'admin' : 'user',
+      apiKeyId: String(apiKey._id)
+    };
+    req.apiKey = { id: String(apiKey._id), prefix: apiKey.prefix, scopes: apiKey.scopes };
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  SESSION_ONLY_PATHS,
+  authenticateApiKey
+};
@@ -0,0 +1,99 @@
+const express = require('express');
+const request = require('supertest');
+const ApiKey = require('../apiKeyModel');
+const User = require('../userModel');
+const { generateApiKey, hasScope } = require('../utils/apiKeys');
+const { authenticateApiKey } = require('./apiKey');
+
+const OWNER_ID = '64b000000000000000000001';
+
+const buildApp = () => {
+  const app = express();
+  app.use('/api', authenticateApiKey);
+  app.all('/api/charts', (req, res) => {
+    res.json({ user: req.user || null, apiKey: req.apiKey || null });
+  });
+  return app;
+};
+
+/**
+ * Stub the key lookup with a stored key carrying the given scopes
+ */
+const storeKey = (scopes, ownerRole = 'user') => {
+  const { key, prefix, keyHash } = generateApiKey();
+  jest.spyOn(ApiKey, 'findOne').mockImplementation((filter) => ({
+    lean: async () => (filter.keyHash === keyHash
+      ? { _id: '64b0000000000000000000aa', prefix, keyHash, scopes, createdBy: OWNER_ID, revokedAt: null, expiresAt: null }
+      : null)
+  }));
+  jest.spyOn(User, 'findById').mockImplementation(() => ({
+    select() { return this; },
+    lean: async () => ({ _id: OWNER_ID, email: 'ada@example.com', name: 'Ada', role: ownerRole })
+  }));
+  jest.spyOn(ApiKey, 'recordUse').mockResolvedValue();
+  return key;
+};
+
+describe('authenticateApiKey', () => {
+  let app;
+
+  beforeEach(() => {
+    app = buildApp();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('passes requests without an API key through to session auth', async () => {
+    const findOne = jest.spyOn(ApiKey, 'findOne');
+
+    for (const authorization of ['Bearer eyJhbGciOiJIUzI1NiJ9.e30.sig', 'Basic dXNlcjpwYXNz']) {
+      const res = await request(app).get('/api/charts').set('Authorization', authorization);
+      expect(res.status).toBe(200);
+      expect(res.body.user).toBeNull();
+    }
+    expect(findOne).not.toHaveBeenCalled();
+  });
+
+  test('rejects malformed and unknown API keys', async () => {
+    storeKey(['charts:read']);
+
+    let res = await request(app).get('/api/charts').set('Authorization', 'Bearer cak_nothex');
+    expect(res.status).toBe(401);
+
+    res = await request(app).get('/api/charts').set('Authorization', `Bearer ${generateApiKey().key}`);
+    expect(res.status).toBe(401);
+    expect(res.body.code).toBe('INVALID_API_KEY');
+  });
+
+  test('checks the scope for the request method', async () => {
+    const key = storeKey(['charts:read']);
+
+    let res = await request(app).get('/api/charts').set('Authorization', `Bearer ${key}`);
+    expect(res.status).toBe(200);
+    expect(res.body.user).toMatchObject({ userId: OWNER_ID, role: 'user' });
+
+    res = await request(app).post('/api/charts').set('Authorization', `Bearer ${key}`);
+    expect(res.status).toBe(403);
+    expect(res.body.code).toBe('INSUFFICIENT_SCOPE');
+  });
+
+  test('lets the admin scope read and write with the admin role', async () => {
+    const key = storeKey(['admin'], 'admin');
+
+    for (const method of ['get', 'post']) {
+      const res = await request(app)[method]('/api/charts').set('Authorization', `Bearer ${key}`);
+      expect(res.status).toBe(200);
+      expect(res.body.user.role).toBe('admin');
+    }
+  });
+});
+
+describe('hasScope', () => {
+  test('admin covers the narrower scopes', () => {
+    expect(hasScope(['admin'], 'charts:read')).toBe(true);
+    expect(hasScope(['admin'], 'charts:write')).toBe(true);
+    expect(hasScope(['charts:read'], 'charts:write')).toBe(false);
+  });
+});
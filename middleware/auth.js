@@ -1,4 +1,6 @@
 const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const User = require('../userModel');
 const { createError } = require('./errorHandler');
 
 // JWT Configuration
@@ -31,6 +33,24 @@ const verifyToken = (token) => {
   });
 };
 
+/**
+ * Whether a token was issued before its user's last password change or reset
+ * (iat has second precision, so a token from the same second is still accepted)
+ * @param {Object} decoded - Verified token payload
+ * @returns {Promise<boolean>}
+ */
+const isTokenRevoked = async (decoded) => {
+  if (!mongoose.isValidObjectId(decoded.userId)) {
+    return false;
+  }
+
+  const user = await User.findById(decoded.userId).select('passwordChangedAt').lean();
+  if (!user || !user.passwordChangedAt) {
+    return false;
+  }
+  return decoded.iat < Math.floor(user.passwordChangedAt.getTime() / 1000);
+};
+
 /**
  * Set secure httpOnly cookie with JWT token
  * @param {Object} res - Express response object
@@ -67,7 +87,12 @@ const clearAuthCookie = (res) => {
  * @param {Object} res - Express response object
  * @param {Function} next - Express next function
  */
-const authenticateToken = (req, res, next) => {
+const authenticateToken = async (req, res, next) => {
+  // Already authenticated by a verified request signature or an API key
+  if (req.signedRequest || req.apiKey) {
+    return next();
+  }
+
   try {
     // Get token from httpOnly cookie
     const token = req.cookies[COOKIE_NAME];
@@ -78,6 +103,16 @@ const authenticateToken = (req, res, next) => {
     
     // Verify token
     const decoded = verifyToken(token);
+
+    // Changing or resetting the password signs out every earlier session
+    if (await isTokenRevoked(decoded)) {
+      clearAuthCookie(res);
+      return res.status(401).json({
+        success: false,
+        error: 'Session ended by a password change',
+        action: 'login_required'
+      });
+    }
     
     // Add user info to request object
     req.user = decoded;
@@ -115,19 +150,41 @@ const authenticateToken = (req, res, next) => {
   }
 };
 
+/**
+ * Authorization middleware - only admins may continue (use after authenticateToken)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const requireAdmin = (req, res, next) => {
+  if (!req.user || req.user.role !== 'admin') {
+    return res.status(403).json({
+      success: false,
+      error: 'Admin privileges required'
+    });
+  }
+  next();
+};
+
 /**
  * Optional authentication middleware - doesn't require authentication but adds user info if available
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  * @param {Function} next - Express next function
  */
-const optionalAuth = (req, res, next) => {
+const optionalAuth = async (req, res, next) => {
+  if (req.signedRequest || req.apiKey) {
+    return next();
+  }
+
   try {
     const token = req.cookies[COOKIE_NAME];
     
     if (token) {
       const decoded = verifyToken(token);
-      req.user = decoded;
+      if (!(await isTokenRevoked(decoded))) {
+        req.user = decoded;
+      }
     }
     
     next();
@@ -139,47 +196,37 @@ const optionalAuth = (req, res, next) => {
 };
 
 /**
- * Demo login function - creates a demo user token
- * In a real application, this would verify credentials against a database
- * @param {string} username - Username (demo purposes)
- * @param {string} password - Password (demo purposes)
- * @returns {Object} User data and token
+ * Build the JWT payload for a user document (never includes the password)
+ * @param {Object} user - User document
+ * @returns {Object} Token payload
  */
-const demoLogin = (username, password) => {
-  // Demo users for testing - In production, verify against database
-  const demoUsers = {
-    'demo@example.com': {
-      id: 'demo-user-123',
-      email: 'demo@example.com',
-      name: 'Demo User',
-      role: 'user',
-      password: 'demo123' // In production, use hashed passwords
-    },
-    'admin@example.com': {
-      id: 'admin-user-456',
-      email: 'admin@example.com',
-      name: 'Admin User',
-      role: 'admin',
-      password: 'admin123'
-    }
-  };
-  
-  const user = demoUsers[username];
-  if (!user || user.password !== password) {
-    throw createError(401, 'Invalid credentials');
-  }
-  
-  // Create JWT payload (don't include password)
-  const payload = {
-    userId: user.id,
+const buildTokenPayload = (user) => {
+  return {
+    userId: user._id.toString(),
     email: user.email,
     name: user.name,
     role: user.role,
     iat: Math.floor(Date.now() / 1000) // Issued at timestamp
   };
-  
+};
+
+/**
+ * Verify credentials against the users collection and issue a token
+ * @param {string} email - User email address
+ * @param {string} password - Plaintext password
+ * @returns {Promise<Object>} User payload and token
+ */
+const loginUser = async (email, password) => {
+  const user = await User.findOne({ email: String(email).toLowerCase() }).select('+password');
+
+  // Same error for unknown email and wrong password to avoid account enumeration
+  if (!user || !(await user.comparePassword(password))) {
+    throw createError(401, 'Invalid credentials');
+  }
+
+  const payload = buildTokenPayload(user);
   const token = generateToken(payload);
-  
+
   return {
     user: payload,
     token
@@ -192,6 +239,8 @@ module.exports = {
   setAuthCookie,
   clearAuthCookie,
   authenticateToken,
+  requireAdmin,
   optionalAuth,
-  demoLogin
+  buildTokenPayload,
+  loginUser
 };
\ No newline at end of file
@@ -0,0 +1,156 @@
+const { createError } = require('./errorHandler');
+
+/**
+ * Chart Access Control Helpers
+ *
+ * Ownership and visibility rules shared by the chart routes.
+ * Charts created before ownership was tracked have no `createdBy`
+ * and no `visibility`; they are treated as public and admin-managed.
+ * Dashboards follow the same rules.
+ */
+
+const VISIBILITY_OPTIONS = ['private', 'public'];
+
+/**
+ * Check whether a user has the admin role
+ * @param {Object} user - Decoded JWT payload from req.user
+ * @returns {boolean}
+ */
+const isAdmin = (user) => !!user && user.role === 'admin';
+
+/**
+ * Check whether a user owns a chart
+ * @param {Object} chart - Chart document (lean or hydrated)
+ * @param {Object} user - Decoded JWT payload from req.user
+ * @returns {boolean}
+ */
+const isOwner = (chart, user) => {
+  return !!user && !!chart.createdBy && String(chart.createdBy) === String(user.userId);
+};
+
+/**
+ * Check whether a user may read a chart
+ * @param {Object} chart - Chart document
+ * @param {Object} [user] - Decoded JWT payload from req.user
+ * @returns {boolean}
+ */
+const canReadChart = (chart, user) => {
+  return chart.visibility !== 'private' || isOwner(chart, user) || isAdmin(user);
+};
+
+/**
+ * Check whether a user may modify or delete a chart
+ * @param {Object} chart - Chart document
+ * @param {Object} [user] - Decoded JWT payload from req.user
+ * @returns {boolean}
+ */
+const canModifyChart = (chart, user) => {
+  return isOwner(chart, user) || isAdmin(user);
+};
+
+/**
+ * Build a MongoDB filter restricting results to charts the user may read
+ * @param {Object} [user] - Decoded JWT payload from req.user
+ * @returns {Object} MongoDB filter (empty for admins)
+ */
+const buildReadFilter = (user) => {
+  if (isAdmin(user)) {
+    return {};
+  }
+
+  const visible = [{ visibility: { $ne: 'private' } }];
+  if (user && user.userId) {
+    visible.push({ createdBy: String(user.userId) });
+  }
+
+  return { $or: visible };
+};
+
+/**
+ * Throw a 404 unless the user may read the chart.
+ * Private charts are reported as missing so their existence is not leaked,
+ * and so are charts in the trash (select `deletedAt` when loading).
+ * @param {Object} chart - Chart document or null
+ * @param {Object} [user] - Decoded JWT payload from req.user
+ */
+const assertCanRead = (chart, user) => {
+  if (!chart || chart.deletedAt || !canReadChart(chart, user)) {
+    throw createError(404, 'Chart not found');
+  }
+};
+
+/**
+ * Throw a 404/403 unless the user may modify the chart
+ * @param {Object} chart - Chart document or null
+ * @param {Object} user - Decoded JWT payload from req.user
+ */
+const assertCanModify = (chart, user) => {
+  assertCanRead(chart, user);
+
+  if (!canModifyChart(chart, user)) {
+    throw createError(403, 'Only the chart owner or an admin can modify this chart');
+  }
+};
+
+/**
+ * Throw a 404 unless the user may read the dashboard
+ * @param {Object} dashboard - Dashboard document or null
+ * @param {Object} [user] - Decoded JWT payload from req.user
+ */
+const assertCanReadDashboard = (dashboard, user) => {
+  if (!dashboard || !canReadChart(dashboard, user)) {
+    throw createError(404, 'Dashboard not found');
+  }
+};
+
+/**
+ * Throw a 404/403 unless the user may modify the dashboard
+ * @param {Object} dashboard - Dashboard document or null
+ * @param {Object} user - Decoded JWT payload from req.user
+ */
+const assertCanModifyDashboard = (dashboard, user) => {
+  assertCanReadDashboard(dashboard, user);
+
+  if (!canModifyChart(dashboard, user)) {
+    throw createError(403, 'Only the dashboard owner or an admin can modify this dashboard');
+  }
+};
+
+/**
+ * Throw a 404 unless the user owns the webhook or is an admin
+ * @param {Object} webhook - Webhook document or null
+ * @param {Object} [user] - Decoded JWT payload from req.user
+ */
+const assertCanManageWebhook = (webhook, user) => {
+  // Other users' webhooks are reported as missing
+  if (!webhook || !canModifyChart(webhook, user)) {
+    throw createError(404, 'Webhook not found');
+  }
+};
+
+/**
+ * Throw a 404 unless the user owns the API key or is an admin
+ * @param {Object} apiKey - ApiKey document or null
+ * @param {Object} [user] - Decoded JWT payload from req.user
+ */
+const assertCanManageApiKey = (apiKey, user) => {
+  // Other users' keys are reported as missing
+  if (!apiKey || !canModifyChart(apiKey, user)) {
+    throw createError(404, 'API key not found');
+  }
+};
+
+module.exports = {
+  VISIBILITY_OPTIONS,
+  isAdmin,
+  isOwner,
+  canReadChart,
+  canModifyChart,
+  buildReadFilter,
+  assertCanRead,
+  assertCanModify,
+  assertCanReadDashboard,
+  assertCanModifyDashboard,
+  assertCanManageWebhook,
+  assertCanManageApiKey
+};
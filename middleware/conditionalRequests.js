@@ -0,0 +1,148 @@
+const crypto = require('crypto');
+const { createError } = require('./errorHandler');
+
+/**
+ * Conditional Request Helpers (RFC 9110 §13)
+ *
+ * Charts carry a strong ETag built from their ID and revision number, which
+ * changes on every write. Reads honour If-None-Match / If-Modified-Since
+ * (304) and writes honour If-Match (412).
+ *
+ * Other representations of a chart (selected fields, stats, CSV, SVG, embed
+ * page) get their own tag: the revision plus the view and its options, e.g.
+ * "<id>-r3-svg.Xc2f9a1Qe0", so a cached body is only revalidated for the
+ * same view.
+ */
+
+/**
+ * Strong ETag for a chart document or one of its representations
+ * @param {Object} chart - Chart document (needs _id and revision)
+ * @param {Object} [representation] - { view, ...options } for anything but the full chart JSON
+ * @returns {string} Quoted ETag
+ */
+const chartETag = (chart, representation) => {
+  const base = `${chart._id}-r${chart.revision || 1}`;
+  if (!representation) {
+    return `"${base}"`;
+  }
+
+  const { view, ...options } = representation;
+  const set = Object.entries(options)
+    .filter(([, value]) => value !== undefined && value !== null && value !== '')
+    .sort(([a], [b]) => a.localeCompare(b));
+  const suffix = set.length > 0
+    ? `.${crypto.createHash('sha1').update(JSON.stringify(set)).digest('base64url').slice(0, 10)}`
+    : '';
+  return `"${base}-${view}${suffix}"`;
+};
+
+/**
+ * Strong ETag for an arbitrary JSON payload (e.g. a list page)
+ * @param {*} payload - JSON-serialisable value
+ * @returns {string} Quoted ETag
+ */
+const payloadETag = (payload) => {
+  const hash = crypto.createHash('sha1').update(JSON.stringify(payload)).digest('base64url');
+  return `"${hash}"`;
+};
+
+/**
+ * Cache validators for a chart
+ * @param {Object} chart - Chart document
+ * @param {Object} [representation] - See chartETag
+ * @returns {{ etag: string, lastModified: Date|undefined }}
+ */
+const chartValidators = (chart, representation) => ({
+  etag: chartETag(chart, representation),
+  lastModified: chart.updatedAt ? new Date(chart.updatedAt) : undefined
+});
+
+/**
+ * Parse an If-Match / If-None-Match header into a list of entity tags
+ * @param {string} header
+ * @returns {Array<string>|'*'}
+ */
+const parseETagList = (header) => {
+  if (header.trim() === '*') {
+    return '*';
+  }
+  return header.split(',').map(tag => tag.trim()).filter(Boolean);
+};
+
+const stripWeak = (tag) => tag.replace(/^W\//, '');
+
+/**
+ * Set ETag, Last-Modified and revalidation headers on a response
+ * @param {Object} res - Express response object
+ * @param {Object} validators - { etag, lastModified }
+ */
+const setCacheValidators = (res, { etag, lastModified }) => {
+  if (etag) {
+    res.set('ETag', etag);
+  }
+  if (lastModified) {
+    res.set('Last-Modified', lastModified.toUTCString());
+  }
+  // Responses depend on the caller's session, and must be revalidated before reuse
+  res.set('Cache-Control', 'private, no-cache');
+};
+
+/**
+ * Evaluate If-None-Match / If-Modified-Since for a GET or HEAD request
+ * @param {Object} req - Express request object
+ * @param {Object} validators - { etag, lastModified }
+ * @returns {boolean} True when a 304 should be sent
+ */
+const isNotModified = (req, { etag, lastModified }) => {
+  if (!['GET', 'HEAD'].includes(req.method)) {
+    return false;
+  }
+
+  const ifNoneMatch = req.get('If-None-Match');
+  if (ifNoneMatch) {
+    // If-None-Match takes precedence and uses weak comparison
+    const tags = parseETagList(ifNoneMatch);
+    return tags === '*' || (!!etag && tags.some(tag => stripWeak(tag) === stripWeak(etag)));
+  }
+
+  const ifModifiedSince = req.get('If-Modified-Since');
+  if (ifModifiedSince && lastModified) {
+    const since = Date.parse(ifModifiedSince);
+    // HTTP dates have one-second resolution
+    return !Number.isNaN(since) && Math.floor(lastModified.getTime() / 1000) * 1000 <= since;
+  }
+
+  return false;
+};
+
+/**
+ * Enforce If-Match for a state-changing request.
+ * Requests without If-Match are allowed through unchanged.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {string} etag - Current ETag of the target resource
+ */
+const assertIfMatch = (req, res, etag) => {
+  const ifMatch = req.get('If-Match');
+  if (!ifMatch) {
+    return;
+  }
+
+  // If-Match uses strong comparison, so weak tags never match
+  const tags = parseETagList(ifMatch);
+  if (tags === '*' || tags.includes(etag)) {
+    return;
+  }
+
+  res.set('ETag', etag);
+  throw createError(412, 'Precondition failed: the chart has been modified since you last fetched it');
+};
+
+module.exports = {
+  chartETag,
+  payloadETag,
+  chartValidators,
+  setCacheValidators,
+  isNotModified,
+  assertIfMatch
+};
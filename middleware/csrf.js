@@ -15,6 +15,11 @@ const validateCSRF = (req, res, next) => {
   if (['GET', 'HEAD', 'OPTIONS'].includes(req.method)) {
     return next();
   }
+
+  // Signed service requests and API keys are sent explicitly, so they cannot be forged cross-site
+  if (req.signedRequest || req.apiKey) {
+    return next();
+  }
   
   // Get tokens from cookie and header
   const cookieToken = req.cookies['XSRF-TOKEN'];
@@ -104,38 +104,62 @@ const corsConfig = cors({
     callback(new Error(`Origin ${origin} not allowed by CORS policy`));
   },
   credentials: true,
-  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'X-Request-Time', 'X-CSRF-Token'],
-  exposedHeaders: ['X-Total-Count', 'X-Page-Count'],
+  methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
+  allowedHeaders: [
+    'Content-Type', 'Authorization', 'X-Requested-With', 'X-Request-Time', 'X-CSRF-Token',
+    'If-Match', 'If-None-Match', 'If-Modified-Since'
+  ],
+  exposedHeaders: ['X-Total-Count', 'X-Page-Count', 'Link', 'Accept-Patch', 'ETag', 'Last-Modified'],
   maxAge: 86400 // 24 hours
 });
 
 /**
- * API Key Validation Middleware (Optional)
- * Uncomment and configure if you want to add API key authentication
+ * Normalise an http(s) URL to its origin
+ * @param {string} value - e.g. "https://intranet.example.com/"
+ * @returns {string|null} "https://intranet.example.com", or null if not an http(s) URL
  */
-const validateApiKey = (req, res, next) => {
-  // Skip API key validation in development
-  if (process.env.NODE_ENV === 'development') {
-    return next();
+const toOrigin = (value) => {
+  try {
+    const url = new URL(value);
+    return ['http:', 'https:'].includes(url.protocol) ? url.origin : null;
+  } catch (error) {
+    return null;
   }
+};
 
-  const apiKey = req.headers['x-api-key'] || req.query.apiKey;
-  const validApiKey = process.env.API_KEY;
+/**
+ * Origins allowed to frame every embeddable chart (comma-separated EMBED_ALLOWED_ORIGINS).
+ * Charts can add their own with embedOrigins.
+ */
+const EMBED_ALLOWED_ORIGINS = (process.env.EMBED_ALLOWED_ORIGINS || '')
+  .split(',')
+  .map(origin => toOrigin(origin.trim()))
+  .filter(Boolean);
 
-  if (!validApiKey) {
-    // If no API key is configured, skip validation
-    return next();
-  }
+/**
+ * Security headers for the embeddable chart page (/embed/:id).
+ * Replaces the global policy, which forbids framing, for this response only.
+ * @param {Object} res - Express response object
+ * @param {Object} options
+ * @param {Array<string>} options.frameAncestors - Origins that may frame the page ('self' when empty)
+ * @param {Array<string>} options.scriptSources - Script sources, e.g. a script hash and the plotly.js origin
+ */
+const setEmbedSecurityHeaders = (res, { frameAncestors, scriptSources }) => {
+  const ancestors = [...new Set(frameAncestors)];
 
-  if (!apiKey || apiKey !== validApiKey) {
-    return res.status(401).json({
-      error: 'Unauthorized',
-      message: 'Valid API key required'
-    });
-  }
+  res.set('Content-Security-Policy', [
+    "default-src 'none'",
+    `script-src ${scriptSources.join(' ')}`,
+    "style-src 'unsafe-inline'", // plotly.js injects its own styles
+    'img-src data: blob:',
+    'font-src data:',
+    "base-uri 'none'",
+    "form-action 'none'",
+    `frame-ancestors ${ancestors.length > 0 ? ancestors.join(' ') : "'self'"}`
+  ].join('; '));
 
-  next();
+  // frame-ancestors governs framing; X-Frame-Options cannot express an allow-list
+  res.removeHeader('X-Frame-Options');
 };
 
 module.exports = {
@@ -143,5 +167,7 @@ module.exports = {
   generalLimiter,
   strictLimiter,
   corsConfig,
-  validateApiKey
+  toOrigin,
+  EMBED_ALLOWED_ORIGINS,
+  setEmbedSecurityHeaders
 };
\ No newline at end of file
@@ -0,0 +1,154 @@
+const crypto = require('crypto');
+const express = require('express');
+const RequestNonce = require('../requestNonceModel');
+const {
+  SIGNATURE_HEADERS,
+  parseSigningKeys,
+  digestBody,
+  computeSignature
+} = require('../utils/requestSigning');
+
+/**
+ * Signed Request Authentication
+ *
+ * Requests carrying signature headers (see utils/requestSigning.js) are
+ * verified against req.rawBody and authenticated as a service principal:
+ * req.user = { userId: 'service:<keyId>', role: 'service', service: true }.
+ * They skip the session cookie and CSRF checks. Requests without signature
+ * headers pass through untouched.
+ */
+
+const SIGNING_KEYS = parseSigningKeys(process.env.SERVICE_SIGNING_KEYS);
+
+// How far a request timestamp may be from the server clock
+const MAX_SKEW_SECONDS = parseInt(process.env.SIGNED_REQUEST_MAX_AGE_SECONDS, 10) || 300;
+
+const NONCE_PATTERN = /^[A-Za-z0-9_-]{16,128}$/;
+
+// Streamed bodies (CSV/TSV imports, NDJSON bulk imports) are read here for signed
+// requests, since only the JSON parser keeps req.rawBody. Text bodies become
+// req.body as express.text would leave them; NDJSON is read from req.rawBody.
+const TEXT_TYPES = ['text/csv', 'text/tab-separated-values'];
+const RAW_TYPES = [...TEXT_TYPES, 'application/x-ndjson'];
+const readRawBody = express.raw({
+  type: RAW_TYPES,
+  limit: process.env.BULK_IMPORT_MAX_SIZE || '20mb'
+});
+
+/**
+ * Constant-time string comparison
+ * @param {string} a
+ * @param {string} b
+ * @returns {boolean}
+ */
+const safeEqual = (a, b) => {
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+};
+
+/**
+ * Reject a request whose signature cannot be accepted
+ */
+const rejectSignature = (res, message) => {
+  return res.status(401).json({
+    success: false,
+    error: message,
+    code: 'INVALID_SIGNATURE'
+  });
+};
+
+/**
+ * Verify signed service requests (mount before CSRF validation)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const verifySignedRequest = async (req, res, next) => {
+  const keyId = req.get(SIGNATURE_HEADERS.keyId);
+  const signature = req.get(SIGNATURE_HEADERS.signature);
+
+  if (keyId === undefined && signature === undefined) {
+    return next();
+  }
+
+  try {
+    const timestamp = req.get(SIGNATURE_HEADERS.timestamp);
+    const nonce = req.get(SIGNATURE_HEADERS.nonce);
+    const digest = req.get(SIGNATURE_HEADERS.digest);
+
+    if (!keyId || !signature || !timestamp || !nonce || !digest) {
+      return rejectSignature(res, 'Signed requests need X-Signature-Key-Id, X-Signature-Timestamp, X-Signature-Nonce, X-Content-SHA256 and X-Signature');
+    }
+
+    const secret = SIGNING_KEYS.get(keyId);
+    if (!secret) {
+      return rejectSignature(res, 'Unknown signing key');
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+    if (!/^\d{1,12}$/.test(timestamp) || Math.abs(now - Number(timestamp)) > MAX_SKEW_SECONDS) {
+      return rejectSignature(res, `Request timestamp must be within ${MAX_SKEW_SECONDS} seconds of the server time`);
+    }
+
+    if (!NONCE_PATTERN.test(nonce)) {
+      return rejectSignature(res, 'Nonce must be 16-128 letters, digits, "-" or "_"');
+    }
+
+    const hasBody = Number(req.get('content-length')) > 0 || req.get('transfer-encoding') !== undefined;
+    if (hasBody && req.rawBody === undefined && req.is(RAW_TYPES)) {
+      await new Promise((resolve, reject) => {
+        readRawBody(req, res, error => (error ? reject(error) : resolve()));
+      });
+      req.rawBody = req.body;
+      req.body = req.is(TEXT_TYPES) ? req.rawBody.toString('utf8') : undefined;
+    }
+
+    // Only captured bodies can be checked against the digest
+    if (hasBody && req.rawBody === undefined) {
+      return res.status(415).json({
+        success: false,
+        error: 'Signed requests must send a JSON, CSV, TSV or NDJSON body'
+      });
+    }
+
+    if (!safeEqual(digest, digestBody(req.rawBody || ''))) {
+      return rejectSignature(res, 'X-Content-SHA256 does not match the request body');
+    }
+
+    const expected = computeSignature(secret, {
+      method: req.method,
+      path: req.originalUrl,
+      timestamp,
+      nonce,
+      digest
+    });
+    if (!safeEqual(signature, expected)) {
+      return rejectSignature(res, 'Invalid request signature');
+    }
+
+    // Checked last so that unsigned junk cannot fill the nonce store
+    try {
+      await RequestNonce.create({
+        _id: `${keyId}:${nonce}`,
+        expiresAt: new Date((Number(timestamp) + MAX_SKEW_SECONDS) * 1000)
+      });
+    } catch (error) {
+      if (error.code === 11000) {
+        return rejectSignature(res, 'Request nonce was already used');
+      }
+      throw error;
+    }
+
+    req.user = { userId: `service:${keyId}`, role: 'service', service: true, keyId };
+    req.signedRequest = { keyId };
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  verifySignedRequest
+};
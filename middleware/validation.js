@@ -1,5 +1,45 @@
 const { body, param, query, validationResult } = require('express-validator');
 const mongoSanitize = require('express-mongo-sanitize');
+const {
+  JSON_PATCH_TYPE,
+  MERGE_PATCH_TYPE,
+  validateJsonPatch
+} = require('../utils/jsonPatch');
+const {
+  VALIDATION_MODES,
+  DEFAULT_MODE,
+  validatePlotlyFigure,
+  summarizeErrors
+} = require('../utils/plotlyValidation');
+const { RENDER_THEMES, MIN_SIZE, MAX_SIZE } = require('../utils/svgRenderer');
+const { toOrigin } = require('./security');
+const { TABLE_TRACE_TYPES } = require('../utils/tableFigure');
+const { DELIMITERS } = require('../utils/csv');
+const { CHART_FIELDS } = require('../utils/chartFields');
+const { AUDIT_ACTIONS } = require('../utils/audit');
+const { WEBHOOK_EVENTS, assertPublicUrl } = require('../utils/webhooks');
+const { API_KEY_SCOPES } = require('../utils/apiKeys');
+
+/**
+ * Format express-validator errors as response details
+ */
+const formatValidationErrors = (req, errors) => {
+  return errors.array().flatMap(err => {
+    // Expand Plotly figure errors into one entry per offending path
+    const figure = req.plotlyValidation;
+    if (err.path === 'plotlyData' && figure && !figure.valid && err.msg === summarizeErrors(figure)) {
+      return figure.errors.map(issue => ({
+        field: issue.path ? `plotlyData.${issue.path}` : 'plotlyData',
+        message: issue.message
+      }));
+    }
+    return [{
+      field: err.path,
+      message: err.msg,
+      value: err.value
+    }];
+  });
+};
 
 /**
  * Handle validation errors middleware
@@ -9,11 +49,7 @@ const handleValidationErrors = (req, res, next) => {
   if (!errors.isEmpty()) {
     return res.status(400).json({
       error: 'Validation failed',
-      details: errors.array().map(err => ({
-        field: err.path,
-        message: err.msg,
-        value: err.value
-      }))
+      details: formatValidationErrors(req, errors)
     });
   }
   next();
@@ -33,27 +69,63 @@ const sanitizeInput = [
 
 /**
  * Plotly data validation helper
+ * @param {*} data - Candidate Plotly figure
+ * @param {Object} [options] - { mode: 'strict' | 'lenient' }
+ */
+const isValidPlotlyData = (data, options) => {
+  return validatePlotlyFigure(data, options).valid;
+};
+
+/**
+ * express-validator custom check running trace-aware figure validation.
+ * The mode comes from ?validation=strict|lenient, else PLOTLY_VALIDATION_MODE.
+ * The full result is kept on req.plotlyValidation for error details and warnings.
  */
-const isValidPlotlyData = (data) => {
-  return data && 
-    typeof data === 'object' && 
-    (data.data || data.layout) && // Must have at least data or layout
-    Array.isArray(data.data || []);
+const checkPlotlyFigure = (value, { req }) => {
+  const mode = VALIDATION_MODES.includes(req.query.validation) ? req.query.validation : DEFAULT_MODE;
+  const result = validatePlotlyFigure(value, { mode });
+  req.plotlyValidation = result;
+
+  if (!result.valid) {
+    throw new Error(summarizeErrors(result));
+  }
+  return true;
 };
 
+/**
+ * Validation mode query parameter
+ */
+const validateValidationMode = query('validation')
+  .optional()
+  .isIn(VALIDATION_MODES)
+  .withMessage(`Validation mode must be one of: ${VALIDATION_MODES.join(', ')}`);
+
+/**
+ * Origins allowed to frame a chart's embed page, stored normalised (scheme://host[:port])
+ */
+const validateEmbedOrigins = [
+  body('embedOrigins')
+    .optional()
+    .isArray({ max: 20 })
+    .withMessage('Embed origins must be an array with maximum 20 items'),
+    
+  body('embedOrigins.*')
+    .custom(value => typeof value === 'string' && toOrigin(value) !== null && /^[a-z]+:\/\/[^/]+\/?$/i.test(value))
+    .withMessage('Each embed origin must be an http(s) origin such as https://intranet.example.com')
+    .customSanitizer(value => toOrigin(value) || value)
+];
+
 /**
  * Chart creation validation rules
  */
 const validateCreateChart = [
+  validateValidationMode,
+  
   body('plotlyData')
     .exists()
     .withMessage('Plotly data is required')
-    .custom((value) => {
-      if (!isValidPlotlyData(value)) {
-        throw new Error('Invalid Plotly data format. Must include data array or layout object.');
-      }
-      return true;
-    })
+    .bail()
+    .custom(checkPlotlyFigure)
     .customSanitizer((value) => {
       // Remove any potentially harmful properties
       if (value && typeof value === 'object') {
@@ -89,6 +161,94 @@ const validateCreateChart = [
     .trim()
     .escape(),
     
+  body('visibility')
+    .optional()
+    .isIn(['private', 'public'])
+    .withMessage('Visibility must be one of: private, public'),
+    
+  ...validateEmbedOrigins,
+    
+  handleValidationErrors
+];
+
+/**
+ * Validate one chart payload outside the request body (e.g. an item of a bulk import)
+ * with the same rules as validateCreateChart.
+ * @param {Object} item - Chart payload ({ plotlyData, chartTitle, ... })
+ * @param {Object} req - Express request (query options such as ?validation= are shared)
+ * @returns {Promise<Object>} { valid, details, body, warnings }
+ */
+const validateChartPayload = async (item, req) => {
+  const itemReq = { body: item, query: req.query };
+
+  for (const chain of validateCreateChart) {
+    if (typeof chain.run === 'function') {
+      await chain.run(itemReq);
+    }
+  }
+
+  const errors = validationResult(itemReq);
+  return {
+    valid: errors.isEmpty(),
+    details: errors.isEmpty() ? [] : formatValidationErrors(itemReq, errors),
+    body: itemReq.body, // Sanitized payload
+    warnings: itemReq.plotlyValidation ? itemReq.plotlyValidation.warnings : []
+  };
+};
+
+/**
+ * Bulk import query options
+ */
+const validateBulkImport = [
+  validateValidationMode,
+  
+  query('atomic')
+    .optional()
+    .isBoolean()
+    .withMessage('Atomic must be true or false')
+    .toBoolean(),
+    
+  handleValidationErrors
+];
+
+/**
+ * CSV/TSV import mapping validation rules (mapping comes from the query string)
+ */
+const validateCsvImport = [
+  validateValidationMode,
+  
+  query(['x', 'groupBy'])
+    .optional()
+    .isString()
+    .isLength({ min: 1, max: 200 })
+    .withMessage('Column names must be between 1 and 200 characters'),
+    
+  query('y')
+    .optional()
+    .customSanitizer((value) => {
+      const list = Array.isArray(value) ? value : String(value).split(',');
+      return list.map(column => String(column).trim()).filter(Boolean);
+    })
+    .isArray({ min: 1, max: 50 })
+    .withMessage('y must list between 1 and 50 columns'),
+    
+  query('type')
+    .optional()
+    .isIn(TABLE_TRACE_TYPES)
+    .withMessage(`Type must be one of: ${TABLE_TRACE_TYPES.join(', ')}`),
+    
+  query('delimiter')
+    .optional()
+    .isIn(Object.keys(DELIMITERS))
+    .withMessage(`Delimiter must be one of: ${Object.keys(DELIMITERS).join(', ')}`),
+    
+  query('tags')
+    .optional()
+    .customSanitizer((value) => {
+      const list = Array.isArray(value) ? value : String(value).split(',');
+      return list.map(tag => String(tag).trim()).filter(Boolean);
+    }),
+    
   handleValidationErrors
 ];
 
@@ -100,14 +260,11 @@ const validateUpdateChart = [
     .isMongoId()
     .withMessage('Invalid chart ID format'),
     
+  validateValidationMode,
+  
   body('plotlyData')
     .optional()
-    .custom((value) => {
-      if (value && !isValidPlotlyData(value)) {
-        throw new Error('Invalid Plotly data format. Must include data array or layout object.');
-      }
-      return true;
-    })
+    .custom((value, meta) => (value ? checkPlotlyFigure(value, meta) : true))
     .customSanitizer((value) => {
       if (value && typeof value === 'object') {
         delete value.__proto__;
@@ -142,6 +299,46 @@ const validateUpdateChart = [
     .trim()
     .escape(),
     
+  body('visibility')
+    .optional()
+    .isIn(['private', 'public'])
+    .withMessage('Visibility must be one of: private, public'),
+    
+  ...validateEmbedOrigins,
+    
+  body('changeMessage')
+    .optional()
+    .isLength({ max: 500 })
+    .withMessage('Change message must not exceed 500 characters')
+    .trim()
+    .escape(),
+    
+  handleValidationErrors
+];
+
+/**
+ * Chart patch validation rules (JSON Patch or JSON Merge Patch against plotlyData)
+ */
+const validatePatchChart = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid chart ID format'),
+    
+  validateValidationMode,
+  
+  body()
+    .custom((value, { req }) => {
+      if (getMediaType(req) === JSON_PATCH_TYPE) {
+        const error = validateJsonPatch(value);
+        if (error) {
+          throw new Error(error);
+        }
+      } else if (!value || typeof value !== 'object' || Array.isArray(value)) {
+        throw new Error('JSON Merge Patch document must be an object');
+      }
+      return true;
+    }),
+    
   handleValidationErrors
 ];
 
@@ -156,6 +353,189 @@ const validateChartId = [
   handleValidationErrors
 ];
 
+/**
+ * Chart data download validation rules
+ */
+const validateChartData = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid chart ID format'),
+    
+  query('format')
+    .optional()
+    .isIn(['csv', 'tsv'])
+    .withMessage('Format must be one of: csv, tsv'),
+    
+  query('shape')
+    .optional()
+    .isIn(['long', 'wide'])
+    .withMessage('Shape must be one of: long, wide'),
+    
+  handleValidationErrors
+];
+
+/**
+ * Chart SVG render validation rules
+ */
+const validateChartRender = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid chart ID format'),
+    
+  query(['width', 'height'])
+    .optional()
+    .isInt({ min: MIN_SIZE, max: MAX_SIZE })
+    .withMessage(`Width and height must be integers between ${MIN_SIZE} and ${MAX_SIZE}`)
+    .toInt(),
+    
+  query('theme')
+    .optional()
+    .isIn(Object.keys(RENDER_THEMES))
+    .withMessage(`Theme must be one of: ${Object.keys(RENDER_THEMES).join(', ')}`),
+    
+  handleValidationErrors
+];
+
+/**
+ * Chart embed page validation rules
+ */
+const validateEmbed = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid chart ID format'),
+    
+  query('height')
+    .optional()
+    .isInt({ min: MIN_SIZE, max: MAX_SIZE })
+    .withMessage(`Height must be an integer between ${MIN_SIZE} and ${MAX_SIZE}`)
+    .toInt(),
+    
+  query(['modebar', 'responsive'])
+    .optional()
+    .isBoolean()
+    .withMessage('Modebar and responsive must be true or false')
+    .toBoolean(),
+    
+  handleValidationErrors
+];
+
+/**
+ * Share link creation rules. Expiry is either expiresIn (seconds) or expiresAt (ISO 8601).
+ */
+const validateCreateShare = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid chart ID format'),
+    
+  body('expiresIn')
+    .optional()
+    .isInt({ min: 60 })
+    .withMessage('expiresIn must be a number of seconds (at least 60)')
+    .toInt(),
+    
+  body('expiresAt')
+    .optional()
+    .isISO8601()
+    .withMessage('expiresAt must be an ISO 8601 date')
+    .bail()
+    .custom((value, { req }) => req.body.expiresIn === undefined)
+    .withMessage('Use either expiresIn or expiresAt, not both')
+    .toDate()
+    .custom(value => value > new Date())
+    .withMessage('expiresAt must be in the future'),
+    
+  body('allowDataDownload')
+    .optional()
+    .isBoolean({ strict: true })
+    .withMessage('allowDataDownload must be true or false'),
+    
+  body('maxViews')
+    .optional({ values: 'null' })
+    .isInt({ min: 1, max: 1000000 })
+    .withMessage('maxViews must be a positive integer')
+    .toInt(),
+    
+  body('label')
+    .optional()
+    .isString()
+    .isLength({ max: 200 })
+    .withMessage('Label must not exceed 200 characters')
+    .trim()
+    .escape(),
+    
+  handleValidationErrors
+];
+
+/**
+ * Share link management rules (/api/charts/:id/shares/:shareId)
+ */
+const validateShareId = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid chart ID format'),
+    
+  param('shareId')
+    .isMongoId()
+    .withMessage('Invalid share link ID format'),
+    
+  handleValidationErrors
+];
+
+/**
+ * Shared chart rules (/api/shared/:token)
+ */
+const validateSharedChart = [
+  param('token')
+    .isLength({ max: 100 })
+    .matches(/^[\w.-]+$/)
+    .withMessage('Invalid share token'),
+    
+  query('format')
+    .optional()
+    .isIn(['csv', 'tsv'])
+    .withMessage('Format must be one of: csv, tsv'),
+    
+  query('shape')
+    .optional()
+    .isIn(['long', 'wide'])
+    .withMessage('Shape must be one of: long, wide'),
+    
+  handleValidationErrors
+];
+
+/**
+ * Chart revision validation rules
+ */
+const validateRevision = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid chart ID format'),
+    
+  param('rev')
+    .isInt({ min: 1 })
+    .withMessage('Revision must be a positive integer')
+    .toInt(),
+    
+  query('against')
+    .optional()
+    .custom((value) => value === 'current' || /^[1-9]\d*$/.test(value))
+    .withMessage('Against must be "current" or a revision number'),
+    
+  body('changeMessage')
+    .optional()
+    .isLength({ max: 500 })
+    .withMessage('Change message must not exceed 500 characters')
+    .trim()
+    .escape(),
+    
+  handleValidationErrors
+];
+
+/**
+ * Allowed sort keys for chart listings
+ */
+const SORT_OPTIONS = ['createdAt', '-createdAt', 'updatedAt', '-updatedAt', 'chartTitle', '-chartTitle', 'relevance'];
+
 /**
  * Pagination validation rules
  */
@@ -174,8 +554,602 @@ const validatePagination = [
     
   query('sort')
     .optional()
-    .isIn(['createdAt', '-createdAt', 'updatedAt', '-updatedAt', 'chartTitle', '-chartTitle'])
-    .withMessage('Sort must be one of: createdAt, -createdAt, updatedAt, -updatedAt, chartTitle, -chartTitle'),
+    .isIn(SORT_OPTIONS)
+    .withMessage(`Sort must be one of: ${SORT_OPTIONS.join(', ')}`),
+    
+  query('cursor')
+    .optional()
+    .isString()
+    .isLength({ min: 1, max: 1000 })
+    .matches(/^[A-Za-z0-9_-]+$/)
+    .withMessage('Cursor must be a nextCursor value from a previous page')
+    .custom((value, { req }) => req.query.page === undefined)
+    .withMessage('Use either cursor or page, not both'),
+    
+  query('includeTotal')
+    .optional()
+    .isBoolean()
+    .withMessage('includeTotal must be true or false')
+    .toBoolean(),
+    
+  handleValidationErrors
+];
+
+/**
+ * Accept ?name=a,b as well as ?name=a&name=b
+ */
+const toList = (value) => {
+  const list = Array.isArray(value) ? value : String(value).split(',');
+  return list.map(item => String(item).trim()).filter(Boolean);
+};
+
+/**
+ * Chart list filter validation rules (shared by list, export and facets)
+ */
+const validateChartFilters = [
+  query('search')
+    .optional()
+    .isString()
+    .isLength({ max: 200 })
+    .withMessage('Search must be a string of at most 200 characters'),
+    
+  query('owner')
+    .optional()
+    .custom(value => value === 'me' || /^[0-9a-fA-F]{24}$/.test(value))
+    .withMessage('Owner filter must be "me" or a user ID'),
+    
+  query('tags')
+    .optional()
+    .customSanitizer(toList)
+    .escape() // Tags are stored escaped
+    .isArray({ max: 20 })
+    .withMessage('Tags filter accepts at most 20 tags'),
+    
+  query('tagsMatch')
+    .optional()
+    .isIn(['any', 'all'])
+    .withMessage('tagsMatch must be one of: any, all'),
+    
+  query('traceType')
+    .optional()
+    .customSanitizer(toList)
+    .isArray({ max: 20 })
+    .withMessage('Trace type filter accepts at most 20 types')
+    .custom(types => types.every(type => /^[a-z0-9]{1,30}$/.test(type)))
+    .withMessage('Trace types must be lowercase Plotly trace type names'),
+    
+  ...['createdAfter', 'createdBefore', 'updatedAfter', 'updatedBefore'].map(field =>
+    query(field)
+      .optional()
+      .isISO8601()
+      .withMessage(`${field} must be an ISO 8601 date`)
+      .toDate()
+  ),
+    
+  ...['minPoints', 'maxPoints'].map(field =>
+    query(field)
+      .optional()
+      .isInt({ min: 0 })
+      .withMessage(`${field} must be a non-negative integer`)
+      .toInt()
+  ),
+    
+  handleValidationErrors
+];
+
+/**
+ * Check a trace selector: an index (integer 0 or more) or a trace name
+ * @param {*} value
+ * @returns {boolean}
+ */
+const isTraceSelector = (value) => {
+  return (Number.isInteger(value) && value >= 0) ||
+    (typeof value === 'string' && value.length >= 1 && value.length <= 200);
+};
+
+/**
+ * Sparse fieldset validation rules (chart list and GET /api/charts/:id)
+ */
+const validateFieldSelection = [
+  query('fields')
+    .optional()
+    .customSanitizer(toList)
+    .isArray({ min: 1, max: CHART_FIELDS.length })
+    .withMessage('Fields must list at least one field')
+    .custom(fields => fields.every(field => CHART_FIELDS.includes(field)))
+    .withMessage(`Fields must be among: ${CHART_FIELDS.join(', ')}`),
+    
+  query('traces')
+    .optional()
+    .customSanitizer(toList)
+    .isArray({ min: 1, max: 100 })
+    .withMessage('Traces accepts 1 to 100 trace indexes or names')
+    .custom(selectors => selectors.every(selector => selector.length <= 200))
+    .withMessage('Trace names must not exceed 200 characters'),
+    
+  query('include')
+    .optional()
+    .isIn(['plotlyData'])
+    .withMessage('Include must be: plotlyData'),
+    
+  handleValidationErrors
+];
+
+/**
+ * Dashboard grid limits
+ */
+const DASHBOARD_MAX_COLUMNS = 24;
+const DASHBOARD_MAX_TILES = 50;
+const DASHBOARD_MAX_ROWS = 1000;
+
+/**
+ * Dashboard title, description, visibility and grid rules (create and update)
+ */
+const dashboardBodyRules = [
+  body('description')
+    .optional()
+    .isString()
+    .isLength({ max: 1000 })
+    .withMessage('Description must not exceed 1000 characters')
+    .trim()
+    .escape(),
+    
+  body('visibility')
+    .optional()
+    .isIn(['private', 'public'])
+    .withMessage('Visibility must be one of: private, public'),
+    
+  body('columns')
+    .optional()
+    .isInt({ min: 1, max: DASHBOARD_MAX_COLUMNS })
+    .withMessage(`Columns must be an integer between 1 and ${DASHBOARD_MAX_COLUMNS}`)
+    .toInt(),
+    
+  body('tiles')
+    .optional()
+    .isArray({ max: DASHBOARD_MAX_TILES })
+    .withMessage(`Tiles must be an array with at most ${DASHBOARD_MAX_TILES} items`),
+    
+  body('tiles.*.chartId')
+    .isMongoId()
+    .withMessage('Each tile needs a valid chartId'),
+    
+  ...['x', 'y'].map(field =>
+    body(`tiles.*.${field}`)
+      .isInt({ min: 0, max: DASHBOARD_MAX_ROWS })
+      .withMessage(`Tile ${field} must be an integer between 0 and ${DASHBOARD_MAX_ROWS}`)
+      .toInt()
+  ),
+    
+  body('tiles.*.w')
+    .isInt({ min: 1, max: DASHBOARD_MAX_COLUMNS })
+    .withMessage(`Tile width (w) must be an integer between 1 and ${DASHBOARD_MAX_COLUMNS}`)
+    .toInt(),
+    
+  body('tiles.*.h')
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Tile height (h) must be an integer between 1 and 100')
+    .toInt(),
+    
+  body('tiles.*.overrides')
+    .optional()
+    .isObject()
+    .withMessage('Tile overrides must be an object'),
+    
+  body('tiles.*.overrides.title')
+    .optional()
+    .isString()
+    .isLength({ min: 1, max: 200 })
+    .withMessage('Tile title must be between 1 and 200 characters')
+    .trim()
+    .escape(),
+    
+  body('tiles.*.overrides.height')
+    .optional()
+    .isInt({ min: MIN_SIZE, max: MAX_SIZE })
+    .withMessage(`Tile plot height must be between ${MIN_SIZE} and ${MAX_SIZE} pixels`)
+    .toInt(),
+    
+  body('tiles.*.overrides.traces')
+    .optional()
+    .isArray({ min: 1, max: 100 })
+    .withMessage('Tile traces must list 1 to 100 trace indexes or names'),
+    
+  body('tiles.*.overrides.traces.*')
+    .custom(isTraceSelector)
+    .withMessage('Each tile trace must be an index (0 or more) or a name of 1 to 200 characters')
+    // Stored as strings; selectTraces() reads "0" as an index
+    .customSanitizer(value => String(value))
+];
+
+/**
+ * Dashboard creation validation rules
+ */
+const validateCreateDashboard = [
+  body('title')
+    .exists()
+    .withMessage('Dashboard title is required')
+    .bail()
+    .isString()
+    .isLength({ min: 1, max: 200 })
+    .withMessage('Dashboard title must be between 1 and 200 characters')
+    .trim()
+    .escape(),
+    
+  ...dashboardBodyRules,
+    
+  handleValidationErrors
+];
+
+/**
+ * Dashboard update validation rules
+ */
+const validateUpdateDashboard = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid dashboard ID format'),
+    
+  body('title')
+    .optional()
+    .isString()
+    .isLength({ min: 1, max: 200 })
+    .withMessage('Dashboard title must be between 1 and 200 characters')
+    .trim()
+    .escape(),
+    
+  ...dashboardBodyRules,
+    
+  handleValidationErrors
+];
+
+/**
+ * Dashboard ID validation rules (?expand=charts on reads)
+ */
+const validateDashboardId = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid dashboard ID format'),
+    
+  query('expand')
+    .optional()
+    .isIn(['charts'])
+    .withMessage('Expand must be: charts'),
+    
+  handleValidationErrors
+];
+
+/**
+ * Page, limit and owner=me rules for the dashboard and trash lists
+ */
+const ownedListRules = [
+  query('page')
+    .optional()
+    .isInt({ min: 1, max: 1000 })
+    .withMessage('Page must be a positive integer between 1 and 1000')
+    .toInt(),
+    
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be a positive integer between 1 and 100')
+    .toInt(),
+    
+  query('owner')
+    .optional()
+    .isIn(['me'])
+    .withMessage('Owner filter must be: me')
+];
+
+/**
+ * Dashboard list validation rules
+ */
+const validateDashboardList = [
+  ...ownedListRules,
+  handleValidationErrors
+];
+
+/**
+ * Chart trash list validation rules
+ */
+const validateTrashList = [
+  ...ownedListRules,
+  handleValidationErrors
+];
+
+/**
+ * Audit log query validation rules
+ */
+const validateAuditQuery = [
+  query('page')
+    .optional()
+    .isInt({ min: 1, max: 1000 })
+    .withMessage('Page must be a positive integer between 1 and 1000')
+    .toInt(),
+    
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be a positive integer between 1 and 100')
+    .toInt(),
+    
+  query('actor')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Actor must be a user or service ID'),
+    
+  query('chartId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid chart ID format'),
+    
+  query('dashboardId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid dashboard ID format'),
+    
+  query('action')
+    .optional()
+    .customSanitizer(toList)
+    .isArray({ max: AUDIT_ACTIONS.length })
+    .custom(actions => actions.every(action => AUDIT_ACTIONS.includes(action)))
+    .withMessage(`Action must be one of: ${AUDIT_ACTIONS.join(', ')}`),
+    
+  ...['from', 'to'].map(field =>
+    query(field)
+      .optional()
+      .isISO8601()
+      .withMessage(`${field} must be an ISO 8601 date`)
+      .toDate()
+  ),
+    
+  handleValidationErrors
+];
+
+/**
+ * Chart event stream validation rules
+ */
+const validateChartEvents = [
+  query('chartId')
+    .optional()
+    .customSanitizer(toList)
+    .isArray({ min: 1, max: 50 })
+    .withMessage('Chart ID filter accepts 1 to 50 IDs')
+    .custom(ids => ids.every(id => /^[0-9a-fA-F]{24}$/.test(id)))
+    .withMessage('Invalid chart ID format'),
+    
+  query('tag')
+    .optional()
+    .customSanitizer(toList)
+    .escape() // Tags are stored escaped
+    .isArray({ min: 1, max: 20 })
+    .withMessage('Tag filter accepts 1 to 20 tags'),
+    
+  query('lastEventId')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('lastEventId must be a non-negative integer')
+    .toInt(),
+    
+  handleValidationErrors
+];
+
+/**
+ * Check a webhook target URL: http(s) without credentials, https only in production
+ * @param {string} value
+ * @returns {boolean}
+ */
+const isWebhookUrl = (value) => {
+  if (typeof value !== 'string' || value.length > 2000) {
+    return false;
+  }
+  try {
+    const url = new URL(value);
+    const protocols = process.env.NODE_ENV === 'production' ? ['https:'] : ['http:', 'https:'];
+    return protocols.includes(url.protocol) && !url.username && !url.password;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Rules shared by webhook create and update
+ */
+const webhookBodyRules = [
+  body('events.*')
+    .isIn(WEBHOOK_EVENTS)
+    .withMessage(`Events must be any of: ${WEBHOOK_EVENTS.join(', ')}`),
+    
+  body('description')
+    .optional()
+    .isString()
+    .isLength({ max: 500 })
+    .withMessage('Description must not exceed 500 characters')
+    .trim()
+    .escape(),
+    
+  body('active')
+    .optional()
+    .isBoolean({ strict: true })
+    .withMessage('Active must be true or false')
+];
+
+/**
+ * Webhook creation validation rules
+ */
+const validateCreateWebhook = [
+  body('url')
+    .custom(isWebhookUrl)
+    .withMessage(process.env.NODE_ENV === 'production'
+      ? 'Webhook URL must be an https URL without credentials'
+      : 'Webhook URL must be an http(s) URL without credentials')
+    .bail()
+    .custom(value => assertPublicUrl(value))
+    .withMessage('Webhook URL must resolve to a public address'),
+    
+  body('events')
+    .isArray({ min: 1, max: WEBHOOK_EVENTS.length })
+    .withMessage('Events must be a non-empty array of event names'),
+    
+  ...webhookBodyRules,
+    
+  handleValidationErrors
+];
+
+/**
+ * Webhook update validation rules
+ */
+const validateUpdateWebhook = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid webhook ID format'),
+    
+  body('url')
+    .optional()
+    .custom(isWebhookUrl)
+    .withMessage(process.env.NODE_ENV === 'production'
+      ? 'Webhook URL must be an https URL without credentials'
+      : 'Webhook URL must be an http(s) URL without credentials')
+    .bail()
+    .custom(value => assertPublicUrl(value))
+    .withMessage('Webhook URL must resolve to a public address'),
+    
+  body('events')
+    .optional()
+    .isArray({ min: 1, max: WEBHOOK_EVENTS.length })
+    .withMessage('Events must be a non-empty array of event names'),
+    
+  ...webhookBodyRules,
+    
+  handleValidationErrors
+];
+
+/**
+ * Webhook ID validation rules
+ */
+const validateWebhookId = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid webhook ID format'),
+    
+  handleValidationErrors
+];
+
+/**
+ * Webhook list validation rules
+ */
+const validateWebhookList = [
+  ...ownedListRules,
+  handleValidationErrors
+];
+
+/**
+ * Webhook delivery log validation rules
+ */
+const validateWebhookDeliveries = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid webhook ID format'),
+    
+  query('page')
+    .optional()
+    .isInt({ min: 1, max: 1000 })
+    .withMessage('Page must be a positive integer between 1 and 1000')
+    .toInt(),
+    
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be a positive integer between 1 and 100')
+    .toInt(),
+    
+  query('status')
+    .optional()
+    .isIn(['pending', 'succeeded', 'failed'])
+    .withMessage('Status must be one of: pending, succeeded, failed'),
+    
+  handleValidationErrors
+];
+
+/**
+ * Single webhook delivery rules (/api/webhooks/:id/deliveries/:deliveryId)
+ */
+const validateWebhookDeliveryId = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid webhook ID format'),
+    
+  param('deliveryId')
+    .isMongoId()
+    .withMessage('Invalid delivery ID format'),
+    
+  handleValidationErrors
+];
+
+/**
+ * API key creation validation rules
+ */
+const validateCreateApiKey = [
+  body('name')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Name is required and must not exceed 100 characters')
+    .escape(),
+    
+  body('scopes')
+    .isArray({ min: 1, max: API_KEY_SCOPES.length })
+    .withMessage('Scopes must be a non-empty array of scope names'),
+    
+  body('scopes.*')
+    .isIn(API_KEY_SCOPES)
+    .withMessage(`Scopes must be any of: ${API_KEY_SCOPES.join(', ')}`),
+    
+  body('expiresAt')
+    .optional({ values: 'null' })
+    .isISO8601()
+    .withMessage('expiresAt must be an ISO 8601 date')
+    .bail()
+    .toDate()
+    .custom(value => value > new Date())
+    .withMessage('expiresAt must be in the future'),
+    
+  handleValidationErrors
+];
+
+/**
+ * API key ID validation rules
+ */
+const validateApiKeyId = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid API key ID format'),
+    
+  handleValidationErrors
+];
+
+/**
+ * API key list validation rules
+ */
+const validateApiKeyList = [
+  ...ownedListRules,
+  handleValidationErrors
+];
+
+/**
+ * Chart export validation rules
+ */
+const validateExport = [
+  query('sort')
+    .optional()
+    .isIn(SORT_OPTIONS)
+    .withMessage(`Sort must be one of: ${SORT_OPTIONS.join(', ')}`),
+    
+  query('format')
+    .optional()
+    .isIn(['ndjson', 'json'])
+    .withMessage('Format must be one of: ndjson, json'),
     
   handleValidationErrors
 ];
@@ -218,15 +1192,33 @@ const parseSize = (size) => {
   return parseFloat(match[1]) * units[match[2]];
 };
 
+/**
+ * Media types accepted by PATCH endpoints
+ */
+const PATCH_MEDIA_TYPES = [JSON_PATCH_TYPE, MERGE_PATCH_TYPE];
+
+/**
+ * Get the request media type without parameters (e.g. "; charset=utf-8")
+ */
+const getMediaType = (req) => {
+  const contentType = req.get('Content-Type');
+  return contentType ? contentType.split(';')[0].trim().toLowerCase() : '';
+};
+
 /**
  * Content type validation middleware
+ * Media types are compared exactly, so application/json does not admit
+ * application/json-patch+json or application/merge-patch+json.
  */
 const validateContentType = (allowedTypes = ['application/json']) => {
-  return (req, res, next) => {
+  const checkContentType = (req, res, next) => {
     const contentType = req.get('Content-Type');
     
     if (req.method !== 'GET' && req.method !== 'DELETE') {
-      if (!contentType || !allowedTypes.some(type => contentType.includes(type))) {
+      if (!contentType || !allowedTypes.includes(getMediaType(req))) {
+        if (req.method === 'PATCH') {
+          res.set('Accept-Patch', allowedTypes.join(', '));
+        }
         return res.status(415).json({
           error: 'Unsupported Media Type',
           message: `Content-Type must be one of: ${allowedTypes.join(', ')}`,
@@ -237,16 +1229,53 @@ const validateContentType = (allowedTypes = ['application/json']) => {
     
     next();
   };
+
+  // Listed as the request body media types in the OpenAPI document
+  checkContentType.contentTypes = allowedTypes;
+  return checkContentType;
 };
 
 module.exports = {
   handleValidationErrors,
   sanitizeInput,
   validateCreateChart,
+  validateChartPayload,
+  validateBulkImport,
+  validateCsvImport,
   validateUpdateChart,
+  validatePatchChart,
   validateChartId,
+  validateChartData,
+  validateChartRender,
+  validateEmbed,
+  validateCreateShare,
+  validateShareId,
+  validateSharedChart,
+  validateRevision,
   validatePagination,
+  validateChartFilters,
+  validateFieldSelection,
+  validateCreateDashboard,
+  validateUpdateDashboard,
+  validateDashboardId,
+  validateDashboardList,
+  validateTrashList,
+  validateChartEvents,
+  validateAuditQuery,
+  validateCreateWebhook,
+  validateUpdateWebhook,
+  validateWebhookId,
+  validateWebhookList,
+  validateWebhookDeliveries,
+  validateWebhookDeliveryId,
+  validateCreateApiKey,
+  validateApiKeyId,
+  validateApiKeyList,
+  validateExport,
   validateRequestSize,
   validateContentType,
+  getMediaType,
+  parseSize,
+  PATCH_MEDIA_TYPES,
   isValidPlotlyData
 };
\ No newline at end of file
@@ -0,0 +1,22 @@
+// requestNonceModel.js
+const mongoose = require('mongoose');
+
+/**
+ * Nonce of a signed service request, kept until its timestamp can no longer be
+ * accepted. The unique _id makes a replayed request fail on every instance.
+ */
+const RequestNonceSchema = new mongoose.Schema({
+  _id: {
+    type: String // "<keyId>:<nonce>"
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  versionKey: false
+});
+
+RequestNonceSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('RequestNonce', RequestNonceSchema);
@@ -0,0 +1,159 @@
+const express = require('express');
+const ApiKey = require('../apiKeyModel');
+const {
+  validateCreateApiKey,
+  validateApiKeyId,
+  validateApiKeyList
+} = require('../middleware/validation');
+const { strictLimiter } = require('../middleware/security');
+const { authenticateToken } = require('../middleware/auth');
+const { isAdmin, assertCanManageApiKey } = require('../middleware/chartAccess');
+const { generateApiKey } = require('../utils/apiKeys');
+const { recordAudit } = require('../utils/audit');
+const { asyncHandler, createError } = require('../middleware/errorHandler');
+
+// Mounted at /api/api-keys (session cookie only, see middleware/apiKey.js)
+const router = express.Router();
+
+const MAX_ACTIVE_KEYS_PER_USER = 20;
+
+/**
+ * @route   GET /api/api-keys
+ * @desc    List your API keys, including revoked ones (admins see every
+ *          user's; ?owner=me for their own). Keys themselves are never shown.
+ * @access  Private
+ * @returns 200 apiKeys: ApiKey[], pagination: Pagination
+ */
+router.get('/',
+  authenticateToken,
+  validateApiKeyList,
+  asyncHandler(async (req, res) => {
+    const page = req.query.page || 1;
+    const limit = req.query.limit || 10;
+    const skip = (page - 1) * limit;
+
+    const filter = {};
+    if (!isAdmin(req.user) || req.query.owner === 'me') {
+      filter.createdBy = String(req.user.userId);
+    }
+
+    const apiKeys = await ApiKey.find(filter)
+      .sort({ createdAt: -1, _id: -1 })
+      .skip(skip)
+      .limit(limit)
+      .lean();
+    const total = await ApiKey.countDocuments(filter);
+
+    res.json({
+      success: true,
+      data: {
+        apiKeys,
+        pagination: {
+          currentPage: page,
+          totalPages: Math.ceil(total / limit),
+          totalApiKeys: total,
+          apiKeysPerPage: limit,
+          hasNextPage: skip + apiKeys.length < total,
+          hasPrevPage: page > 1
+        }
+      },
+      meta: {
+        timestamp: new Date().toISOString(),
+        version: '1.0.0'
+      }
+    });
+  })
+);
+
+/**
+ * @route   POST /api/api-keys
+ * @desc    Create an API key. Body: name, scopes, expiresAt (optional).
+ *          The key is only returned here.
+ * @access  Private (the admin scope needs an admin)
+ * @returns 201 apiKey: ApiKey, key: string
+ */
+router.post('/',
+  authenticateToken,
+  strictLimiter,
+  validateCreateApiKey,
+  asyncHandler(async (req, res) => {
+    const scopes = [...new Set(req.body.scopes)];
+    if (scopes.includes('admin') && !isAdmin(req.user)) {
+      throw createError(403, 'Only admins can create keys with the admin scope');
+    }
+
+    const active = await ApiKey.countDocuments({ createdBy: String(req.user.userId), revokedAt: null });
+    if (active >= MAX_ACTIVE_KEYS_PER_USER) {
+      throw createError(400, `You can have at most ${MAX_ACTIVE_KEYS_PER_USER} active API keys`);
+    }
+
+    const { key, prefix, keyHash } = generateApiKey();
+    const apiKey = await ApiKey.create({
+      name: req.body.name,
+      prefix,
+      keyHash,
+      scopes,
+      expiresAt: req.body.expiresAt || null,
+      createdBy: req.user.userId
+    });
+
+    recordAudit(req, { action: 'apiKey.create', details: { apiKeyId: apiKey._id, prefix, scopes } });
+
+    const stored = apiKey.toObject();
+    delete stored.keyHash;
+    res.status(201).json({
+      success: true,
+      message: 'API key created successfully',
+      data: {
+        apiKey: stored,
+        key
+      },
+      meta: {
+        timestamp: new Date().toISOString(),
+        version: '1.0.0'
+      }
+    });
+  })
+);
+
+/**
+ * @route   DELETE /api/api-keys/:id
+ * @desc    Revoke an API key; it stops working immediately
+ * @access  Private (owner or admin)
+ * @returns 200 apiKey: ApiKey
+ * @returns 409
+ */
+router.delete('/:id',
+  authenticateToken,
+  strictLimiter,
+  validateApiKeyId,
+  asyncHandler(async (req, res) => {
+    const existing = await ApiKey.findById(req.params.id).lean();
+    assertCanManageApiKey(existing, req.user);
+
+    const apiKey = await ApiKey.findOneAndUpdate(
+      { _id: existing._id, revokedAt: null },
+      { $set: { revokedAt: new Date(), revokedBy: String(req.user.userId) } },
+      { new: true }
+    ).lean();
+    if (!apiKey) {
+      throw createError(409, 'API key is already revoked');
+    }
+
+    recordAudit(req, { action: 'apiKey.revoke', details: { apiKeyId: apiKey._id, prefix: apiKey.prefix } });
+
+    res.json({
+      success: true,
+      message: 'API key revoked successfully',
+      data: {
+        apiKey
+      },
+      meta: {
+        timestamp: new Date().toISOString(),
+        version: '1.0.0'
+      }
+    });
+  })
+);
+
+module.exports = router;
@@ -0,0 +1,76 @@
+const express = require('express');
+const AuditEvent = require('../auditEventModel');
+const { validateAuditQuery } = require('../middleware/validation');
+const { authenticateToken, requireAdmin } = require('../middleware/auth');
+const { asyncHandler } = require('../middleware/errorHandler');
+
+// Mounted at /api/audit
+const router = express.Router();
+
+/**
+ * Build the MongoDB filter for an audit log query
+ * @param {Object} query - Validated req.query
+ * @returns {Object}
+ */
+const buildAuditFilter = ({ actor, chartId, dashboardId, action, from, to }) => {
+  const filter = {};
+
+  if (actor) filter['actor.id'] = actor;
+  if (chartId) filter.chartId = chartId;
+  if (dashboardId) filter.dashboardId = dashboardId;
+  if (action) filter.action = { $in: action };
+  if (from || to) {
+    filter.createdAt = {};
+    if (from) filter.createdAt.$gte = from;
+    if (to) filter.createdAt.$lte = to;
+  }
+
+  return filter;
+};
+
+/**
+ * @route   GET /api/audit
+ * @desc    List audit events, newest first. Filters: actor (user or API key ID),
+ *          chartId, dashboardId, action (comma-separated) and a from/to time range.
+ * @access  Private (admin only)
+ * @returns 200 events: AuditEvent[], pagination: Pagination
+ */
+router.get('/',
+  authenticateToken,
+  requireAdmin,
+  validateAuditQuery,
+  asyncHandler(async (req, res) => {
+    const page = req.query.page || 1;
+    const limit = req.query.limit || 50;
+    const skip = (page - 1) * limit;
+    const filter = buildAuditFilter(req.query);
+
+    const events = await AuditEvent.find(filter)
+      .sort({ createdAt: -1, _id: -1 })
+      .skip(skip)
+      .limit(limit)
+      .lean();
+    const total = await AuditEvent.countDocuments(filter);
+
+    res.json({
+      success: true,
+      data: {
+        events,
+        pagination: {
+          currentPage: page,
+          totalPages: Math.ceil(total / limit),
+          totalEvents: total,
+          eventsPerPage: limit,
+          hasNextPage: skip + events.length < total,
+          hasPrevPage: page > 1
+        }
+      },
+      meta: {
+        timestamp: new Date().toISOString(),
+        version: '1.0.0'
+      }
+    });
+  })
+);
+
+module.exports = router;
@@ -1,20 +1,105 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
+const User = require('../userModel');
+const { sendMail } = require('../config/mailer');
 const { 
-  demoLogin, 
+  loginUser, 
+  generateToken,
+  buildTokenPayload,
   setAuthCookie, 
   clearAuthCookie, 
   authenticateToken, 
   optionalAuth 
 } = require('../middleware/auth');
+const { strictLimiter } = require('../middleware/security');
 const { asyncHandler, createError } = require('../middleware/errorHandler');
 
 const router = express.Router();
 
+const PASSWORD_MIN_LENGTH = 8;
+
+/**
+ * Reject the request with the standard auth validation error shape
+ */
+const rejectInvalidInput = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid input data',
+      details: errors.array()
+    });
+  }
+  next();
+};
+
+/**
+ * Shape a user for API responses
+ */
+const toUserResponse = (user) => ({
+  id: user.userId || user._id.toString(),
+  email: user.email,
+  name: user.name,
+  role: user.role
+});
+
+/**
+ * @route   POST /api/auth/register
+ * @desc    Create a new user account and log it in
+ * @access  Public
+ * @returns 201 user: object
+ */
+router.post('/register',
+  strictLimiter,
+  [
+    body('email')
+      .isEmail()
+      .normalizeEmail()
+      .withMessage('Please provide a valid email address'),
+    body('password')
+      .isLength({ min: PASSWORD_MIN_LENGTH, max: 128 })
+      .withMessage(`Password must be between ${PASSWORD_MIN_LENGTH} and 128 characters`),
+    body('name')
+      .isLength({ min: 1, max: 100 })
+      .withMessage('Name must be between 1 and 100 characters')
+      .trim()
+      .escape()
+  ],
+  rejectInvalidInput,
+  
+  asyncHandler(async (req, res) => {
+    const { email, password, name } = req.body;
+
+    const existingUser = await User.findOne({ email });
+    if (existingUser) {
+      throw createError(409, 'An account with this email already exists');
+    }
+
+    // Password is hashed by the model's pre-save hook
+    const user = await User.create({ email, password, name });
+
+    const payload = buildTokenPayload(user);
+    setAuthCookie(res, generateToken(payload));
+
+    res.status(201).json({
+      success: true,
+      message: 'Registration successful',
+      data: {
+        user: toUserResponse(payload)
+      },
+      meta: {
+        timestamp: new Date().toISOString(),
+        authMethod: 'httpOnly-cookie'
+      }
+    });
+  })
+);
+
 /**
  * @route   POST /api/auth/login
  * @desc    Login user and set httpOnly cookie
  * @access  Public
+ * @returns 200 user: object
  */
 router.post('/login',
   // Input validation
@@ -23,10 +108,10 @@ router.post('/login',
       .isEmail()
       .normalizeEmail()
       .withMessage('Please provide a valid email address'),
+    // Not trimmed: passwords are stored exactly as they were set
     body('password')
       .isLength({ min: 1 })
       .withMessage('Password is required')
-      .trim()
   ],
   
   asyncHandler(async (req, res) => {
@@ -43,8 +128,8 @@ router.post('/login',
     const { email, password } = req.body;
 
     try {
-      // Perform demo login (in production, verify against database)
-      const { user, token } = demoLogin(email, password);
+      // Verify credentials against the users collection
+      const { user, token } = await loginUser(email, password);
 
       // Set secure httpOnly cookie
       setAuthCookie(res, token);
@@ -54,12 +139,7 @@ router.post('/login',
         success: true,
         message: 'Login successful',
         data: {
-          user: {
-            id: user.userId,
-            email: user.email,
-            name: user.name,
-            role: user.role
-          }
+          user: toUserResponse(user)
         },
         meta: {
           timestamp: new Date().toISOString(),
@@ -90,6 +170,7 @@ router.post('/login',
  * @route   POST /api/auth/logout
  * @desc    Logout user and clear httpOnly cookie
  * @access  Private
+ * @returns 200 loggedOut: boolean
  */
 router.post('/logout',
   optionalAuth, // Allow logout even with invalid token
@@ -119,6 +200,7 @@ router.post('/logout',
  * @route   GET /api/auth/me
  * @desc    Get current user information
  * @access  Private
+ * @returns 200 user: object, authenticated: boolean, tokenIssuedAt: string
  */
 router.get('/me',
   authenticateToken,
@@ -147,6 +229,7 @@ router.get('/me',
  * @route   GET /api/auth/status
  * @desc    Check authentication status (optional auth)
  * @access  Public
+ * @returns 200 authenticated: boolean, user: object
  */
 router.get('/status',
   optionalAuth,
@@ -175,13 +258,12 @@ router.get('/status',
  * @route   POST /api/auth/refresh
  * @desc    Refresh authentication token (extend session)
  * @access  Private
+ * @returns 200 user: object, tokenRefreshed: boolean
  */
 router.post('/refresh',
   authenticateToken,
   asyncHandler(async (req, res) => {
     // Generate new token with current user data
-    const { generateToken } = require('../middleware/auth');
-    
     const newPayload = {
       userId: req.user.userId,
       email: req.user.email,
@@ -215,39 +297,152 @@ router.post('/refresh',
 );
 
 /**
- * @route   GET /api/auth/demo-users
- * @desc    Get list of demo users for testing (development only)
+ * @route   POST /api/auth/change-password
+ * @desc    Change the current user's password
+ * @access  Private
+ * @returns 200 passwordChanged: boolean
+ */
+router.post('/change-password',
+  authenticateToken,
+  strictLimiter,
+  [
+    body('currentPassword')
+      .isLength({ min: 1 })
+      .withMessage('Current password is required'),
+    body('newPassword')
+      .isLength({ min: PASSWORD_MIN_LENGTH, max: 128 })
+      .withMessage(`New password must be between ${PASSWORD_MIN_LENGTH} and 128 characters`)
+  ],
+  rejectInvalidInput,
+  
+  asyncHandler(async (req, res) => {
+    const { currentPassword, newPassword } = req.body;
+
+    const user = await User.findById(req.user.userId).select('+password');
+    if (!user) {
+      throw createError(404, 'User not found');
+    }
+
+    if (!(await user.comparePassword(currentPassword))) {
+      throw createError(401, 'Current password is incorrect');
+    }
+
+    user.password = newPassword;
+    await user.save();
+
+    // Issue a fresh session token
+    setAuthCookie(res, generateToken(buildTokenPayload(user)));
+
+    res.json({
+      success: true,
+      message: 'Password changed successfully',
+      data: {
+        passwordChanged: true
+      },
+      meta: {
+        timestamp: new Date().toISOString()
+      }
+    });
+  })
+);
+
+/**
+ * Store a new reset token on the user and mail it to them
+ * @param {Object} user - User document
+ * @returns {Promise<void>}
+ */
+const sendPasswordReset = async (user) => {
+  const token = user.createPasswordResetToken();
+  await user.save();
+
+  const resetUrl = process.env.PASSWORD_RESET_URL
+    ? `${process.env.PASSWORD_RESET_URL}?token=${token}`
+    : null;
+
+  await sendMail({
+    to: user.email,
+    subject: 'Password reset request',
+    text: resetUrl
+      ? `Use this link to reset your password: ${resetUrl}\n\nIt expires soon and can only be used once.`
+      : `Use this token to reset your password: ${token}\n\nIt expires soon and can only be used once.`
+  });
+};
+
+/**
+ * @route   POST /api/auth/forgot-password
+ * @desc    Send a one-time password reset token by mail
  * @access  Public
+ * @returns 200
  */
-router.get('/demo-users',
+router.post('/forgot-password',
+  strictLimiter,
+  [
+    body('email')
+      .isEmail()
+      .normalizeEmail()
+      .withMessage('Please provide a valid email address')
+  ],
+  rejectInvalidInput,
+  
+  asyncHandler(async (req, res) => {
+    const user = await User.findOne({ email: req.body.email });
+
+    // Not awaited: saving the token and sending the mail must not make the
+    // response slower, or fail, only for existing accounts
+    if (user) {
+      sendPasswordReset(user).catch((error) => {
+        console.error('Password reset mail failed:', error.message);
+      });
+    }
+
+    // Same response whether or not the account exists to avoid account enumeration
+    res.json({
+      success: true,
+      message: 'If an account exists for this email, a password reset message has been sent',
+      meta: {
+        timestamp: new Date().toISOString()
+      }
+    });
+  })
+);
+
+/**
+ * @route   POST /api/auth/reset-password
+ * @desc    Reset a password using a one-time token
+ * @access  Public
+ * @returns 200 passwordReset: boolean
+ */
+router.post('/reset-password',
+  strictLimiter,
+  [
+    body('token')
+      .isHexadecimal()
+      .isLength({ min: 64, max: 64 })
+      .withMessage('A valid reset token is required'),
+    body('newPassword')
+      .isLength({ min: PASSWORD_MIN_LENGTH, max: 128 })
+      .withMessage(`New password must be between ${PASSWORD_MIN_LENGTH} and 128 characters`)
+  ],
+  rejectInvalidInput,
+  
   asyncHandler(async (req, res) => {
-    // Only show demo users in development
-    if (process.env.NODE_ENV !== 'development') {
-      throw createError(404, 'Not found');
+    // The token is consumed by the lookup, so it cannot be reused
+    const user = await User.consumeResetToken(req.body.token);
+    if (!user) {
+      throw createError(400, 'Password reset token is invalid or has expired');
     }
 
+    user.password = req.body.newPassword;
+    await user.save();
+
     res.json({
       success: true,
-      message: 'Demo users for testing',
+      message: 'Password has been reset. Please log in with your new password.',
       data: {
-        users: [
-          {
-            email: 'demo@example.com',
-            password: 'demo123',
-            role: 'user',
-            name: 'Demo User'
-          },
-          {
-            email: 'admin@example.com',
-            password: 'admin123',
-            role: 'admin',
-            name: 'Admin User'
-          }
-        ]
+        passwordReset: true
       },
       meta: {
-        timestamp: new Date().toISOString(),
-        warning: 'This endpoint is only available in development mode'
+        timestamp: new Date().toISOString()
       }
     });
   })
@@ -0,0 +1,118 @@
+const crypto = require('crypto');
+const express = require('express');
+const request = require('supertest');
+const User = require('../userModel');
+const { setMailer } = require('../config/mailer');
+const { globalErrorHandler } = require('../middleware/errorHandler');
+const authRoutes = require('./auth');
+
+const buildApp = () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/auth', authRoutes);
+  app.use(globalErrorHandler);
+  return app;
+};
+
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+// Let detached work (token save, mail send) run to completion
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+describe('password reset', () => {
+  let app;
+  let sent;
+  let saveSpy;
+
+  beforeEach(() => {
+    app = buildApp();
+    sent = [];
+    setMailer({ sendMail: async (message) => { sent.push(message); } });
+    saveSpy = jest.spyOn(User.prototype, 'save').mockImplementation(async function() { return this; });
+  });
+
+  afterEach(() => {
+    setMailer(null);
+    jest.restoreAllMocks();
+  });
+
+  test('answers the same way for unknown accounts and sends nothing', async () => {
+    jest.spyOn(User, 'findOne').mockResolvedValue(null);
+
+    const res = await request(app)
+      .post('/api/auth/forgot-password')
+      .send({ email: 'nobody@example.com' });
+    await flush();
+
+    expect(res.status).toBe(200);
+    expect(res.body.success).toBe(true);
+    expect(sent).toHaveLength(0);
+    expect(saveSpy).not.toHaveBeenCalled();
+  });
+
+  test('mails a token whose hash is stored on the user', async () => {
+    const user = new User({ email: 'ada@example.com', password: 'irrelevant', name: 'Ada' });
+    jest.spyOn(User, 'findOne').mockResolvedValue(user);
+
+    const res = await request(app)
+      .post('/api/auth/forgot-password')
+      .send({ email: 'ada@example.com' });
+    await flush();
+
+    expect(res.status).toBe(200);
+    expect(sent).toHaveLength(1);
+    expect(sent[0].to).toBe('ada@example.com');
+
+    const token = sent[0].text.match(/[0-9a-f]{64}/)[0];
+    expect(user.passwordResetTokenHash).toBe(sha256(token));
+    expect(user.passwordResetExpires.getTime()).toBeGreaterThan(Date.now());
+  });
+
+  test('does not wait for the mail or fail when it fails', async () => {
+    const user = new User({ email: 'ada@example.com', password: 'irrelevant', name: 'Ada' });
+    jest.spyOn(User, 'findOne').mockResolvedValue(user);
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    let rejectMail;
+    setMailer({ sendMail: () => new Promise((resolve, reject) => { rejectMail = reject; }) });
+
+    const res = await request(app)
+      .post('/api/auth/forgot-password')
+      .send({ email: 'ada@example.com' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.success).toBe(true);
+
+    rejectMail(new Error('SMTP down'));
+    await flush();
+    expect(console.error).toHaveBeenCalledWith('Password reset mail failed:', 'SMTP down');
+  });
+
+  test('rejects a token that cannot be consumed', async () => {
+    jest.spyOn(User, 'consumeResetToken').mockResolvedValue(null);
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    const res = await request(app)
+      .post('/api/auth/reset-password')
+      .send({ token: 'a'.repeat(64), newPassword: 'new-password-1' });
+
+    expect(res.status).toBe(400);
+    expect(saveSpy).not.toHaveBeenCalled();
+  });
+
+  test('sets the new password on the user the token belonged to', async () => {
+    const user = new User({ email: 'ada@example.com', password: 'old-password', name: 'Ada' });
+    const consume = jest.spyOn(User, 'consumeResetToken').mockResolvedValue(user);
+    const token = 'b'.repeat(64);
+
+    const res = await request(app)
+      .post('/api/auth/reset-password')
+      .send({ token, newPassword: 'new-password-1' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.passwordReset).toBe(true);
+    expect(consume).toHaveBeenCalledWith(token);
+    expect(user.password).toBe('new-password-1');
+    expect(saveSpy).toHaveBeenCalledTimes(1);
+  });
+});
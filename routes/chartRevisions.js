@@ -0,0 +1,189 @@
+const express = require('express');
+const Chart = require('../chartModel');
+const ChartRevision = require('../chartRevisionModel');
+const { validateChartId, validateRevision } = require('../middleware/validation');
+const { strictLimiter } = require('../middleware/security');
+const { authenticateToken, optionalAuth } = require('../middleware/auth');
+const { assertCanRead, assertCanModify } = require('../middleware/chartAccess');
+const {
+  pickContent,
+  currentRevision,
+  updateChartWithRevision
+} = require('../utils/chartRevisions');
+const { diff } = require('../utils/jsonDiff');
+const { CHART_AUDIT_FIELDS, diffFields, recordAudit } = require('../utils/audit');
+const { publishChartEvent } = require('../utils/chartEvents');
+const { asyncHandler, createError } = require('../middleware/errorHandler');
+
+// Mounted at /api/charts/:id/revisions
+const router = express.Router({ mergeParams: true });
+
+/**
+ * Load a stored revision of a chart or throw 404
+ */
+const findRevision = async (chartId, rev) => {
+  const revision = await ChartRevision.findOne({ chartId, rev }).lean();
+
+  if (!revision) {
+    throw createError(404, `Revision ${rev} not found`);
+  }
+
+  return revision;
+};
+
+/**
+ * @route   GET /api/charts/:id/revisions
+ * @desc    List stored revisions of a chart (newest first, without snapshots)
+ * @access  Public (private charts only for their owner or an admin)
+ * @returns 200 chartId: string, currentRevision: integer, revisions: ChartRevision[]
+ */
+router.get('/',
+  optionalAuth,
+  validateChartId,
+  asyncHandler(async (req, res) => {
+    const chart = await Chart.findById(req.params.id).select('-plotlyData').lean();
+    assertCanRead(chart, req.user);
+
+    const revisions = await ChartRevision.find({ chartId: chart._id })
+      .select('-snapshot')
+      .sort({ rev: -1 })
+      .lean();
+
+    res.json({
+      success: true,
+      data: {
+        chartId: chart._id,
+        currentRevision: currentRevision(chart),
+        revisions
+      },
+      meta: {
+        timestamp: new Date().toISOString(),
+        version: '1.0.0'
+      }
+    });
+  })
+);
+
+/**
+ * @route   GET /api/charts/:id/revisions/:rev
+ * @desc    Get a stored revision including the full prior chart document
+ * @access  Public (private charts only for their owner or an admin)
+ * @returns 200 revision: ChartRevision
+ */
+router.get('/:rev',
+  optionalAuth,
+  validateRevision,
+  asyncHandler(async (req, res) => {
+    const chart = await Chart.findById(req.params.id).select('-plotlyData').lean();
+    assertCanRead(chart, req.user);
+
+    const revision = await findRevision(chart._id, req.params.rev);
+
+    res.json({
+      success: true,
+      data: {
+        revision
+      },
+      meta: {
+        timestamp: new Date().toISOString(),
+        version: '1.0.0'
+      }
+    });
+  })
+);
+
+/**
+ * @route   GET /api/charts/:id/revisions/:rev/diff
+ * @desc    Diff a stored revision against the current chart or another revision (?against=)
+ * @access  Public (private charts only for their owner or an admin)
+ * @returns 200 chartId: string, from: integer, to: integer, changes: object[]
+ */
+router.get('/:rev/diff',
+  optionalAuth,
+  validateRevision,
+  asyncHandler(async (req, res) => {
+    const chart = await Chart.findById(req.params.id).lean();
+    assertCanRead(chart, req.user);
+
+    const revision = await findRevision(chart._id, req.params.rev);
+
+    // Compare against the live chart unless another stored revision is requested
+    let targetRev = currentRevision(chart);
+    let targetContent = pickContent(chart);
+
+    if (req.query.against && req.query.against !== 'current') {
+      const againstRev = parseInt(req.query.against, 10);
+      if (againstRev !== targetRev) {
+        const other = await findRevision(chart._id, againstRev);
+        targetRev = other.rev;
+        targetContent = pickContent(other.snapshot);
+      }
+    }
+
+    const changes = diff(pickContent(revision.snapshot), targetContent);
+
+    res.json({
+      success: true,
+      data: {
+        chartId: chart._id,
+        from: revision.rev,
+        to: targetRev,
+        changes
+      },
+      meta: {
+        timestamp: new Date().toISOString(),
+        version: '1.0.0'
+      }
+    });
+  })
+);
+
+/**
+ * @route   POST /api/charts/:id/revisions/:rev/restore
+ * @desc    Restore a chart's content from a stored revision (recorded as a new revision)
+ * @access  Private (owner or admin)
+ * @returns 200 chart: Chart, restoredFrom: integer
+ */
+router.post('/:rev/restore',
+  authenticateToken,
+  strictLimiter,
+  validateRevision,
+  asyncHandler(async (req, res) => {
+    const existingChart = await Chart.findById(req.params.id).lean();
+    assertCanModify(existingChart, req.user);
+
+    const revision = await findRevision(existingChart._id, req.params.rev);
+
+    const updatedChart = await updateChartWithRevision(existingChart, {
+      ...pickContent(revision.snapshot),
+      updatedBy: req.user.userId,
+      updatedAt: new Date()
+    }, {
+      userId: req.user.userId,
+      message: req.body.changeMessage || `Restored from revision ${revision.rev}`
+    });
+
+    recordAudit(req, {
+      action: 'chart.revision.restore',
+      chartId: updatedChart._id,
+      changes: diffFields(existingChart, updatedChart, CHART_AUDIT_FIELDS),
+      details: { rev: revision.rev }
+    });
+    publishChartEvent('chart.updated', updatedChart);
+
+    res.json({
+      success: true,
+      message: `Chart restored from revision ${revision.rev}`,
+      data: {
+        chart: updatedChart,
+        restoredFrom: revision.rev
+      },
+      meta: {
+        timestamp: new Date().toISOString(),
+        version: '1.0.0'
+      }
+    });
+  })
+);
+
+module.exports = router;
@@ -0,0 +1,154 @@
+const express = require('express');
+const Chart = require('../chartModel');
+const ShareLink = require('../shareLinkModel');
+const { 
+  validateChartId, 
+  validateCreateShare, 
+  validateShareId 
+} = require('../middleware/validation');
+const { strictLimiter } = require('../middleware/security');
+const { authenticateToken } = require('../middleware/auth');
+const { assertCanModify } = require('../middleware/chartAccess');
+const { signShareToken } = require('../utils/shareTokens');
+const { recordAudit } = require('../utils/audit');
+const { asyncHandler, createError } = require('../middleware/errorHandler');
+
+// Mounted at /api/charts/:id
+const router = express.Router({ mergeParams: true });
+
+const DEFAULT_TTL_SECONDS = (parseInt(process.env.SHARE_LINK_DEFAULT_TTL_HOURS, 10) || 7 * 24) * 60 * 60;
+const MAX_TTL_SECONDS = (parseInt(process.env.SHARE_LINK_MAX_TTL_DAYS, 10) || 90) * 24 * 60 * 60;
+
+/**
+ * Load a chart and check that the caller may share it
+ */
+const findShareableChart = async (req) => {
+  const chart = await Chart.findById(req.params.id).select('visibility createdBy chartTitle deletedAt').lean();
+  assertCanModify(chart, req.user);
+  return chart;
+};
+
+/**
+ * @route   POST /api/charts/:id/share
+ * @desc    Create a signed, expiring, revocable share link for a chart.
+ *          Body: expiresIn (seconds) or expiresAt, allowDataDownload, maxViews, label.
+ *          The token is only returned here.
+ * @access  Private (owner or admin)
+ * @returns 201 share: ShareLink, token: string, url: string
+ */
+router.post('/share',
+  authenticateToken,
+  strictLimiter,
+  validateCreateShare,
+  asyncHandler(async (req, res) => {
+    const chart = await findShareableChart(req);
+
+    const now = Date.now();
+    const expiresAt = req.body.expiresAt || new Date(now + (req.body.expiresIn || DEFAULT_TTL_SECONDS) * 1000);
+    if (expiresAt.getTime() - now > MAX_TTL_SECONDS * 1000) {
+      throw createError(400, `Share links can last at most ${MAX_TTL_SECONDS / 86400} days`);
+    }
+
+    const link = await ShareLink.create({
+      chartId: chart._id,
+      createdBy: req.user.userId,
+      label: req.body.label,
+      allowDataDownload: req.body.allowDataDownload === true,
+      maxViews: req.body.maxViews || null,
+      // Tokens carry whole seconds
+      expiresAt: new Date(Math.floor(expiresAt.getTime() / 1000) * 1000)
+    });
+
+    const token = signShareToken(link);
+
+    recordAudit(req, {
+      action: 'share.create',
+      chartId: chart._id,
+      details: { shareId: link._id, expiresAt: link.expiresAt, allowDataDownload: link.allowDataDownload }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Share link created successfully',
+      data: {
+        share: link,
+        token,
+        url: `${req.protocol}://${req.get('host')}/api/shared/${token}`
+      },
+      meta: {
+        timestamp: new Date().toISOString(),
+        version: '1.0.0'
+      }
+    });
+  })
+);
+
+/**
+ * @route   GET /api/charts/:id/shares
+ * @desc    List a chart's active share links (not revoked, expired or used up)
+ * @access  Private (owner or admin)
+ * @returns 200 shares: ShareLink[], count: integer
+ */
+router.get('/shares',
+  authenticateToken,
+  validateChartId,
+  asyncHandler(async (req, res) => {
+    const chart = await findShareableChart(req);
+
+    const shares = await ShareLink.find({ chartId: chart._id, ...ShareLink.activeFilter() })
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      data: {
+        shares,
+        count: shares.length
+      },
+      meta: {
+        timestamp: new Date().toISOString(),
+        version: '1.0.0'
+      }
+    });
+  })
+);
+
+/**
+ * @route   DELETE /api/charts/:id/shares/:shareId
+ * @desc    Revoke a share link; its token stops working immediately
+ * @access  Private (owner or admin)
+ * @returns 200 share: ShareLink
+ */
+router.delete('/shares/:shareId',
+  authenticateToken,
+  strictLimiter,
+  validateShareId,
+  asyncHandler(async (req, res) => {
+    const chart = await findShareableChart(req);
+
+    const share = await ShareLink.findOneAndUpdate(
+      { _id: req.params.shareId, chartId: chart._id },
+      { $set: { revokedAt: new Date(), revokedBy: req.user.userId } },
+      { new: true }
+    );
+
+    if (!share) {
+      throw createError(404, 'Share link not found');
+    }
+
+    recordAudit(req, { action: 'share.revoke', chartId: chart._id, details: { shareId: share._id } });
+
+    res.json({
+      success: true,
+      message: 'Share link revoked successfully',
+      data: {
+        share
+      },
+      meta: {
+        timestamp: new Date().toISOString(),
+        version: '1.0.0'
+      }
+    });
+  })
+);
+
+module.exports = router;
@@ -1,55 +1,576 @@
+const { Readable } = require('stream');
 const express = require('express');
+const mongoSanitize = require('express-mongo-sanitize');
 const Chart = require('../chartModel');
+const Dashboard = require('../dashboardModel');
 const { 
   validateCreateChart, 
   validateUpdateChart, 
+  validatePatchChart,
+  validateBulkImport,
+  validateCsvImport,
+  validateChartPayload,
   validateChartId, 
+  validateChartData,
+  validateChartRender,
   validatePagination,
+  validateChartFilters,
+  validateFieldSelection,
+  validateTrashList,
+  validateChartEvents,
+  validateExport,
   validateRequestSize,
-  validateContentType
+  validateContentType,
+  getMediaType,
+  parseSize,
+  PATCH_MEDIA_TYPES
 } = require('../middleware/validation');
+const { validatePlotlyFigure } = require('../utils/plotlyValidation');
+const { NDJSON_TYPE, readNdjson, toNdjsonLine } = require('../utils/ndjson');
+const { 
+  CSV_TYPE, 
+  TSV_TYPE, 
+  DELIMITERS, 
+  parseDelimited
+} = require('../utils/csv');
+const { 
+  chartFileName, 
+  negotiateTableFormat, 
+  sendChartTable 
+} = require('../utils/chartDownloads');
+const { renderFigureSvg } = require('../utils/svgRenderer');
+const { createLruCache } = require('../utils/lruCache');
+const { buildFigureFromTable } = require('../utils/tableFigure');
+const { countDataPoints } = require('../utils/traceData');
+const {
+  requestedFigureParts,
+  figureProjection,
+  selectTraces,
+  pickFields
+} = require('../utils/chartFields');
 const { strictLimiter } = require('../middleware/security');
+const { authenticateToken, requireAdmin, optionalAuth } = require('../middleware/auth');
+const {
+  isAdmin,
+  canReadChart,
+  canModifyChart,
+  assertCanRead,
+  assertCanModify
+} = require('../middleware/chartAccess');
+const { buildChartFilter, resolveChartSort, buildChartSort } = require('../utils/chartFilters');
+const {
+  encodeCursor,
+  decodeCursor,
+  afterCursorFilter,
+  buildLinkHeader
+} = require('../utils/chartPagination');
+const { parseSearchQuery, buildHighlights } = require('../utils/chartSearch');
+const { updateChartWithRevision } = require('../utils/chartRevisions');
+const { purgeDate, purgeChart } = require('../utils/chartTrash');
+const { CHART_AUDIT_FIELDS, diffFields, recordAudit } = require('../utils/audit');
+const { publishChartEvent, subscribeToChartEvents, readChartEventsSince } = require('../utils/chartEvents');
+const { 
+  JSON_PATCH_TYPE, 
+  applyJsonPatch, 
+  applyMergePatch 
+} = require('../utils/jsonPatch');
+const {
+  chartETag,
+  payloadETag,
+  chartValidators,
+  setCacheValidators,
+  isNotModified,
+  assertIfMatch
+} = require('../middleware/conditionalRequests');
 const { asyncHandler, createError } = require('../middleware/errorHandler');
 
 const router = express.Router();
 
+// Enough of a chart to check access and cache validators without loading plotlyData
+const CHART_HEAD_FIELDS = 'revision updatedAt visibility createdBy deletedAt';
+
+// Bulk import limits
+const BULK_MAX_ITEMS = parseInt(process.env.BULK_IMPORT_MAX_ITEMS) || 500;
+const BULK_MAX_NDJSON_BYTES = parseSize(process.env.BULK_IMPORT_MAX_SIZE || '20mb');
+
+// Bounds on list pages that include plotlyData
+const LIST_FIGURE_MAX_ITEMS = parseInt(process.env.CHART_LIST_FIGURE_MAX_ITEMS, 10) || 20;
+const LIST_FIGURE_MAX_BYTES = parseSize(process.env.CHART_LIST_FIGURE_MAX_SIZE || '5mb');
+
+// Most values returned per facet
+const FACET_LIMIT = parseInt(process.env.CHART_FACET_LIMIT, 10) || 50;
+
+// Event stream settings
+const EVENT_HEARTBEAT_MS = (parseInt(process.env.CHART_EVENTS_HEARTBEAT_SECONDS, 10) || 25) * 1000;
+const EVENT_MAX_STREAMS = parseInt(process.env.CHART_EVENTS_MAX_STREAMS, 10) || 1000;
+const EVENT_RETRY_MS = 3000;
+let openEventStreams = 0;
+
+// Rendered SVGs, keyed on chart ID, updatedAt and render options (0 disables the cache)
+const parsedSvgCacheSize = parseInt(process.env.SVG_RENDER_CACHE_SIZE, 10);
+const svgCache = createLruCache({
+  maxEntries: Number.isFinite(parsedSvgCacheSize) && parsedSvgCacheSize >= 0 ? parsedSvgCacheSize : 100
+});
+
+/**
+ * Build a new Chart document from a validated create payload
+ * @param {Object} payload - Validated request body ({ plotlyData, chartTitle, ... })
+ * @param {Object} user - Decoded JWT payload from req.user
+ * @returns {Object} Unsaved Chart document
+ */
+const buildNewChart = (payload, user) => {
+  // Extract title from the Plotly data or use provided title
+  const chartTitle = payload.chartTitle || 
+                    payload.plotlyData?.layout?.title?.text || 
+                    'Untitled Chart';
+
+  return new Chart({
+    plotlyData: payload.plotlyData,
+    chartTitle: chartTitle,
+    description: payload.description || '',
+    tags: payload.tags || [],
+    visibility: payload.visibility || 'public',
+    embedOrigins: payload.embedOrigins || [],
+    createdBy: user.userId,
+    updatedBy: user.userId
+  });
+};
+
 /**
  * @route   GET /api/charts
- * @desc    Get all charts with pagination and filtering
- * @access  Public
+ * @desc    Get all charts with pagination and filtering.
+ *          ?search= is full-text ("exact phrase", -excluded); matches carry a
+ *          relevance score and highlighted snippets and sort by relevance by default.
+ *          Pages with ?cursor= (pagination.nextCursor) or the legacy ?page=; totals
+ *          (X-Total-Count, X-Page-Count) are counted with ?includeTotal=true or ?page=.
+ *          ?fields= picks fields; ?include=plotlyData (or plotlyData in fields) adds
+ *          figures, narrowed with ?traces=, on cursor pages of bounded size.
+ * @access  Public (private charts only for their owner or an admin)
+ * @returns 200 charts: Chart[], pagination: object
+ * @returns 304
  */
 router.get('/', 
+  optionalAuth,
   validatePagination,
+  validateChartFilters,
+  validateFieldSelection,
   asyncHandler(async (req, res) => {
-    const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 10;
-    const sort = req.query.sort || '-createdAt';
+    const sort = resolveChartSort(req.query);
+    // ?page= (capped) is still honoured; cursors are the way to go deeper
+    const usePages = req.query.page !== undefined;
+    const page = parseInt(req.query.page) || 1;
+    const skip = usePages ? (page - 1) * limit : 0;
+    const includeTotal = req.query.includeTotal ?? usePages;
+
+    const { fields, traces } = req.query;
+    const includedFigure = req.query.include === 'plotlyData' ? ['plotlyData'] : [];
+    const listFields = fields && [...fields, ...includedFigure];
+    const figureParts = requestedFigureParts(listFields || includedFigure);
+    const withFigures = figureParts === 'all' || figureParts.length > 0;
+    if (withFigures && usePages) {
+      throw createError(400, 'Listing charts with plotlyData requires cursor pagination instead of page');
+    }
+    if (withFigures && limit > LIST_FIGURE_MAX_ITEMS) {
+      throw createError(400, `Limit must not exceed ${LIST_FIGURE_MAX_ITEMS} when listing charts with plotlyData`);
+    }
+
+    // Build filter object - always restricted to charts the caller may read
+    const filter = buildChartFilter(req.query, req.user);
+    const search = req.query.search ? parseSearchQuery(req.query.search) : null;
+    const after = req.query.cursor
+      ? afterCursorFilter(sort, decodeCursor(req.query.cursor, sort))
+      : null;
+
+    // Plotly data only when asked for; searches keep the indexed text for highlights
+    const projection = { ...figureProjection(figureParts), ...(!search && { searchFields: 0 }) };
+
+    // Fetch one extra chart to learn whether another page follows
+    const results = await Chart.aggregate([
+      { $match: filter },
+      ...(search ? [{ $addFields: { score: { $meta: 'textScore' } } }] : []),
+      ...(after ? [{ $match: after }] : []),
+      { $sort: { [sort.field]: sort.direction, _id: sort.direction } },
+      ...(skip > 0 ? [{ $skip: skip }] : []),
+      { $limit: limit + 1 },
+      // MongoDB rejects an empty $project (whole figure requested while searching)
+      ...(Object.keys(projection).length > 0 ? [{ $project: projection }] : [])
+    ]);
+
+    // Figures end the page early once they exceed the size budget (at least one chart is kept)
+    const pageResults = [];
+    let figureBytes = 0;
+    let cutShort = false;
+    for (const result of results.slice(0, limit)) {
+      const chart = traces && result.plotlyData
+        ? { ...result, plotlyData: selectTraces(result.plotlyData, traces) }
+        : result;
+      if (withFigures) {
+        figureBytes += Buffer.byteLength(JSON.stringify(chart.plotlyData ?? null));
+        if (figureBytes > LIST_FIGURE_MAX_BYTES && pageResults.length > 0) {
+          cutShort = true;
+          break;
+        }
+      }
+      pageResults.push(chart);
+    }
+
+    const hasNextPage = results.length > limit || cutShort;
+    const charts = pageResults.map(({ searchFields, ...result }) => {
+      const chart = search
+        ? { ...result, highlights: buildHighlights({ ...result, searchFields }, search) }
+        : result;
+      return listFields ? pickFields(chart, listFields, search ? ['score', 'highlights'] : []) : chart;
+    });
+
+    const total = includeTotal ? await Chart.countDocuments(filter) : undefined;
+    const totalPages = total !== undefined ? Math.ceil(total / limit) : undefined;
+
+    const pagination = {
+      chartsPerPage: limit,
+      hasNextPage,
+      nextCursor: hasNextPage ? encodeCursor(sort, pageResults[pageResults.length - 1]) : null,
+      ...(usePages && { currentPage: page, hasPrevPage: page > 1 }),
+      ...(total !== undefined && { totalCharts: total, totalPages })
+    };
+
+    const links = { first: usePages ? { page: 1 } : { cursor: null } };
+    if (hasNextPage) {
+      links.next = { cursor: pagination.nextCursor, page: null };
+    }
+    if (usePages && page > 1) {
+      links.prev = { page: page - 1 };
+    }
+    if (usePages && totalPages > 0) {
+      links.last = { page: totalPages };
+    }
+    res.set('Link', buildLinkHeader(req, links));
+    if (total !== undefined) {
+      res.set({ 'X-Total-Count': String(total), 'X-Page-Count': String(totalPages) });
+    }
+
+    // The page changes whenever any listed chart or the total changes
+    const lastModified = charts.reduce((latest, chart) => {
+      const updatedAt = chart.updatedAt ? new Date(chart.updatedAt) : undefined;
+      return updatedAt && (!latest || updatedAt > latest) ? updatedAt : latest;
+    }, undefined);
+    const validators = { etag: payloadETag({ charts, pagination }), lastModified };
+
+    setCacheValidators(res, validators);
+    if (isNotModified(req, validators)) {
+      return res.status(304).end();
+    }
+
+    res.json({
+      success: true,
+      data: {
+        charts,
+        pagination
+      },
+      meta: {
+        timestamp: new Date().toISOString(),
+        version: '1.0.0'
+      }
+    });
+  })
+);
+
+/**
+ * @route   GET /api/charts/export
+ * @desc    Stream every matching chart, including plotlyData, as NDJSON or one JSON document.
+ *          Accepts the same filters as GET /api/charts. Format is chosen with ?format=
+ *          or the Accept header (application/x-ndjson), defaulting to JSON.
+ * @access  Public (private charts only for their owner or an admin)
+ * @returns 200 application/json, application/x-ndjson
+ */
+router.get('/export',
+  optionalAuth,
+  validateChartFilters,
+  validateExport,
+  asyncHandler(async (req, res) => {
+    const sort = buildChartSort(req.query);
+    const filter = buildChartFilter(req.query, req.user);
+    const format = req.query.format || (req.accepts(['application/json', NDJSON_TYPE]) === NDJSON_TYPE ? 'ndjson' : 'json');
+
+    // A cursor keeps memory flat no matter how large the library is
+    const cursor = Chart.find(filter).sort(sort).lean().cursor();
+
+    let clientGone = false;
+    res.on('close', () => {
+      if (!res.writableFinished) {
+        clientGone = true;
+        cursor.close().catch(() => {});
+      }
+    });
+
+    const write = async (chunk) => {
+      if (res.destroyed || res.write(chunk)) {
+        return;
+      }
+      // Stop waiting when the client leaves while the response is backpressured
+      await new Promise((resolve) => {
+        const done = () => {
+          res.off('drain', done);
+          res.off('close', done);
+          res.off('error', done);
+          resolve();
+        };
+        res.on('drain', done);
+        res.on('close', done);
+        res.on('error', done);
+      });
+    };
+
+    const date = new Date().toISOString().slice(0, 10);
+    res.status(200);
+    res.set({
+      'Content-Type': format === 'ndjson' ? `${NDJSON_TYPE}; charset=utf-8` : 'application/json; charset=utf-8',
+      'Content-Disposition': `attachment; filename="charts-export-${date}.${format}"`,
+      'Cache-Control': 'no-store'
+    });
+
+    let count = 0;
+    try {
+      if (format === 'json') {
+        await write('{"success":true,"data":{"charts":[');
+      }
+
+      for await (const chart of cursor) {
+        if (clientGone) break;
+        if (format === 'ndjson') {
+          await write(toNdjsonLine(chart));
+        } else {
+          await write(`${count > 0 ? ',' : ''}${JSON.stringify(chart)}`);
+        }
+        count++;
+      }
+
+      if (format === 'json') {
+        await write(`],"count":${count}},"meta":${JSON.stringify({
+          timestamp: new Date().toISOString(),
+          version: '1.0.0'
+        })}}`);
+      }
+      res.end();
+    } catch (error) {
+      if (!res.headersSent) {
+        res.removeHeader('Content-Disposition');
+        throw error;
+      }
+      // Too late for an error response; cut the stream so the client sees it is incomplete
+      console.error('Chart export failed mid-stream:', error.message);
+      res.destroy(error);
+    }
+  })
+);
+
+/**
+ * Format a ChartEvent as a Server-Sent Events message
+ * @param {Object} event - Lean ChartEvent
+ * @returns {string}
+ */
+const formatServerSentEvent = (event) => {
+  const data = JSON.stringify({
+    event: event.event,
+    chart: event.chart,
+    ...event.extra,
+    createdAt: event.createdAt
+  });
+  return `id: ${event.seq}\nevent: ${event.event}\ndata: ${data}\n\n`;
+};
+
+/**
+ * @route   GET /api/charts/events
+ * @desc    Server-Sent Events stream of chart changes (chart.created, chart.updated,
+ *          chart.deleted, chart.restored, chart.duplicated) for charts the caller can
+ *          read. Filters: chartId, tag (comma-separated). Reconnecting with
+ *          Last-Event-ID replays buffered events; an `event: reset` means some were
+ *          lost and the client should reload.
+ * @access  Public (private charts only for their owner or an admin)
+ * @returns 200 text/event-stream
+ * @returns 503
+ */
+router.get('/events',
+  optionalAuth,
+  validateChartEvents,
+  asyncHandler(async (req, res) => {
+    if (openEventStreams >= EVENT_MAX_STREAMS) {
+      throw createError(503, 'Too many open event streams, please try again later');
+    }
+
+    const header = req.get('Last-Event-ID');
+    const lastEventId = header !== undefined && /^\d{1,15}$/.test(header.trim())
+      ? Number(header.trim())
+      : req.query.lastEventId;
+
+    const chartIds = req.query.chartId ? new Set(req.query.chartId) : null;
+    const tags = req.query.tag || null;
+    const wanted = event => canReadChart(event.chart, req.user) &&
+      (!chartIds || chartIds.has(String(event.chartId))) &&
+      (!tags || (event.chart.tags || []).some(tag => tags.includes(tag)));
+
+    // Listen before reading the buffer so nothing published in between is missed
+    let lastSeq = lastEventId ?? -1;
+    let replaying = true;
+    const queued = [];
+    const send = (event) => {
+      if (event.seq <= lastSeq) return;
+      lastSeq = event.seq;
+      if (wanted(event)) {
+        res.write(formatServerSentEvent(event));
+      }
+    };
+    const unsubscribe = subscribeToChartEvents(event => (replaying ? queued.push(event) : send(event)));
+
+    // Clean up from here on, also when the client leaves while the buffer is read
+    let heartbeat = null;
+    let expiry = null;
+    let closed = false;
+    const cleanUp = () => {
+      if (closed) return;
+      closed = true;
+      openEventStreams--;
+      clearInterval(heartbeat);
+      clearTimeout(expiry);
+      unsubscribe();
+    };
+    openEventStreams++;
+    req.on('close', cleanUp);
+
+    let backlog = { events: [], complete: true };
+    if (lastEventId !== undefined) {
+      try {
+        backlog = await readChartEventsSince(lastEventId);
+      } catch (error) {
+        cleanUp();
+        throw error;
+      }
+    }
+    if (closed) {
+      return;
+    }
+
+    res.status(200).set({
+      'Content-Type': 'text/event-stream; charset=utf-8',
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no' // Stop proxies from buffering the stream
+    });
+    res.flushHeaders();
+    res.write(`retry: ${EVENT_RETRY_MS}\n\n`);
+
+    if (!backlog.complete) {
+      res.write(`event: reset\ndata: ${JSON.stringify({ reason: 'Events since Last-Event-ID are no longer buffered' })}\n\n`);
+    }
+    backlog.events.forEach(send);
+    replaying = false;
+    queued.splice(0).forEach(send);
+
+    heartbeat = setInterval(() => res.write(': heartbeat\n\n'), EVENT_HEARTBEAT_MS);
+
+    // End the stream when the session expires; the client reconnects with its refreshed cookie
+    if (req.user?.exp) {
+      expiry = setTimeout(() => res.end(), Math.max(0, req.user.exp * 1000 - Date.now()));
+    }
+  })
+);
+
+/**
+ * @route   GET /api/charts/facets
+ * @desc    Counts per tag, trace type and creation month (UTC, YYYY-MM) for the
+ *          charts matching the same filters as GET /api/charts
+ * @access  Public (private charts only for their owner or an admin)
+ * @returns 200 facets: object, totalCharts: integer
+ * @returns 304
+ */
+router.get('/facets',
+  optionalAuth,
+  validateChartFilters,
+  asyncHandler(async (req, res) => {
+    const filter = buildChartFilter(req.query, req.user);
+
+    const countBy = (field) => [
+      { $unwind: `$${field}` },
+      { $group: { _id: `$${field}`, count: { $sum: 1 } } },
+      { $sort: { count: -1, _id: 1 } },
+      { $limit: FACET_LIMIT },
+      { $project: { _id: 0, value: '$_id', count: 1 } }
+    ];
+
+    const [result] = await Chart.aggregate([
+      { $match: filter },
+      {
+        $facet: {
+          tags: countBy('tags'),
+          traceTypes: countBy('traceTypes'),
+          months: [
+            { $group: { _id: { $dateToString: { format: '%Y-%m', date: '$createdAt' } }, count: { $sum: 1 } } },
+            { $sort: { _id: 1 } },
+            { $project: { _id: 0, month: '$_id', count: 1 } }
+          ],
+          total: [{ $count: 'count' }]
+        }
+      }
+    ]);
+
+    const data = {
+      facets: {
+        tags: result.tags,
+        traceTypes: result.traceTypes,
+        months: result.months
+      },
+      totalCharts: result.total[0]?.count || 0
+    };
+
+    const validators = { etag: payloadETag(data) };
+    setCacheValidators(res, validators);
+    if (isNotModified(req, validators)) {
+      return res.status(304).end();
+    }
+
+    res.json({
+      success: true,
+      data,
+      meta: {
+        timestamp: new Date().toISOString(),
+        version: '1.0.0'
+      }
+    });
+  })
+);
+
+/**
+ * @route   GET /api/charts/trash
+ * @desc    List charts in the trash, most recently deleted first. Users see their
+ *          own charts; admins see every user's (?owner=me for their own).
+ * @access  Private
+ * @returns 200 charts: Chart[], pagination: Pagination
+ */
+router.get('/trash',
+  authenticateToken,
+  validateTrashList,
+  asyncHandler(async (req, res) => {
+    const page = req.query.page || 1;
+    const limit = req.query.limit || 10;
     const skip = (page - 1) * limit;
 
-    // Build filter object
-    const filter = {};
-    if (req.query.search) {
-      filter.$or = [
-        { chartTitle: { $regex: req.query.search, $options: 'i' } },
-        { description: { $regex: req.query.search, $options: 'i' } },
-        { tags: { $in: [new RegExp(req.query.search, 'i')] } }
-      ];
+    const filter = { deletedAt: { $ne: null } };
+    if (!isAdmin(req.user) || req.query.owner === 'me') {
+      filter.createdBy = String(req.user.userId);
     }
 
-    // Get charts with pagination
     const charts = await Chart.find(filter)
-      .select('-plotlyData') // Exclude heavy plotly data for list view
-      .sort(sort)
+      .select('-plotlyData')
+      .sort({ deletedAt: -1, _id: -1 })
       .skip(skip)
       .limit(limit)
-      .lean(); // Use lean() for better performance
-
+      .lean();
     const total = await Chart.countDocuments(filter);
 
     res.json({
       success: true,
       data: {
-        charts,
+        charts: charts.map(chart => ({ ...chart, purgeAfter: purgeDate(chart.deletedAt) })),
         pagination: {
           currentPage: page,
           totalPages: Math.ceil(total / limit),
@@ -69,18 +590,44 @@ router.get('/',
 
 /**
  * @route   GET /api/charts/:id
- * @desc    Get a specific chart by ID
- * @access  Public
+ * @desc    Get a specific chart by ID. ?fields= picks fields (e.g. chartTitle,plotlyData.layout)
+ *          and ?traces= keeps the traces with the given indexes or names.
+ * @access  Public (private charts only for their owner or an admin)
+ * @returns 200 chart: Chart
+ * @returns 304
  */
 router.get('/:id',
+  optionalAuth,
   validateChartId,
+  validateFieldSelection,
   asyncHandler(async (req, res) => {
-    const chart = await Chart.findById(req.params.id).lean();
+    const head = await Chart.findById(req.params.id).select(CHART_HEAD_FIELDS).lean();
     
-    if (!chart) {
+    assertCanRead(head, req.user);
+
+    // Answer conditional requests before loading the (potentially large) figure
+    const { fields, traces } = req.query;
+    const validators = chartValidators(head, (fields || traces) && { view: 'json', fields, traces });
+    setCacheValidators(res, validators);
+    if (isNotModified(req, validators)) {
+      return res.status(304).end();
+    }
+
+    const stored = await Chart.findById(req.params.id)
+      .select(fields ? figureProjection(requestedFigureParts(fields)) : {})
+      .lean();
+    if (!stored) {
       throw createError(404, 'Chart not found');
     }
 
+    const selected = traces && stored.plotlyData
+      ? { ...stored, plotlyData: selectTraces(stored.plotlyData, traces) }
+      : stored;
+    const chart = fields ? pickFields(selected, fields) : selected;
+
+    // Advertise partial updates via PATCH
+    res.set('Accept-Patch', PATCH_MEDIA_TYPES.join(', '));
+
     res.json({
       success: true,
       data: {
@@ -97,35 +644,182 @@ router.get('/:id',
 /**
  * @route   POST /api/charts
  * @desc    Create a new chart
- * @access  Public
+ * @access  Private
+ * @returns 201 chart: Chart
  */
 router.post('/',
+  authenticateToken,
   strictLimiter,
   validateRequestSize('2mb'),
   validateContentType(['application/json']),
   validateCreateChart,
   asyncHandler(async (req, res) => {
-    // Extract title from the Plotly data or use provided title
-    const chartTitle = req.body.chartTitle || 
-                      req.body.plotlyData?.layout?.title?.text || 
-                      'Untitled Chart';
-
     // Create new chart document
-    const newChart = new Chart({
-      plotlyData: req.body.plotlyData,
-      chartTitle: chartTitle,
-      description: req.body.description || '',
-      tags: req.body.tags || []
-    });
+    const newChart = buildNewChart(req.body, req.user);
 
     const savedChart = await newChart.save();
+
+    recordAudit(req, {
+      action: 'chart.create',
+      chartId: savedChart._id,
+      changes: diffFields(null, savedChart, CHART_AUDIT_FIELDS)
+    });
+    publishChartEvent('chart.created', savedChart);
     
+    setCacheValidators(res, chartValidators(savedChart));
     res.status(201).json({
       success: true,
       message: 'Chart created successfully',
       data: {
         chart: savedChart
       },
+      meta: {
+        timestamp: new Date().toISOString(),
+        version: '1.0.0',
+        ...(req.plotlyValidation?.warnings.length && { validationWarnings: req.plotlyValidation.warnings })
+      }
+    });
+  })
+);
+
+/**
+ * @route   POST /api/charts/bulk
+ * @desc    Import many charts at once from a JSON array or a streamed NDJSON body.
+ *          Each item is validated like POST /api/charts and reported by index.
+ *          With ?atomic=true nothing is kept unless every item succeeds.
+ * @access  Private
+ * @returns 201 atomic: boolean, summary: object, results: object[]
+ * @returns 207 atomic: boolean, summary: object, results: object[]
+ * @returns 422 atomic: boolean, summary: object, results: object[]
+ */
+router.post('/bulk',
+  authenticateToken,
+  strictLimiter,
+  validateContentType(['application/json', NDJSON_TYPE]),
+  validateBulkImport,
+  asyncHandler(async (req, res) => {
+    const atomic = req.query.atomic === true;
+    const isNdjson = getMediaType(req) === NDJSON_TYPE;
+
+    if (!isNdjson && !Array.isArray(req.body)) {
+      throw createError(400, 'Bulk import body must be a JSON array of charts');
+    }
+
+    // JSON arrays were already parsed (2mb limit); NDJSON is read line by line,
+    // from the buffered body when a signed request's digest was checked
+    const records = isNdjson
+      ? readNdjson(req.rawBody ? Readable.from([req.rawBody]) : req, { maxBytes: BULK_MAX_NDJSON_BYTES })
+      : req.body.map((value, index) => ({ index, value }));
+
+    const results = [];
+    const pending = []; // Validated documents awaiting insert in atomic mode
+    const saved = []; // Documents written, for the audit log
+
+    for await (const record of records) {
+      if (record.index >= BULK_MAX_ITEMS) {
+        results.push({
+          index: record.index,
+          status: 'failed',
+          errors: [{ message: `Bulk import is limited to ${BULK_MAX_ITEMS} charts per request; remaining items were not read` }]
+        });
+        break;
+      }
+
+      if (record.error) {
+        results.push({ index: record.index, status: 'failed', errors: [{ message: record.error }] });
+        continue;
+      }
+
+      // NDJSON bypasses the global body sanitizer
+      const item = isNdjson ? mongoSanitize.sanitize(record.value, { replaceWith: '_' }) : record.value;
+      const validation = await validateChartPayload(item, req);
+
+      if (!validation.valid) {
+        results.push({ index: record.index, status: 'failed', errors: validation.details });
+        continue;
+      }
+
+      const chart = buildNewChart(validation.body, req.user);
+      const result = {
+        index: record.index,
+        status: 'created',
+        id: chart._id,
+        ...(validation.warnings.length && { warnings: validation.warnings })
+      };
+
+      if (atomic) {
+        pending.push(chart);
+        results.push(result);
+        continue;
+      }
+
+      try {
+        await chart.save();
+        saved.push(chart);
+      } catch (error) {
+        result.status = 'failed';
+        result.errors = [{ message: error.message }];
+        delete result.id;
+      }
+      results.push(result);
+    }
+
+    if (atomic) {
+      const failed = results.some(result => result.status === 'failed');
+
+      if (!failed && pending.length > 0) {
+        try {
+          await Chart.insertMany(pending, { ordered: true });
+          saved.push(...pending);
+        } catch (error) {
+          // Roll back whatever was written before the failure
+          await Chart.deleteMany({ _id: { $in: pending.map(chart => chart._id) } });
+          throw error;
+        }
+      } else if (failed) {
+        // Nothing was written; report valid items as skipped
+        results.forEach((result) => {
+          if (result.status === 'created') {
+            result.status = 'skipped';
+            delete result.id;
+          }
+        });
+      }
+    }
+
+    if (saved.length > 0) {
+      recordAudit(req, saved.map(chart => ({
+        action: 'chart.create',
+        chartId: chart._id,
+        changes: diffFields(null, chart, CHART_AUDIT_FIELDS),
+        details: { source: 'bulk' }
+      })));
+      saved.forEach(chart => publishChartEvent('chart.created', chart));
+    }
+
+    const created = results.filter(result => result.status === 'created').length;
+    const failedCount = results.filter(result => result.status === 'failed').length;
+
+    let statusCode = 201;
+    if (failedCount > 0) {
+      statusCode = atomic || created === 0 ? 422 : 207;
+    }
+
+    res.status(statusCode).json({
+      success: failedCount === 0,
+      message: failedCount === 0
+        ? `Imported ${created} charts`
+        : `Imported ${created} of ${results.length} charts`,
+      data: {
+        atomic,
+        summary: {
+          total: results.length,
+          created,
+          failed: failedCount,
+          skipped: results.length - created - failedCount
+        },
+        results
+      },
       meta: {
         timestamp: new Date().toISOString(),
         version: '1.0.0'
@@ -134,17 +828,105 @@ router.post('/',
   })
 );
 
+/**
+ * @route   POST /api/charts/from-csv
+ * @desc    Create a chart from a text/csv or text/tab-separated-values body.
+ *          The mapping comes from the query string: x, y (comma-separated),
+ *          type, groupBy, delimiter, plus chartTitle, description, tags, visibility.
+ * @access  Private
+ * @returns 201 chart: Chart, columns: object[], rows: integer
+ */
+router.post('/from-csv',
+  authenticateToken,
+  strictLimiter,
+  validateRequestSize('2mb'),
+  validateContentType([CSV_TYPE, TSV_TYPE]),
+  express.text({ type: [CSV_TYPE, TSV_TYPE], limit: '2mb' }),
+  validateCsvImport,
+  asyncHandler(async (req, res) => {
+    if (typeof req.body !== 'string' || req.body.trim() === '') {
+      throw createError(400, 'Request body must contain CSV or TSV data');
+    }
+
+    const delimiter = req.query.delimiter
+      ? DELIMITERS[req.query.delimiter]
+      : (getMediaType(req) === TSV_TYPE ? DELIMITERS.tab : DELIMITERS.comma);
+
+    let rows;
+    try {
+      rows = parseDelimited(req.body, { delimiter });
+    } catch (error) {
+      throw createError(400, `Could not parse table: ${error.message}`);
+    }
+
+    const { figure, columns } = buildFigureFromTable(rows, {
+      x: req.query.x,
+      y: req.query.y,
+      type: req.query.type,
+      groupBy: req.query.groupBy,
+      title: req.query.chartTitle
+    });
+
+    // Metadata goes through the same rules as POST /api/charts
+    const payload = { plotlyData: figure };
+    ['chartTitle', 'description', 'tags', 'visibility'].forEach((field) => {
+      if (req.query[field] !== undefined) payload[field] = req.query[field];
+    });
+
+    const validation = await validateChartPayload(payload, req);
+    if (!validation.valid) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: validation.details
+      });
+    }
+
+    const savedChart = await buildNewChart(validation.body, req.user).save();
+
+    recordAudit(req, {
+      action: 'chart.create',
+      chartId: savedChart._id,
+      changes: diffFields(null, savedChart, CHART_AUDIT_FIELDS),
+      details: { source: 'csv' }
+    });
+    publishChartEvent('chart.created', savedChart);
+
+    setCacheValidators(res, chartValidators(savedChart));
+    res.status(201).json({
+      success: true,
+      message: 'Chart created from table successfully',
+      data: {
+        chart: savedChart,
+        columns,
+        rows: rows.length - 1
+      },
+      meta: {
+        timestamp: new Date().toISOString(),
+        version: '1.0.0',
+        ...(validation.warnings.length && { validationWarnings: validation.warnings })
+      }
+    });
+  })
+);
+
 /**
  * @route   PUT /api/charts/:id
- * @desc    Update a specific chart
- * @access  Public
+ * @desc    Update a specific chart (the previous version is kept as a revision)
+ * @access  Private (owner or admin)
+ * @returns 200 chart: Chart
+ * @returns 412
  */
 router.put('/:id',
+  authenticateToken,
   strictLimiter,
   validateRequestSize('2mb'),
   validateContentType(['application/json']),
   validateUpdateChart,
   asyncHandler(async (req, res) => {
+    const existingChart = await Chart.findById(req.params.id).lean();
+    assertCanModify(existingChart, req.user);
+    assertIfMatch(req, res, chartETag(existingChart));
+
     const updateData = {};
     
     // Only update fields that are provided
@@ -152,32 +934,109 @@ router.put('/:id',
     if (req.body.chartTitle) updateData.chartTitle = req.body.chartTitle;
     if (req.body.description !== undefined) updateData.description = req.body.description;
     if (req.body.tags) updateData.tags = req.body.tags;
+    if (req.body.visibility) updateData.visibility = req.body.visibility;
+    if (req.body.embedOrigins) updateData.embedOrigins = req.body.embedOrigins;
     
-    // Always update the updatedAt timestamp
+    // Always record who made the change and when
+    updateData.updatedBy = req.user.userId;
     updateData.updatedAt = new Date();
     
-    const updatedChart = await Chart.findByIdAndUpdate(
-      req.params.id, 
-      updateData,
-      { 
-        new: true, // Return the updated document
-        runValidators: true // Run mongoose validators
+    const updatedChart = await updateChartWithRevision(existingChart, updateData, {
+      userId: req.user.userId,
+      message: req.body.changeMessage
+    });
+
+    recordAudit(req, {
+      action: 'chart.update',
+      chartId: updatedChart._id,
+      changes: diffFields(existingChart, updatedChart, CHART_AUDIT_FIELDS)
+    });
+    publishChartEvent('chart.updated', updatedChart);
+
+    setCacheValidators(res, chartValidators(updatedChart));
+    res.json({
+      success: true,
+      message: 'Chart updated successfully',
+      data: {
+        chart: updatedChart
+      },
+      meta: {
+        timestamp: new Date().toISOString(),
+        version: '1.0.0',
+        ...(req.plotlyValidation?.warnings.length && { validationWarnings: req.plotlyValidation.warnings })
       }
-    );
+    });
+  })
+);
 
-    if (!updatedChart) {
-      throw createError(404, 'Chart not found');
+/**
+ * @route   PATCH /api/charts/:id
+ * @desc    Partially update a chart's plotlyData with a JSON Patch (RFC 6902)
+ *          or JSON Merge Patch (RFC 7396). Paths are relative to plotlyData.
+ * @access  Private (owner or admin)
+ * @returns 200 chart: Chart
+ * @returns 412
+ * @returns 422
+ */
+router.patch('/:id',
+  authenticateToken,
+  strictLimiter,
+  validateRequestSize('2mb'),
+  validateContentType(PATCH_MEDIA_TYPES),
+  validatePatchChart,
+  asyncHandler(async (req, res) => {
+    const existingChart = await Chart.findById(req.params.id).lean();
+    assertCanModify(existingChart, req.user);
+    assertIfMatch(req, res, chartETag(existingChart));
+
+    // Patches are applied to a copy; any failing operation leaves the chart untouched
+    const isJsonPatch = getMediaType(req) === JSON_PATCH_TYPE;
+    const plotlyData = isJsonPatch
+      ? applyJsonPatch(existingChart.plotlyData, req.body)
+      : applyMergePatch(existingChart.plotlyData, req.body);
+
+    const validation = validatePlotlyFigure(plotlyData, { mode: req.query.validation });
+    if (!validation.valid) {
+      return res.status(422).json({
+        error: 'Validation failed',
+        message: 'Patched Plotly data is invalid',
+        details: validation.errors.map(issue => ({
+          field: issue.path ? `plotlyData.${issue.path}` : 'plotlyData',
+          message: issue.message
+        }))
+      });
     }
 
+    const updatedChart = await updateChartWithRevision(existingChart, {
+      plotlyData,
+      updatedBy: req.user.userId,
+      updatedAt: new Date()
+    }, {
+      userId: req.user.userId,
+      message: isJsonPatch
+        ? `Applied JSON Patch (${req.body.length} operations)`
+        : 'Applied JSON Merge Patch'
+    });
+
+    recordAudit(req, {
+      action: 'chart.patch',
+      chartId: updatedChart._id,
+      changes: diffFields(existingChart, updatedChart, ['plotlyData']),
+      details: { format: isJsonPatch ? 'json-patch' : 'merge-patch' }
+    });
+    publishChartEvent('chart.updated', updatedChart);
+
+    setCacheValidators(res, chartValidators(updatedChart));
     res.json({
       success: true,
-      message: 'Chart updated successfully',
+      message: 'Chart patched successfully',
       data: {
         chart: updatedChart
       },
       meta: {
         timestamp: new Date().toISOString(),
-        version: '1.0.0'
+        version: '1.0.0',
+        ...(validation.warnings.length && { validationWarnings: validation.warnings })
       }
     });
   })
@@ -185,28 +1044,58 @@ router.put('/:id',
 
 /**
  * @route   DELETE /api/charts/:id
- * @desc    Delete a specific chart
- * @access  Public
+ * @desc    Move a chart to the trash; it can be restored until it is purged
+ *          CHART_TRASH_RETENTION_DAYS later
+ * @access  Private (owner or admin)
+ * @returns 200 chartId: string, affectedDashboards: integer, deletedChart: object
+ * @returns 412
  */
 router.delete('/:id',
+  authenticateToken,
   strictLimiter,
   validateChartId,
   asyncHandler(async (req, res) => {
-    const deletedChart = await Chart.findByIdAndDelete(req.params.id);
+    const existingChart = await Chart.findById(req.params.id).select(CHART_HEAD_FIELDS).lean();
+    assertCanModify(existingChart, req.user);
+    assertIfMatch(req, res, chartETag(existingChart));
+
+    // Only trash the revision that was checked above
+    const deletedChart = await Chart.findOneAndUpdate(
+      {
+        _id: req.params.id,
+        revision: existingChart.revision ? existingChart.revision : { $exists: false },
+        deletedAt: null
+      },
+      { $set: { deletedAt: new Date(), deletedBy: req.user.userId } },
+      { new: true, timestamps: false }
+    ).lean();
     
     if (!deletedChart) {
-      throw createError(404, 'Chart not found');
+      throw createError(409, 'Chart was modified by another request. Reload it and try again.');
     }
 
+    // Dashboard tiles keep their place but are marked, so their owners can see what went missing
+    const affectedDashboards = await Dashboard.markChartRemoved(deletedChart._id);
+
+    recordAudit(req, {
+      action: 'chart.delete',
+      chartId: deletedChart._id,
+      details: { chartTitle: deletedChart.chartTitle }
+    });
+    publishChartEvent('chart.deleted', deletedChart);
+
     res.json({
       success: true,
-      message: 'Chart deleted successfully',
+      message: 'Chart moved to trash',
       data: {
         chartId: req.params.id,
+        affectedDashboards,
         deletedChart: {
           id: deletedChart._id,
           chartTitle: deletedChart.chartTitle,
-          createdAt: deletedChart.createdAt
+          createdAt: deletedChart.createdAt,
+          deletedAt: deletedChart.deletedAt,
+          purgeAfter: purgeDate(deletedChart.deletedAt)
         }
       },
       meta: {
@@ -217,16 +1106,111 @@ router.delete('/:id',
   })
 );
 
+/**
+ * @route   POST /api/charts/:id/restore
+ * @desc    Restore a chart from the trash
+ * @access  Private (owner or admin)
+ * @returns 200 chart: Chart, affectedDashboards: integer
+ */
+router.post('/:id/restore',
+  authenticateToken,
+  strictLimiter,
+  validateChartId,
+  asyncHandler(async (req, res) => {
+    const trashed = await Chart.findById(req.params.id).select(CHART_HEAD_FIELDS).lean();
+
+    // Someone else's trash is reported as missing
+    if (!trashed || !trashed.deletedAt || !canModifyChart(trashed, req.user)) {
+      throw createError(404, 'Chart not found in the trash');
+    }
+
+    const chart = await Chart.findOneAndUpdate(
+      { _id: trashed._id, deletedAt: { $ne: null } },
+      { $set: { deletedAt: null }, $unset: { deletedBy: '' } },
+      { new: true, timestamps: false }
+    ).select('-plotlyData').lean();
+
+    if (!chart) {
+      throw createError(404, 'Chart not found in the trash');
+    }
+
+    const affectedDashboards = await Dashboard.markChartRestored(chart._id);
+
+    recordAudit(req, { action: 'chart.restore', chartId: chart._id });
+    publishChartEvent('chart.restored', chart);
+
+    res.json({
+      success: true,
+      message: 'Chart restored from trash',
+      data: {
+        chart,
+        affectedDashboards
+      },
+      meta: {
+        timestamp: new Date().toISOString(),
+        version: '1.0.0'
+      }
+    });
+  })
+);
+
+/**
+ * @route   DELETE /api/charts/:id/purge
+ * @desc    Permanently delete a chart (in the trash or not) with its revisions
+ *          and share links. This cannot be undone.
+ * @access  Private (admin only)
+ * @returns 200 chartId: string
+ */
+router.delete('/:id/purge',
+  authenticateToken,
+  requireAdmin,
+  strictLimiter,
+  validateChartId,
+  asyncHandler(async (req, res) => {
+    const purged = await purgeChart(req.params.id);
+    if (!purged) {
+      throw createError(404, 'Chart not found');
+    }
+
+    recordAudit(req, { action: 'chart.purge', chartId: req.params.id });
+
+    res.json({
+      success: true,
+      message: 'Chart permanently deleted',
+      data: {
+        chartId: req.params.id
+      },
+      meta: {
+        timestamp: new Date().toISOString(),
+        version: '1.0.0'
+      }
+    });
+  })
+);
+
 /**
  * @route   GET /api/charts/:id/stats
  * @desc    Get chart statistics (size, complexity, etc.)
- * @access  Public
+ * @access  Public (private charts only for their owner or an admin)
+ * @returns 200 stats: object
+ * @returns 304
  */
 router.get('/:id/stats',
+  optionalAuth,
   validateChartId,
   asyncHandler(async (req, res) => {
-    const chart = await Chart.findById(req.params.id).lean();
+    const head = await Chart.findById(req.params.id).select(CHART_HEAD_FIELDS).lean();
     
+    assertCanRead(head, req.user);
+
+    // Stats only change when the chart does
+    const validators = chartValidators(head, { view: 'stats' });
+    setCacheValidators(res, validators);
+    if (isNotModified(req, validators)) {
+      return res.status(304).end();
+    }
+
+    const chart = await Chart.findById(req.params.id).lean();
     if (!chart) {
       throw createError(404, 'Chart not found');
     }
@@ -237,10 +1221,7 @@ router.get('/:id/stats',
       chartTitle: chart.chartTitle,
       createdAt: chart.createdAt,
       updatedAt: chart.updatedAt,
-      dataPoints: chart.plotlyData?.data ? 
-        chart.plotlyData.data.reduce((total, trace) => {
-          return total + (trace.x?.length || trace.y?.length || 0);
-        }, 0) : 0,
+      dataPoints: countDataPoints(chart.plotlyData),
       numberOfTraces: chart.plotlyData?.data?.length || 0,
       hasLayout: !!chart.plotlyData?.layout,
       tags: chart.tags || [],
@@ -262,30 +1243,119 @@ router.get('/:id/stats',
   })
 );
 
+/**
+ * @route   GET /api/charts/:id/data
+ * @desc    Download the trace data behind a chart as CSV or TSV.
+ *          Format via ?format= or the Accept header; ?shape=wide aligns traces on shared x values.
+ * @access  Public (private charts only for their owner or an admin)
+ * @returns 200 text/csv, text/tab-separated-values
+ * @returns 304
+ */
+router.get('/:id/data',
+  optionalAuth,
+  validateChartData,
+  asyncHandler(async (req, res) => {
+    const format = negotiateTableFormat(req);
+
+    const head = await Chart.findById(req.params.id).select(CHART_HEAD_FIELDS).lean();
+    assertCanRead(head, req.user);
+
+    const validators = chartValidators(head, { view: 'data', format, shape: req.query.shape });
+    setCacheValidators(res, validators);
+    res.vary('Accept');
+    if (isNotModified(req, validators)) {
+      return res.status(304).end();
+    }
+
+    const chart = await Chart.findById(req.params.id).lean();
+    if (!chart) {
+      throw createError(404, 'Chart not found');
+    }
+
+    sendChartTable(res, chart, { format, shape: req.query.shape });
+  })
+);
+
+/**
+ * @route   GET /api/charts/:id/render.svg
+ * @desc    Render the chart to a static SVG (scatter/line, area, bar, histogram, pie).
+ *          Query: width, height (pixels) and theme (light, dark, plotly).
+ * @access  Public (private charts only for their owner or an admin)
+ * @returns 200 image/svg+xml
+ * @returns 304
+ */
+router.get('/:id/render.svg',
+  optionalAuth,
+  validateChartRender,
+  asyncHandler(async (req, res) => {
+    const head = await Chart.findById(req.params.id).select(`${CHART_HEAD_FIELDS} chartTitle`).lean();
+    assertCanRead(head, req.user);
+
+    const { width, height, theme } = req.query;
+    const validators = chartValidators(head, { view: 'svg', width, height, theme });
+    setCacheValidators(res, validators);
+    if (isNotModified(req, validators)) {
+      return res.status(304).end();
+    }
+
+    const cacheKey = [head._id, new Date(head.updatedAt).getTime(), width, height, theme].join(':');
+
+    let svg = svgCache.get(cacheKey);
+    if (!svg) {
+      const chart = await Chart.findById(req.params.id).select('plotlyData').lean();
+      if (!chart) {
+        throw createError(404, 'Chart not found');
+      }
+      ({ svg } = renderFigureSvg(chart.plotlyData, { width, height, theme }));
+      svgCache.set(cacheKey, svg);
+    }
+
+    res.set({
+      'Content-Type': 'image/svg+xml; charset=utf-8',
+      'Content-Disposition': `inline; filename="${chartFileName(head, 'svg')}"`,
+      // The SVG is static: nothing in it may run or load anything
+      'Content-Security-Policy': "default-src 'none'; style-src 'unsafe-inline'"
+    });
+    res.send(svg);
+  })
+);
+
 /**
  * @route   POST /api/charts/:id/duplicate
- * @desc    Duplicate a chart
- * @access  Public
+ * @desc    Duplicate a chart (the copy is owned by the caller)
+ * @access  Private (any chart the caller can read)
+ * @returns 201 original: object, duplicate: Chart
  */
 router.post('/:id/duplicate',
+  authenticateToken,
   strictLimiter,
   validateChartId,
   asyncHandler(async (req, res) => {
     const originalChart = await Chart.findById(req.params.id).lean();
     
-    if (!originalChart) {
-      throw createError(404, 'Chart not found');
-    }
+    assertCanRead(originalChart, req.user);
 
     // Create duplicate with modified title
     const duplicateChart = new Chart({
       plotlyData: originalChart.plotlyData,
       chartTitle: `${originalChart.chartTitle} (Copy)`,
       description: originalChart.description,
-      tags: originalChart.tags
+      tags: originalChart.tags,
+      visibility: originalChart.visibility || 'public',
+      embedOrigins: originalChart.embedOrigins || [],
+      createdBy: req.user.userId,
+      updatedBy: req.user.userId
     });
 
     const savedDuplicate = await duplicateChart.save();
+
+    recordAudit(req, {
+      action: 'chart.duplicate',
+      chartId: savedDuplicate._id,
+      changes: diffFields(null, savedDuplicate, CHART_AUDIT_FIELDS),
+      details: { sourceChartId: originalChart._id }
+    });
+    publishChartEvent('chart.duplicated', savedDuplicate, { sourceChartId: originalChart._id });
     
     res.status(201).json({
       success: true,
@@ -305,7 +1375,13 @@ router.post('/:id/duplicate',
   })
 );
 
-// Legacy endpoint for backward compatibility
+/**
+ * @route   GET /api/charts/legacy/plotly-data
+ * @desc    Legacy endpoint kept for backward compatibility; points to GET /api/charts
+ * @access  Public
+ * @deprecated
+ * @returns 301
+ */
 router.get('/legacy/plotly-data', (req, res) => {
   res.status(301).json({
     success: false,
@@ -0,0 +1,324 @@
+const express = require('express');
+const Chart = require('../chartModel');
+const Dashboard = require('../dashboardModel');
+const {
+  validateCreateDashboard,
+  validateUpdateDashboard,
+  validateDashboardId,
+  validateDashboardList
+} = require('../middleware/validation');
+const { strictLimiter } = require('../middleware/security');
+const { authenticateToken, optionalAuth } = require('../middleware/auth');
+const {
+  buildReadFilter,
+  assertCanReadDashboard,
+  assertCanModifyDashboard
+} = require('../middleware/chartAccess');
+const { selectTraces } = require('../utils/chartFields');
+const { DASHBOARD_AUDIT_FIELDS, diffFields, recordAudit } = require('../utils/audit');
+const { asyncHandler, createError } = require('../middleware/errorHandler');
+
+// Mounted at /api/dashboards
+const router = express.Router();
+
+/**
+ * Reject tiles that stick out of the grid or overlap each other
+ * @param {Array} tiles - Validated tiles
+ * @param {number} columns - Grid width
+ */
+const assertTileLayout = (tiles, columns) => {
+  tiles.forEach((tile, index) => {
+    if (tile.x + tile.w > columns) {
+      throw createError(400, `Tile ${index} extends past the grid width of ${columns} columns`);
+    }
+  });
+
+  tiles.forEach((a, i) => {
+    tiles.slice(i + 1).forEach((b, offset) => {
+      const overlaps = a.x < b.x + b.w && b.x < a.x + a.w && a.y < b.y + b.h && b.y < a.y + a.h;
+      if (overlaps) {
+        throw createError(400, `Tiles ${i} and ${i + 1 + offset} overlap`);
+      }
+    });
+  });
+};
+
+/**
+ * Build stored tiles from a validated request, checking that every newly
+ * placed chart exists and is readable by the caller. Charts already on the
+ * dashboard keep their removal marker.
+ * @param {Array} input - Validated req.body.tiles
+ * @param {Object} user - Decoded JWT payload from req.user
+ * @param {Array} [previous] - Tiles currently stored
+ * @returns {Promise<Array>}
+ */
+const buildTiles = async (input, user, previous = []) => {
+  const removedAt = new Map(previous.map(tile => [String(tile.chartId), tile.chartRemovedAt]));
+  const newIds = [...new Set(input.map(tile => String(tile.chartId)))]
+    .filter(id => !removedAt.has(id));
+
+  if (newIds.length > 0) {
+    const found = await Chart.find({ _id: { $in: newIds }, deletedAt: null, ...buildReadFilter(user) })
+      .select('_id')
+      .lean();
+    const foundIds = new Set(found.map(chart => String(chart._id)));
+    const missing = newIds.filter(id => !foundIds.has(id));
+    if (missing.length > 0) {
+      throw createError(400, `Charts not found: ${missing.join(', ')}`);
+    }
+  }
+
+  return input.map(tile => ({
+    chartId: tile.chartId,
+    x: tile.x,
+    y: tile.y,
+    w: tile.w,
+    h: tile.h,
+    overrides: {
+      title: tile.overrides?.title,
+      height: tile.overrides?.height,
+      traces: tile.overrides?.traces
+    },
+    chartRemovedAt: removedAt.get(String(tile.chartId)) || undefined
+  }));
+};
+
+/**
+ * Attach the chart of every tile the caller may read (null when it is gone or private)
+ * @param {Object} dashboard - Lean dashboard
+ * @param {Object} [user] - Decoded JWT payload from req.user
+ * @returns {Promise<Object>} Dashboard with tiles[].chart
+ */
+const expandCharts = async (dashboard, user) => {
+  const ids = [...new Set(dashboard.tiles.map(tile => String(tile.chartId)))];
+  const charts = await Chart.find({ _id: { $in: ids }, deletedAt: null, ...buildReadFilter(user) }).lean();
+  const byId = new Map(charts.map(chart => [String(chart._id), chart]));
+
+  return {
+    ...dashboard,
+    tiles: dashboard.tiles.map(tile => {
+      const chart = byId.get(String(tile.chartId));
+      const traces = tile.overrides?.traces;
+      return {
+        ...tile,
+        chart: chart && traces?.length
+          ? { ...chart, plotlyData: selectTraces(chart.plotlyData, traces) }
+          : (chart || null)
+      };
+    })
+  };
+};
+
+/**
+ * @route   GET /api/dashboards
+ * @desc    List dashboards (?owner=me for your own), newest first
+ * @access  Public (private dashboards only for their owner or an admin)
+ * @returns 200 dashboards: Dashboard[], pagination: Pagination
+ */
+router.get('/',
+  optionalAuth,
+  validateDashboardList,
+  asyncHandler(async (req, res) => {
+    const page = req.query.page || 1;
+    const limit = req.query.limit || 10;
+    const skip = (page - 1) * limit;
+
+    const conditions = [buildReadFilter(req.user)];
+    if (req.query.owner === 'me') {
+      if (!req.user) {
+        throw createError(401, 'Authentication required to filter by owner');
+      }
+      conditions.push({ createdBy: String(req.user.userId) });
+    }
+    const filter = { $and: conditions };
+
+    const dashboards = await Dashboard.find(filter)
+      .sort({ updatedAt: -1, _id: -1 })
+      .skip(skip)
+      .limit(limit)
+      .lean();
+    const total = await Dashboard.countDocuments(filter);
+
+    res.json({
+      success: true,
+      data: {
+        dashboards,
+        pagination: {
+          currentPage: page,
+          totalPages: Math.ceil(total / limit),
+          totalDashboards: total,
+          dashboardsPerPage: limit,
+          hasNextPage: skip + dashboards.length < total,
+          hasPrevPage: page > 1
+        }
+      },
+      meta: {
+        timestamp: new Date().toISOString(),
+        version: '1.0.0'
+      }
+    });
+  })
+);
+
+/**
+ * @route   GET /api/dashboards/:id
+ * @desc    Get a dashboard. ?expand=charts adds each tile's chart (tile.chart is
+ *          null when the chart was deleted, is in the trash or is not readable by the caller).
+ * @access  Public (private dashboards only for their owner or an admin)
+ * @returns 200 dashboard: Dashboard
+ */
+router.get('/:id',
+  optionalAuth,
+  validateDashboardId,
+  asyncHandler(async (req, res) => {
+    const stored = await Dashboard.findById(req.params.id).lean();
+    assertCanReadDashboard(stored, req.user);
+
+    const dashboard = req.query.expand === 'charts'
+      ? await expandCharts(stored, req.user)
+      : stored;
+
+    res.json({
+      success: true,
+      data: {
+        dashboard
+      },
+      meta: {
+        timestamp: new Date().toISOString(),
+        version: '1.0.0'
+      }
+    });
+  })
+);
+
+/**
+ * @route   POST /api/dashboards
+ * @desc    Create a dashboard. Body: title, description, visibility, columns (grid
+ *          width, default 12) and tiles [{ chartId, x, y, w, h, overrides }].
+ * @access  Private
+ * @returns 201 dashboard: Dashboard
+ */
+router.post('/',
+  authenticateToken,
+  strictLimiter,
+  validateCreateDashboard,
+  asyncHandler(async (req, res) => {
+    const columns = req.body.columns || 12;
+    const tiles = req.body.tiles || [];
+    assertTileLayout(tiles, columns);
+
+    const dashboard = await Dashboard.create({
+      title: req.body.title,
+      description: req.body.description || '',
+      visibility: req.body.visibility || 'public',
+      columns,
+      tiles: await buildTiles(tiles, req.user),
+      createdBy: req.user.userId,
+      updatedBy: req.user.userId
+    });
+
+    recordAudit(req, {
+      action: 'dashboard.create',
+      dashboardId: dashboard._id,
+      changes: diffFields(null, dashboard, DASHBOARD_AUDIT_FIELDS)
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Dashboard created successfully',
+      data: {
+        dashboard
+      },
+      meta: {
+        timestamp: new Date().toISOString(),
+        version: '1.0.0'
+      }
+    });
+  })
+);
+
+/**
+ * @route   PUT /api/dashboards/:id
+ * @desc    Update a dashboard; tiles, when given, replace the whole grid
+ * @access  Private (owner or admin)
+ * @returns 200 dashboard: Dashboard
+ */
+router.put('/:id',
+  authenticateToken,
+  strictLimiter,
+  validateUpdateDashboard,
+  asyncHandler(async (req, res) => {
+    const dashboard = await Dashboard.findById(req.params.id);
+    assertCanModifyDashboard(dashboard, req.user);
+    const before = dashboard.toObject();
+
+    const columns = req.body.columns || dashboard.columns;
+    const tiles = req.body.tiles || dashboard.tiles;
+    assertTileLayout(tiles, columns);
+
+    ['title', 'description', 'visibility'].forEach(field => {
+      if (req.body[field] !== undefined) {
+        dashboard[field] = req.body[field];
+      }
+    });
+    dashboard.columns = columns;
+    if (req.body.tiles) {
+      dashboard.tiles = await buildTiles(req.body.tiles, req.user, dashboard.tiles);
+    }
+    dashboard.updatedBy = req.user.userId;
+
+    await dashboard.save();
+
+    recordAudit(req, {
+      action: 'dashboard.update',
+      dashboardId: dashboard._id,
+      changes: diffFields(before, dashboard.toObject(), DASHBOARD_AUDIT_FIELDS)
+    });
+
+    res.json({
+      success: true,
+      message: 'Dashboard updated successfully',
+      data: {
+        dashboard
+      },
+      meta: {
+        timestamp: new Date().toISOString(),
+        version: '1.0.0'
+      }
+    });
+  })
+);
+
+/**
+ * @route   DELETE /api/dashboards/:id
+ * @desc    Delete a dashboard (its charts are not affected)
+ * @access  Private (owner or admin)
+ * @returns 200 dashboardId: string
+ */
+router.delete('/:id',
+  authenticateToken,
+  strictLimiter,
+  validateDashboardId,
+  asyncHandler(async (req, res) => {
+    const dashboard = await Dashboard.findById(req.params.id).select('title visibility createdBy').lean();
+    assertCanModifyDashboard(dashboard, req.user);
+
+    await Dashboard.deleteOne({ _id: dashboard._id });
+
+    recordAudit(req, { action: 'dashboard.delete', dashboardId: dashboard._id, details: { title: dashboard.title } });
+
+    res.json({
+      success: true,
+      message: 'Dashboard deleted successfully',
+      data: {
+        dashboardId: req.params.id
+      },
+      meta: {
+        timestamp: new Date().toISOString(),
+        version: '1.0.0'
+      }
+    });
+  })
+);
+
+module.exports = router;
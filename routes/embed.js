@@ -0,0 +1,125 @@
+const crypto = require('crypto');
+const express = require('express');
+const Chart = require('../chartModel');
+const { validateEmbed } = require('../middleware/validation');
+const { EMBED_ALLOWED_ORIGINS, setEmbedSecurityHeaders } = require('../middleware/security');
+const { optionalAuth } = require('../middleware/auth');
+const { assertCanRead } = require('../middleware/chartAccess');
+const {
+  chartValidators,
+  setCacheValidators,
+  isNotModified
+} = require('../middleware/conditionalRequests');
+const { escapeHtml, decodeStoredText } = require('../utils/html');
+const { asyncHandler, createError } = require('../middleware/errorHandler');
+
+// Mounted at /embed
+const router = express.Router();
+
+// Set PLOTLY_JS_URL to self-host plotly.js (e.g. the CSP-safe plotly.js-strict-dist bundle)
+const PLOTLY_JS_URL = process.env.PLOTLY_JS_URL || 'https://cdn.plot.ly/plotly-2.35.2.min.js';
+
+const plotlySource = (() => {
+  try {
+    return new URL(PLOTLY_JS_URL).origin;
+  } catch (error) {
+    return "'self'"; // Relative URL served by this app
+  }
+})();
+
+// The bootstrap script is constant (the figure travels in a JSON block), so the
+// CSP can allow it by hash and cached pages stay valid across requests
+const BOOTSTRAP_SCRIPT = `
+var payload = JSON.parse(document.getElementById('chart-payload').textContent);
+var figure = payload.figure || {};
+var layout = Object.assign({}, figure.layout, payload.layout);
+Plotly.newPlot('chart', figure.data || [], layout, payload.config);
+`;
+const BOOTSTRAP_HASH = `'sha256-${crypto.createHash('sha256').update(BOOTSTRAP_SCRIPT).digest('base64')}'`;
+
+/**
+ * JSON that is safe inside a <script> element
+ */
+const scriptJson = (value) => JSON.stringify(value)
+  .replace(/</g, '\\u003c')
+  .replace(/\u2028/g, '\\u2028')
+  .replace(/\u2029/g, '\\u2029');
+
+/**
+ * Build the embed page
+ * @param {Object} chart - Chart document
+ * @param {Object} options - { height, modebar, responsive }
+ * @returns {string} HTML document
+ */
+const renderEmbedPage = (chart, { height, modebar = true, responsive = true }) => {
+  const payload = {
+    figure: chart.plotlyData,
+    layout: height ? { height, autosize: true } : { autosize: true },
+    config: {
+      displayModeBar: modebar ? 'hover' : false,
+      displaylogo: false,
+      responsive
+    }
+  };
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<meta name="robots" content="noindex">
+<title>${escapeHtml(decodeStoredText(chart.chartTitle)) || 'Chart'}</title>
+<style>html, body { margin: 0; height: 100%; } #chart { width: 100%; height: ${height ? `${height}px` : '100%'}; }</style>
+</head>
+<body>
+<div id="chart"></div>
+<script type="application/json" id="chart-payload">${scriptJson(payload)}</script>
+<script src="${escapeHtml(PLOTLY_JS_URL)}" charset="utf-8"></script>
+<script>${BOOTSTRAP_SCRIPT}</script>
+</body>
+</html>
+`;
+};
+
+/**
+ * @route   GET /embed/:id
+ * @desc    Minimal HTML page rendering the chart with plotly.js, for use in an iframe.
+ *          Query: modebar=false hides the mode bar, responsive=false disables resizing,
+ *          height fixes the height in pixels (default: fill the frame).
+ *          Framing is allowed from EMBED_ALLOWED_ORIGINS and the chart's embedOrigins.
+ * @access  Public (private charts only for their owner or an admin)
+ * @returns 200 text/html
+ * @returns 304
+ */
+router.get('/:id',
+  optionalAuth,
+  validateEmbed,
+  asyncHandler(async (req, res) => {
+    const head = await Chart.findById(req.params.id)
+      .select('revision updatedAt visibility createdBy embedOrigins deletedAt')
+      .lean();
+    assertCanRead(head, req.user);
+
+    // Sent on 304 as well: the cached page is still framed under the current policy
+    setEmbedSecurityHeaders(res, {
+      frameAncestors: [...EMBED_ALLOWED_ORIGINS, ...(head.embedOrigins || [])],
+      scriptSources: [BOOTSTRAP_HASH, plotlySource]
+    });
+
+    const { modebar, responsive, height } = req.query;
+    const validators = chartValidators(head, { view: 'embed', modebar, responsive, height });
+    setCacheValidators(res, validators);
+    if (isNotModified(req, validators)) {
+      return res.status(304).end();
+    }
+
+    const chart = await Chart.findById(req.params.id).select('plotlyData chartTitle').lean();
+    if (!chart) {
+      throw createError(404, 'Chart not found');
+    }
+
+    res.type('html').send(renderEmbedPage(chart, req.query));
+  })
+);
+
+module.exports = router;
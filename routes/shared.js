@@ -0,0 +1,104 @@
+const express = require('express');
+const Chart = require('../chartModel');
+const ShareLink = require('../shareLinkModel');
+const { validateSharedChart } = require('../middleware/validation');
+const { verifyShareToken } = require('../utils/shareTokens');
+const { negotiateTableFormat, sendChartTable } = require('../utils/chartDownloads');
+const { asyncHandler, createError } = require('../middleware/errorHandler');
+
+// Mounted at /api/shared
+const router = express.Router();
+
+// What a share link exposes; ownership and settings stay private
+const SHARED_CHART_FIELDS = 'plotlyData chartTitle description tags createdAt updatedAt';
+
+/**
+ * Resolve a share token: check its signature, count the view and load the chart.
+ * Every successful request through a link counts towards its maxViews.
+ * @param {string} token
+ * @returns {Promise<{ link: Object, chart: Object }>}
+ */
+const resolveShare = async (token) => {
+  const { linkId } = verifyShareToken(token);
+
+  const link = await ShareLink.recordView(linkId);
+  if (!link) {
+    const exists = await ShareLink.exists({ _id: linkId });
+    throw exists
+      ? createError(410, 'Share link has expired, been revoked or reached its view limit')
+      : createError(404, 'Share link not found');
+  }
+
+  const chart = await Chart.findById(link.chartId).select(`${SHARED_CHART_FIELDS} deletedAt`).lean();
+  if (!chart || chart.deletedAt) {
+    throw createError(404, 'Chart not found');
+  }
+
+  return { link, chart };
+};
+
+/**
+ * Share details safe to show the link holder
+ */
+const toShareInfo = (link) => ({
+  expiresAt: link.expiresAt,
+  allowDataDownload: link.allowDataDownload,
+  viewsRemaining: link.maxViews === null ? null : Math.max(link.maxViews - link.viewCount, 0)
+});
+
+/**
+ * @route   GET /api/shared/:token
+ * @desc    Read a chart through a share link (no account needed)
+ * @access  Public (valid share token)
+ * @returns 200 chart: Chart, share: object
+ */
+router.get('/:token',
+  validateSharedChart,
+  asyncHandler(async (req, res) => {
+    const { link, chart } = await resolveShare(req.params.token);
+
+    // Each request is a counted view, so never serve this from a cache
+    res.set('Cache-Control', 'no-store');
+    res.json({
+      success: true,
+      data: {
+        chart,
+        share: toShareInfo(link)
+      },
+      meta: {
+        timestamp: new Date().toISOString(),
+        version: '1.0.0'
+      }
+    });
+  })
+);
+
+/**
+ * @route   GET /api/shared/:token/data
+ * @desc    Download the shared chart's trace data as CSV or TSV, if the link allows it
+ * @access  Public (valid share token with allowDataDownload)
+ * @returns 200 text/csv, text/tab-separated-values
+ */
+router.get('/:token/data',
+  validateSharedChart,
+  asyncHandler(async (req, res) => {
+    const format = negotiateTableFormat(req);
+
+    // Refuse before counting a view
+    const { linkId } = verifyShareToken(req.params.token);
+    const link = await ShareLink.findById(linkId).select('allowDataDownload').lean();
+    if (!link) {
+      throw createError(404, 'Share link not found');
+    }
+    if (!link.allowDataDownload) {
+      throw createError(403, 'This share link does not allow data downloads');
+    }
+
+    const { chart } = await resolveShare(req.params.token);
+
+    res.set('Cache-Control', 'no-store');
+    sendChartTable(res, chart, { format, shape: req.query.shape });
+  })
+);
+
+module.exports = router;
@@ -0,0 +1,315 @@
+const express = require('express');
+const Webhook = require('../webhookModel');
+const WebhookDelivery = require('../webhookDeliveryModel');
+const {
+  validateCreateWebhook,
+  validateUpdateWebhook,
+  validateWebhookId,
+  validateWebhookList,
+  validateWebhookDeliveries,
+  validateWebhookDeliveryId
+} = require('../middleware/validation');
+const { strictLimiter } = require('../middleware/security');
+const { authenticateToken } = require('../middleware/auth');
+const { isAdmin, assertCanManageWebhook } = require('../middleware/chartAccess');
+const { generateWebhookSecret, redeliver } = require('../utils/webhooks');
+const { recordAudit } = require('../utils/audit');
+const { asyncHandler, createError } = require('../middleware/errorHandler');
+
+// Mounted at /api/webhooks
+const router = express.Router();
+
+const MAX_WEBHOOKS_PER_USER = 20;
+
+/**
+ * Load a webhook and check that the caller may manage it
+ */
+const findManagedWebhook = async (req) => {
+  const webhook = await Webhook.findById(req.params.id).lean();
+  assertCanManageWebhook(webhook, req.user);
+  return webhook;
+};
+
+/**
+ * @route   GET /api/webhooks
+ * @desc    List your webhooks (admins see every user's; ?owner=me for their own)
+ * @access  Private
+ * @returns 200 webhooks: Webhook[], pagination: Pagination
+ */
+router.get('/',
+  authenticateToken,
+  validateWebhookList,
+  asyncHandler(async (req, res) => {
+    const page = req.query.page || 1;
+    const limit = req.query.limit || 10;
+    const skip = (page - 1) * limit;
+
+    const filter = {};
+    if (!isAdmin(req.user) || req.query.owner === 'me') {
+      filter.createdBy = String(req.user.userId);
+    }
+
+    const webhooks = await Webhook.find(filter)
+      .sort({ createdAt: -1, _id: -1 })
+      .skip(skip)
+      .limit(limit)
+      .lean();
+    const total = await Webhook.countDocuments(filter);
+
+    res.json({
+      success: true,
+      data: {
+        webhooks,
+        pagination: {
+          currentPage: page,
+          totalPages: Math.ceil(total / limit),
+          totalWebhooks: total,
+          webhooksPerPage: limit,
+          hasNextPage: skip + webhooks.length < total,
+          hasPrevPage: page > 1
+        }
+      },
+      meta: {
+        timestamp: new Date().toISOString(),
+        version: '1.0.0'
+      }
+    });
+  })
+);
+
+/**
+ * @route   POST /api/webhooks
+ * @desc    Subscribe a URL to chart events. Body: url, events, description.
+ *          The signing secret is only returned here.
+ * @access  Private
+ * @returns 201 webhook: Webhook, secret: string
+ */
+router.post('/',
+  authenticateToken,
+  strictLimiter,
+  validateCreateWebhook,
+  asyncHandler(async (req, res) => {
+    const owned = await Webhook.countDocuments({ createdBy: String(req.user.userId) });
+    if (owned >= MAX_WEBHOOKS_PER_USER) {
+      throw createError(400, `You can have at most ${MAX_WEBHOOKS_PER_USER} webhooks`);
+    }
+
+    const secret = generateWebhookSecret();
+    const webhook = await Webhook.create({
+      url: req.body.url,
+      events: [...new Set(req.body.events)],
+      description: req.body.description || '',
+      active: req.body.active !== false,
+      secret,
+      createdBy: req.user.userId
+    });
+
+    recordAudit(req, { action: 'webhook.create', details: { webhookId: webhook._id, url: webhook.url } });
+
+    const stored = webhook.toObject();
+    delete stored.secret;
+    res.status(201).json({
+      success: true,
+      message: 'Webhook created successfully',
+      data: {
+        webhook: stored,
+        secret
+      },
+      meta: {
+        timestamp: new Date().toISOString(),
+        version: '1.0.0'
+      }
+    });
+  })
+);
+
+/**
+ * @route   GET /api/webhooks/:id
+ * @desc    Get a webhook (without its secret)
+ * @access  Private (owner or admin)
+ * @returns 200 webhook: Webhook
+ */
+router.get('/:id',
+  authenticateToken,
+  validateWebhookId,
+  asyncHandler(async (req, res) => {
+    const webhook = await findManagedWebhook(req);
+
+    res.json({
+      success: true,
+      data: {
+        webhook
+      },
+      meta: {
+        timestamp: new Date().toISOString(),
+        version: '1.0.0'
+      }
+    });
+  })
+);
+
+/**
+ * @route   PUT /api/webhooks/:id
+ * @desc    Update a webhook's url, events, description or active flag
+ * @access  Private (owner or admin)
+ * @returns 200 webhook: Webhook
+ */
+router.put('/:id',
+  authenticateToken,
+  strictLimiter,
+  validateUpdateWebhook,
+  asyncHandler(async (req, res) => {
+    const existing = await findManagedWebhook(req);
+
+    const updateData = {};
+    if (req.body.url) updateData.url = req.body.url;
+    if (req.body.events) updateData.events = [...new Set(req.body.events)];
+    if (req.body.description !== undefined) updateData.description = req.body.description;
+    if (req.body.active !== undefined) updateData.active = req.body.active;
+
+    const webhook = await Webhook.findByIdAndUpdate(existing._id, updateData, {
+      new: true,
+      runValidators: true
+    }).lean();
+
+    recordAudit(req, { action: 'webhook.update', details: { webhookId: webhook._id, ...updateData } });
+
+    res.json({
+      success: true,
+      message: 'Webhook updated successfully',
+      data: {
+        webhook
+      },
+      meta: {
+        timestamp: new Date().toISOString(),
+        version: '1.0.0'
+      }
+    });
+  })
+);
+
+/**
+ * @route   DELETE /api/webhooks/:id
+ * @desc    Delete a webhook and its delivery log; pending retries are dropped
+ * @access  Private (owner or admin)
+ * @returns 200 webhookId: string
+ */
+router.delete('/:id',
+  authenticateToken,
+  strictLimiter,
+  validateWebhookId,
+  asyncHandler(async (req, res) => {
+    const webhook = await findManagedWebhook(req);
+
+    await Webhook.deleteOne({ _id: webhook._id });
+    await WebhookDelivery.deleteMany({ webhookId: webhook._id });
+
+    recordAudit(req, { action: 'webhook.delete', details: { webhookId: webhook._id, url: webhook.url } });
+
+    res.json({
+      success: true,
+      message: 'Webhook deleted successfully',
+      data: {
+        webhookId: req.params.id
+      },
+      meta: {
+        timestamp: new Date().toISOString(),
+        version: '1.0.0'
+      }
+    });
+  })
+);
+
+/**
+ * @route   GET /api/webhooks/:id/deliveries
+ * @desc    Delivery log of a webhook, newest first, with every attempt's
+ *          response code (?status=pending|succeeded|failed)
+ * @access  Private (owner or admin)
+ * @returns 200 deliveries: WebhookDelivery[], pagination: Pagination
+ */
+router.get('/:id/deliveries',
+  authenticateToken,
+  validateWebhookDeliveries,
+  asyncHandler(async (req, res) => {
+    const webhook = await findManagedWebhook(req);
+
+    const page = req.query.page || 1;
+    const limit = req.query.limit || 20;
+    const skip = (page - 1) * limit;
+
+    const filter = { webhookId: webhook._id };
+    if (req.query.status) filter.status = req.query.status;
+
+    // Response bodies recorded by earlier versions are never shown
+    const deliveries = await WebhookDelivery.find(filter)
+      .select('-attempts.responseBody')
+      .sort({ createdAt: -1, _id: -1 })
+      .skip(skip)
+      .limit(limit)
+      .lean();
+    const total = await WebhookDelivery.countDocuments(filter);
+
+    res.json({
+      success: true,
+      data: {
+        deliveries,
+        pagination: {
+          currentPage: page,
+          totalPages: Math.ceil(total / limit),
+          totalDeliveries: total,
+          deliveriesPerPage: limit,
+          hasNextPage: skip + deliveries.length < total,
+          hasPrevPage: page > 1
+        }
+      },
+      meta: {
+        timestamp: new Date().toISOString(),
+        version: '1.0.0'
+      }
+    });
+  })
+);
+
+/**
+ * @route   POST /api/webhooks/:id/deliveries/:deliveryId/redeliver
+ * @desc    Send a delivery's event again (same payload and event id) as a new
+ *          delivery; the response includes its first attempt
+ * @access  Private (owner or admin)
+ * @returns 201 delivery: WebhookDelivery
+ * @returns 409
+ */
+router.post('/:id/deliveries/:deliveryId/redeliver',
+  authenticateToken,
+  strictLimiter,
+  validateWebhookDeliveryId,
+  asyncHandler(async (req, res) => {
+    const webhook = await findManagedWebhook(req);
+    if (!webhook.active) {
+      throw createError(409, 'Activate the webhook before redelivering events');
+    }
+
+    const delivery = await WebhookDelivery.findOne({ _id: req.params.deliveryId, webhookId: webhook._id }).lean();
+    if (!delivery) {
+      throw createError(404, 'Delivery not found');
+    }
+    if (delivery.status === 'pending') {
+      throw createError(409, 'Delivery is still being retried');
+    }
+
+    const redelivery = await redeliver(delivery);
+
+    res.status(201).json({
+      success: true,
+      message: redelivery.status === 'succeeded' ? 'Event redelivered' : 'Redelivery queued for retry',
+      data: {
+        delivery: redelivery
+      },
+      meta: {
+        timestamp: new Date().toISOString(),
+        version: '1.0.0'
+      }
+    });
+  })
+);
+
+module.exports = router;
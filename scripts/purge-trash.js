@@ -0,0 +1,27 @@
+// scripts/purge-trash.js
+// Permanently deletes charts that have been in the trash longer than
+// CHART_TRASH_RETENTION_DAYS, with their revisions and share links.
+// The server runs the same purge periodically (CHART_TRASH_SWEEP_MINUTES).
+// Usage: npm run db:purge-trash
+require('dotenv').config();
+
+const mongoose = require('mongoose');
+const { TRASH_RETENTION_DAYS, purgeExpiredTrash } = require('../utils/chartTrash');
+
+const purge = async () => {
+  if (!process.env.MONGODB_URI) {
+    throw new Error('MONGODB_URI environment variable is not defined');
+  }
+
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  const purged = await purgeExpiredTrash();
+  console.log(`✅ Purged ${purged} chart(s) trashed more than ${TRASH_RETENTION_DAYS} day(s) ago`);
+};
+
+purge()
+  .catch((error) => {
+    console.error('❌ Purging the trash failed:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,56 @@
+// scripts/reindex-search.js
+// Builds the search indexes and fills in the fields derived from plotlyData
+// (searchFields, traceTypes, dataPointCount) for charts stored before them.
+// Usage: npm run db:reindex-search
+require('dotenv').config();
+
+const mongoose = require('mongoose');
+const Chart = require('../chartModel');
+
+const BATCH_SIZE = 500;
+
+const reindex = async () => {
+  if (!process.env.MONGODB_URI) {
+    throw new Error('MONGODB_URI environment variable is not defined');
+  }
+
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  await Chart.createIndexes();
+  console.log('✅ Search indexes are in place');
+
+  // Updated directly so that updatedAt and revision stay untouched
+  const cursor = Chart.find().select('plotlyData').lean().cursor();
+  let batch = [];
+  let updated = 0;
+
+  const flush = async () => {
+    if (batch.length > 0) {
+      await Chart.collection.bulkWrite(batch, { ordered: false });
+      updated += batch.length;
+      batch = [];
+    }
+  };
+
+  for await (const chart of cursor) {
+    batch.push({
+      updateOne: {
+        filter: { _id: chart._id },
+        update: { $set: Chart.derivedFields(chart.plotlyData) }
+      }
+    });
+    if (batch.length >= BATCH_SIZE) {
+      await flush();
+    }
+  }
+  await flush();
+
+  console.log(`✅ Reindexed ${updated} chart(s)`);
+};
+
+reindex()
+  .catch((error) => {
+    console.error('❌ Reindexing failed:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,39 @@
+// scripts/seed.js
+// Creates (or promotes) the initial admin account.
+// Usage: SEED_ADMIN_EMAIL=... SEED_ADMIN_PASSWORD=... npm run db:seed
+require('dotenv').config();
+
+const mongoose = require('mongoose');
+const User = require('../userModel');
+
+const seed = async () => {
+  const email = process.env.SEED_ADMIN_EMAIL;
+  const password = process.env.SEED_ADMIN_PASSWORD;
+  const name = process.env.SEED_ADMIN_NAME || 'Admin User';
+
+  if (!process.env.MONGODB_URI) {
+    throw new Error('MONGODB_URI environment variable is not defined');
+  }
+  if (!email || !password) {
+    throw new Error('SEED_ADMIN_EMAIL and SEED_ADMIN_PASSWORD must be set');
+  }
+
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  const existing = await User.findOne({ email: email.toLowerCase() });
+  if (existing) {
+    existing.role = 'admin';
+    await existing.save();
+    console.log(`✅ Promoted existing user to admin: ${existing.email}`);
+  } else {
+    const user = await User.create({ email, password, name, role: 'admin' });
+    console.log(`✅ Created admin user: ${user.email}`);
+  }
+};
+
+seed()
+  .catch((error) => {
+    console.error('❌ Seeding failed:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
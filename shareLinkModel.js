@@ -0,0 +1,115 @@
+// shareLinkModel.js
+const mongoose = require('mongoose');
+
+// Expired and revoked links are kept this long (for the owner's records) before MongoDB removes them
+const SHARE_LINK_RETENTION_DAYS = parseInt(process.env.SHARE_LINK_RETENTION_DAYS, 10) || 30;
+
+/**
+ * A revocable, expiring link that lets anyone holding its token read one chart.
+ * The token itself is not stored: it is an HMAC over the link ID and expiry
+ * (see utils/shareTokens.js), so the database only decides whether it is still live.
+ */
+const ShareLinkSchema = new mongoose.Schema({
+  chartId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Chart',
+    required: true,
+    immutable: true,
+    index: true
+  },
+  createdBy: {
+    type: String, // userId of the owner or admin who shared the chart
+    required: true,
+    immutable: true
+  },
+  label: {
+    type: String, // e.g. who the link was sent to
+    maxlength: 200
+  },
+  allowDataDownload: {
+    type: Boolean, // Also allow GET /api/shared/:token/data
+    default: false,
+    immutable: true
+  },
+  maxViews: {
+    type: Number, // null = unlimited
+    default: null,
+    immutable: true
+  },
+  viewCount: {
+    type: Number,
+    default: 0
+  },
+  lastViewedAt: {
+    type: Date
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+    immutable: true
+  },
+  revokedAt: {
+    type: Date
+  },
+  revokedBy: {
+    type: String
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+  versionKey: false
+});
+
+ShareLinkSchema.index({ expiresAt: 1 }, { expireAfterSeconds: SHARE_LINK_RETENTION_DAYS * 24 * 60 * 60 });
+
+/**
+ * Filter matching links that can still be used right now
+ * @param {Date} [now]
+ * @returns {Object} MongoDB filter
+ */
+ShareLinkSchema.statics.activeFilter = function(now = new Date()) {
+  return {
+    revokedAt: null,
+    expiresAt: { $gt: now },
+    $or: [
+      { maxViews: null },
+      { $expr: { $lt: ['$viewCount', '$maxViews'] } }
+    ]
+  };
+};
+
+/**
+ * Atomically count one use of a link, if it is still active
+ * @param {ObjectId|string} id - Share link ID
+ * @returns {Promise<Object|null>} The updated link, or null if revoked, expired or used up
+ */
+ShareLinkSchema.statics.recordView = function(id) {
+  const now = new Date();
+  return this.findOneAndUpdate(
+    { _id: id, ...this.activeFilter(now) },
+    { $inc: { viewCount: 1 }, $set: { lastViewedAt: now } },
+    { new: true }
+  ).lean();
+};
+
+/**
+ * Public view of a link for its owner (no token)
+ */
+ShareLinkSchema.methods.toJSON = function() {
+  const link = this.toObject();
+  return {
+    id: link._id,
+    chartId: link.chartId,
+    label: link.label,
+    allowDataDownload: link.allowDataDownload,
+    maxViews: link.maxViews,
+    viewCount: link.viewCount,
+    viewsRemaining: link.maxViews === null ? null : Math.max(link.maxViews - link.viewCount, 0),
+    lastViewedAt: link.lastViewedAt,
+    expiresAt: link.expiresAt,
+    revokedAt: link.revokedAt,
+    createdBy: link.createdBy,
+    createdAt: link.createdAt
+  };
+};
+
+module.exports = mongoose.model('ShareLink', ShareLinkSchema);
@@ -0,0 +1,120 @@
+// userModel.js
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const bcrypt = require('bcryptjs');
+
+const BCRYPT_ROUNDS = parseInt(process.env.BCRYPT_ROUNDS) || 12;
+const RESET_TOKEN_TTL_MS = (parseInt(process.env.PASSWORD_RESET_TTL_MINUTES) || 60) * 60 * 1000;
+
+/**
+ * Hash a one-time token for storage (only the hash is persisted)
+ * @param {string} token - Plain token sent to the user
+ * @returns {string} SHA-256 hex digest
+ */
+const hashToken = (token) => {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+};
+
+const UserSchema = new mongoose.Schema({
+  email: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    trim: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  password: {
+    type: String,
+    required: true,
+    select: false // Never returned unless explicitly requested
+  },
+  role: {
+    type: String,
+    enum: ['user', 'admin'],
+    default: 'user'
+  },
+  passwordChangedAt: {
+    type: Date
+  },
+  passwordResetTokenHash: {
+    type: String,
+    select: false
+  },
+  passwordResetExpires: {
+    type: Date,
+    select: false
+  }
+}, {
+  timestamps: true
+});
+
+// Hash the password whenever it is set or changed
+UserSchema.pre('save', async function() {
+  if (!this.isModified('password')) {
+    return;
+  }
+
+  this.password = await bcrypt.hash(this.password, BCRYPT_ROUNDS);
+
+  if (!this.isNew) {
+    this.passwordChangedAt = new Date();
+  }
+});
+
+/**
+ * Compare a plaintext password with the stored hash
+ * @param {string} candidate - Plaintext password
+ * @returns {Promise<boolean>}
+ */
+UserSchema.methods.comparePassword = function(candidate) {
+  return bcrypt.compare(String(candidate), this.password);
+};
+
+/**
+ * Create a one-time password reset token.
+ * The plain token is returned for delivery; only its hash is stored.
+ * @returns {string} Plain reset token
+ */
+UserSchema.methods.createPasswordResetToken = function() {
+  const token = crypto.randomBytes(32).toString('hex');
+
+  this.passwordResetTokenHash = hashToken(token);
+  this.passwordResetExpires = new Date(Date.now() + RESET_TOKEN_TTL_MS);
+
+  return token;
+};
+
+/**
+ * Use up a valid (unused, unexpired) reset token. The token is removed in the
+ * same atomic update that finds it, so concurrent requests cannot both use it.
+ * @param {string} token - Plain reset token
+ * @returns {Promise<Object|null>} User document with the password selected
+ */
+UserSchema.statics.consumeResetToken = function(token) {
+  return this.findOneAndUpdate(
+    {
+      passwordResetTokenHash: hashToken(token),
+      passwordResetExpires: { $gt: new Date() }
+    },
+    { $unset: { passwordResetTokenHash: 1, passwordResetExpires: 1 } },
+    { new: true }
+  ).select('+password');
+};
+
+// Strip secrets from JSON output
+UserSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.password;
+    delete ret.passwordResetTokenHash;
+    delete ret.passwordResetExpires;
+    delete ret.__v;
+    return ret;
+  }
+});
+
+module.exports = mongoose.model('User', UserSchema);
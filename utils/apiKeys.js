@@ -0,0 +1,74 @@
+const crypto = require('crypto');
+
+/**
+ * API Keys
+ *
+ * Keys look like "cak_<12 hex>_<secret>" and are sent as
+ * "Authorization: Bearer <key>". The part before the second underscore is the
+ * visible prefix; the database only holds a SHA-256 hash of the whole key.
+ *
+ * Scopes:
+ *   charts:read    GET and HEAD requests
+ *   charts:write   Every other method
+ *   admin          Act with the owner's admin role (admins only); also covers
+ *                  charts:read and charts:write
+ */
+
+const API_KEY_SCOPES = ['charts:read', 'charts:write', 'admin'];
+
+// Bearer tokens with this prefix are API keys; other bearer tokens are left to session auth
+const API_KEY_PREFIX = 'cak_';
+
+const KEY_PATTERN = /^cak_[0-9a-f]{12}_[A-Za-z0-9_-]{32}$/;
+
+/**
+ * Hash a key for storage and lookup
+ * @param {string} key - Plain API key
+ * @returns {string} SHA-256 hex digest
+ */
+const hashApiKey = (key) => crypto.createHash('sha256').update(String(key)).digest('hex');
+
+/**
+ * Create a new key. The plain key is only returned here.
+ * @returns {{ key: string, prefix: string, keyHash: string }}
+ */
+const generateApiKey = () => {
+  const prefix = `${API_KEY_PREFIX}${crypto.randomBytes(6).toString('hex')}`;
+  const key = `${prefix}_${crypto.randomBytes(24).toString('base64url')}`;
+
+  return { key, prefix, keyHash: hashApiKey(key) };
+};
+
+/**
+ * Check the shape of a presented key before looking it up
+ * @param {string} key
+ * @returns {boolean}
+ */
+const isApiKeyFormat = (key) => KEY_PATTERN.test(key);
+
+/**
+ * Scope a key needs for a request method
+ * @param {string} method - HTTP method
+ * @returns {string}
+ */
+const requiredScope = (method) => {
+  return ['GET', 'HEAD', 'OPTIONS'].includes(method) ? 'charts:read' : 'charts:write';
+};
+
+/**
+ * Whether a key's scopes grant a required scope (admin grants every scope)
+ * @param {string[]} scopes - Scopes on the key
+ * @param {string} scope - Required scope
+ * @returns {boolean}
+ */
+const hasScope = (scopes, scope) => scopes.includes(scope) || scopes.includes('admin');
+
+module.exports = {
+  API_KEY_SCOPES,
+  API_KEY_PREFIX,
+  hashApiKey,
+  generateApiKey,
+  isApiKeyFormat,
+  requiredScope,
+  hasScope
+};
@@ -0,0 +1,128 @@
+const AuditEvent = require('../auditEventModel');
+const { listTraceTypes, countDataPoints } = require('./traceData');
+
+/**
+ * Audit Log
+ *
+ * Successful writes are recorded as AuditEvents. Recording happens after the
+ * response has been decided and is never awaited: a failing or slow audit
+ * write is logged and does not affect the request.
+ */
+
+const AUDIT_ACTIONS = [
+  'chart.create',
+  'chart.duplicate',
+  'chart.update',
+  'chart.patch',
+  'chart.delete',
+  'chart.restore',
+  'chart.purge',
+  'chart.revision.restore',
+  'share.create',
+  'share.revoke',
+  'dashboard.create',
+  'dashboard.update',
+  'dashboard.delete',
+  'webhook.create',
+  'webhook.update',
+  'webhook.delete',
+  'apiKey.create',
+  'apiKey.revoke'
+];
+
+// Fields compared when a chart or dashboard changes
+const CHART_AUDIT_FIELDS = ['chartTitle', 'description', 'tags', 'visibility', 'embedOrigins', 'plotlyData'];
+const DASHBOARD_AUDIT_FIELDS = ['title', 'description', 'visibility', 'columns', 'tiles'];
+
+const USER_AGENT_MAX_LENGTH = 500;
+
+/**
+ * Who made the request
+ * @param {Object} req - Express request
+ * @returns {{ type: string, id?: string, role?: string, keyId?: string }}
+ */
+const auditActor = (req) => {
+  if (req.apiKey) {
+    return { type: 'apiKey', id: String(req.user.userId), role: req.user.role, keyId: req.apiKey.id };
+  }
+  if (req.user) {
+    return { type: req.user.service ? 'service' : 'user', id: String(req.user.userId), role: req.user.role };
+  }
+  return { type: 'anonymous' };
+};
+
+/**
+ * Small stand-in for values too large to store on every event
+ * @param {string} field
+ * @param {*} value
+ * @returns {*}
+ */
+const compactValue = (field, value) => {
+  if (value === undefined || value === null) {
+    return null;
+  }
+  if (field === 'plotlyData') {
+    return {
+      traces: Array.isArray(value.data) ? value.data.length : 0,
+      traceTypes: listTraceTypes(value),
+      dataPoints: countDataPoints(value)
+    };
+  }
+  if (field === 'tiles') {
+    return { count: value.length };
+  }
+  return value;
+};
+
+/**
+ * Compact diff of the fields that differ between two versions of a document
+ * @param {Object|null} before - Previous version (null when created)
+ * @param {Object|null} after - New version (null when removed)
+ * @param {string[]} fields - Fields to compare
+ * @returns {Object|undefined} field => { from, to }, or undefined when nothing changed
+ */
+const diffFields = (before, after, fields) => {
+  const changes = {};
+
+  fields.forEach((field) => {
+    const from = before ? before[field] : undefined;
+    const to = after ? after[field] : undefined;
+    if (JSON.stringify(from) === JSON.stringify(to)) {
+      return;
+    }
+    changes[field] = { from: compactValue(field, from), to: compactValue(field, to) };
+  });
+
+  return Object.keys(changes).length > 0 ? changes : undefined;
+};
+
+/**
+ * Record one or more audit events for a request without waiting for the write
+ * @param {Object} req - Express request
+ * @param {Object|Object[]} events - { action, chartId, dashboardId, changes, details }
+ */
+const recordAudit = (req, events) => {
+  try {
+    const base = {
+      actor: auditActor(req),
+      ip: req.ip,
+      userAgent: req.get('user-agent')?.slice(0, USER_AGENT_MAX_LENGTH)
+    };
+    const docs = [].concat(events).map(event => ({ ...base, ...event }));
+
+    AuditEvent.insertMany(docs, { ordered: false }).catch((error) => {
+      console.error('Failed to write audit event:', error.message);
+    });
+  } catch (error) {
+    console.error('Failed to write audit event:', error.message);
+  }
+};
+
+module.exports = {
+  AUDIT_ACTIONS,
+  CHART_AUDIT_FIELDS,
+  DASHBOARD_AUDIT_FIELDS,
+  auditActor,
+  diffFields,
+  recordAudit
+};
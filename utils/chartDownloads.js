@@ -0,0 +1,73 @@
+const { CSV_TYPE, TSV_TYPE, DELIMITERS, formatDelimited } = require('./csv');
+const { toLongTable, toWideTable } = require('./traceData');
+const { createError } = require('../middleware/errorHandler');
+
+/**
+ * Chart download helpers shared by the chart and share-link routes
+ */
+
+/**
+ * Download filename for a chart, derived from its title
+ * @param {Object} chart - Chart document
+ * @param {string} extension - File extension without the dot
+ * @returns {string}
+ */
+const chartFileName = (chart, extension) => {
+  const slug = String(chart.chartTitle || '')
+    .replace(/&[a-z#0-9]+;/gi, ' ') // Titles are stored HTML-escaped
+    .normalize('NFKD')
+    .replace(/[^\w\s-]/g, '')
+    .trim()
+    .toLowerCase()
+    .replace(/[\s_-]+/g, '-')
+    .slice(0, 80);
+
+  return `${slug || `chart-${chart._id}`}.${extension}`;
+};
+
+/**
+ * Pick the table format from ?format= or the Accept header
+ * @param {Object} req - Express request (query already validated)
+ * @returns {'csv'|'tsv'}
+ */
+const negotiateTableFormat = (req) => {
+  if (req.query.format) {
+    return req.query.format;
+  }
+
+  const accepted = req.accepts([CSV_TYPE, TSV_TYPE]);
+  if (!accepted) {
+    throw createError(406, `Not Acceptable. Supported types: ${CSV_TYPE}, ${TSV_TYPE}`);
+  }
+  return accepted === TSV_TYPE ? 'tsv' : 'csv';
+};
+
+/**
+ * Send a chart's trace data as a CSV/TSV attachment
+ * @param {Object} res - Express response object
+ * @param {Object} chart - Chart document with plotlyData and chartTitle
+ * @param {Object} options
+ * @param {'csv'|'tsv'} options.format
+ * @param {'long'|'wide'} [options.shape] - Long (one row per point) or wide (one column per trace)
+ */
+const sendChartTable = (res, chart, { format, shape }) => {
+  const table = shape === 'wide'
+    ? toWideTable(chart.plotlyData)
+    : toLongTable(chart.plotlyData);
+
+  const isTsv = format === 'tsv';
+  const body = formatDelimited(table, { delimiter: isTsv ? DELIMITERS.tab : DELIMITERS.comma });
+
+  res.set({
+    'Content-Type': `${isTsv ? TSV_TYPE : CSV_TYPE}; charset=utf-8`,
+    'Content-Disposition': `attachment; filename="${chartFileName(chart, format)}"`
+  });
+  // A byte order mark lets Excel detect UTF-8 when opening the file directly
+  res.send(`\uFEFF${body}`);
+};
+
+module.exports = {
+  chartFileName,
+  negotiateTableFormat,
+  sendChartTable
+};
@@ -0,0 +1,185 @@
+const { EventEmitter } = require('events');
+const ChartEvent = require('../chartEventModel');
+const { summarizeChart } = require('./chartFields');
+const { emitChartEvent } = require('./webhooks');
+
+/**
+ * Chart Change Events
+ *
+ * Route handlers publish every chart change once. It goes to the webhooks and
+ * into the capped ChartEvent collection; each API instance tails that
+ * collection and hands new events to its own event stream clients, so a
+ * change made on one instance reaches the clients of all of them.
+ *
+ * Event numbers are reserved before the insert, so concurrent publishes can
+ * land in the buffer out of order. The tail holds events back until every
+ * lower number has arrived and hands them on strictly in seq order; a number
+ * still missing after GAP_WAIT_MS (its insert failed) is skipped.
+ */
+
+// Pause before the tailing cursor is reopened (it dies while the buffer is empty)
+const TAIL_RETRY_MS = 1000;
+
+// How long a later event waits for a missing lower event number
+const GAP_WAIT_MS = 2000;
+
+const feed = new EventEmitter();
+feed.setMaxListeners(0);
+
+let tailing = false;
+let ready = null;
+
+// Highest event number handed to the feed; every lower one was handed on or skipped
+let publishedSeq = 0;
+const pending = new Map();
+let gapTimer = null;
+let gapSeq = null;
+
+/**
+ * Store a change in the event buffer
+ * @param {string} event
+ * @param {Object} chart
+ * @param {Object} [extra]
+ * @returns {Promise<void>}
+ */
+const appendChartEvent = async (event, chart, extra) => {
+  const summary = summarizeChart(chart);
+  await ChartEvent.create({
+    seq: await ChartEvent.nextSeq(),
+    event,
+    chartId: summary._id,
+    chart: summary,
+    extra
+  });
+};
+
+/**
+ * Publish a chart change to webhooks and event streams. Never throws and is
+ * not meant to be awaited by request handlers.
+ * @param {string} event - e.g. chart.updated (see WEBHOOK_EVENTS)
+ * @param {Object} chart - Chart document (lean or hydrated) after the change
+ * @param {Object} [extra] - Additional event data (e.g. sourceChartId)
+ */
+const publishChartEvent = (event, chart, extra) => {
+  emitChartEvent(event, chart, extra);
+
+  appendChartEvent(event, chart, extra).catch((error) => {
+    console.error(`Failed to publish ${event} event:`, error.message);
+  });
+};
+
+/**
+ * Hand held-back events to the feed in seq order, up to the first missing number
+ */
+const emitInOrder = () => {
+  while (pending.has(publishedSeq + 1)) {
+    publishedSeq++;
+    const event = pending.get(publishedSeq);
+    pending.delete(publishedSeq);
+    feed.emit('event', event);
+  }
+
+  if (pending.size === 0) {
+    clearTimeout(gapTimer);
+    gapTimer = null;
+    return;
+  }
+
+  // Wait for the missing number, then give up on it
+  if (gapTimer && gapSeq === publishedSeq + 1) {
+    return;
+  }
+  clearTimeout(gapTimer);
+  gapSeq = publishedSeq + 1;
+  gapTimer = setTimeout(() => {
+    gapTimer = null;
+    publishedSeq = Math.min(...pending.keys()) - 1;
+    emitInOrder();
+  }, GAP_WAIT_MS);
+};
+
+/**
+ * Follow the event buffer for as long as the process runs
+ * @param {Function} onReady - Called once publishedSeq is initialized
+ */
+const tailChartEvents = async (onReady) => {
+  try {
+    const newest = await ChartEvent.findOne().sort({ seq: -1 }).select('seq').lean();
+    publishedSeq = newest ? newest.seq : 0;
+  } catch (error) {
+    console.error('Chart event feed could not start:', error.message);
+  }
+  onReady();
+
+  for (;;) {
+    try {
+      // Reopen after the last event handed on, so held-back and late events are read again
+      const cursor = ChartEvent.find({ seq: { $gt: publishedSeq } })
+        .tailable(true, { awaitData: true })
+        .lean()
+        .cursor();
+
+      for await (const event of cursor) {
+        if (event.seq > publishedSeq) {
+          pending.set(event.seq, event);
+          emitInOrder();
+        }
+      }
+    } catch (error) {
+      console.error('Chart event feed interrupted:', error.message);
+    }
+
+    await new Promise(resolve => setTimeout(resolve, TAIL_RETRY_MS));
+  }
+};
+
+/**
+ * Start tailing on first use
+ * @returns {Promise<void>} Resolves once publishedSeq is initialized
+ */
+const startTailing = () => {
+  if (!tailing) {
+    tailing = true;
+    ready = new Promise(resolve => tailChartEvents(resolve));
+  }
+  return ready;
+};
+
+/**
+ * Receive every new chart event published by any instance
+ * @param {Function} listener - Called with each lean ChartEvent
+ * @returns {Function} Unsubscribe
+ */
+const subscribeToChartEvents = (listener) => {
+  // Tail only once the first client connects
+  startTailing();
+
+  feed.on('event', listener);
+  return () => feed.off('event', listener);
+};
+
+/**
+ * Buffered events after an event number, oldest first, up to the last one the
+ * feed has handed on. Subscribe first: later events arrive through the feed.
+ * @param {number} seq - Last event the client received
+ * @returns {Promise<{ events: Object[], complete: boolean }>} complete is false
+ *          when older events have already left the buffer
+ */
+const readChartEventsSince = async (seq) => {
+  await startTailing();
+  const until = publishedSeq;
+
+  const events = await ChartEvent.find({ seq: { $gt: seq, $lte: until } }).sort({ seq: 1 }).lean();
+  const oldest = await ChartEvent.findOne().sort({ $natural: 1 }).select('seq').lean();
+
+  return {
+    events,
+    complete: !oldest || oldest.seq <= seq + 1
+  };
+};
+
+module.exports = {
+  publishChartEvent,
+  subscribeToChartEvents,
+  readChartEventsSince
+};
@@ -0,0 +1,143 @@
+/**
+ * Sparse Fieldsets for Chart Reads
+ *
+ * `fields=` picks the chart fields to return (`_id` is always included) and
+ * may name parts of the figure (`plotlyData.layout`). `traces=` keeps only
+ * some of the figure's traces, chosen by index or by trace name.
+ */
+
+// Fields a client may ask for
+const CHART_FIELDS = [
+  'chartTitle',
+  'description',
+  'tags',
+  'visibility',
+  'embedOrigins',
+  'traceTypes',
+  'dataPointCount',
+  'createdBy',
+  'updatedBy',
+  'revision',
+  'createdAt',
+  'updatedAt',
+  'plotlyData',
+  'plotlyData.data',
+  'plotlyData.layout',
+  'plotlyData.frames'
+];
+
+// Chart fields sent in change notifications (webhooks and the event stream); figures are left out
+const CHART_SUMMARY_FIELDS = [
+  '_id',
+  'chartTitle',
+  'description',
+  'tags',
+  'visibility',
+  'traceTypes',
+  'dataPointCount',
+  'createdBy',
+  'updatedBy',
+  'revision',
+  'createdAt',
+  'updatedAt',
+  'deletedAt'
+];
+
+// Top-level parts of a Plotly figure that can be requested on their own
+const FIGURE_PARTS = ['data', 'layout', 'frames'];
+
+/**
+ * Which parts of plotlyData a field list asks for
+ * @param {string[]} fields
+ * @returns {'all'|string[]} 'all' or a list of FIGURE_PARTS (possibly empty)
+ */
+const requestedFigureParts = (fields) => {
+  if (fields.includes('plotlyData')) {
+    return 'all';
+  }
+  return FIGURE_PARTS.filter(part => fields.includes(`plotlyData.${part}`));
+};
+
+/**
+ * MongoDB exclusion projection that loads only the requested parts of plotlyData
+ * @param {'all'|string[]} parts - Result of requestedFigureParts()
+ * @returns {Object} Projection (empty when the whole figure is needed)
+ */
+const figureProjection = (parts) => {
+  if (parts === 'all') {
+    return {};
+  }
+  if (parts.length === 0) {
+    return { plotlyData: 0 };
+  }
+  return Object.fromEntries(FIGURE_PARTS
+    .filter(part => !parts.includes(part))
+    .map(part => [`plotlyData.${part}`, 0]));
+};
+
+/**
+ * Keep the traces matching any selector
+ * @param {Object} plotlyData - Plotly figure
+ * @param {string[]} selectors - Trace indexes ("0") or trace names
+ * @returns {Object} Figure with the selected traces only
+ */
+const selectTraces = (plotlyData, selectors) => {
+  if (!plotlyData || !Array.isArray(plotlyData.data)) {
+    return plotlyData;
+  }
+
+  const indexes = new Set(selectors.filter(selector => /^\d+$/.test(selector)).map(Number));
+  const names = new Set(selectors);
+
+  return {
+    ...plotlyData,
+    data: plotlyData.data.filter((trace, index) => (
+      indexes.has(index) || (typeof trace?.name === 'string' && names.has(trace.name))
+    ))
+  };
+};
+
+/**
+ * Reduce a chart to the requested fields
+ * @param {Object} chart - Lean chart
+ * @param {string[]} fields - Validated field list
+ * @param {string[]} [keep] - Extra fields to keep when present (e.g. search score)
+ * @returns {Object}
+ */
+const pickFields = (chart, fields, keep = []) => {
+  const picked = { _id: chart._id };
+
+  [...fields, ...keep].forEach(field => {
+    const [name, part] = field.split('.');
+    if (part) {
+      if (chart[name] && chart[name][part] !== undefined) {
+        picked[name] = { ...picked[name], [part]: chart[name][part] };
+      }
+    } else if (chart[name] !== undefined) {
+      picked[name] = chart[name];
+    }
+  });
+
+  return picked;
+};
+
+/**
+ * Reduce a chart to CHART_SUMMARY_FIELDS
+ * @param {Object} chart - Chart document (lean or hydrated)
+ * @returns {Object}
+ */
+const summarizeChart = (chart) => {
+  const source = typeof chart.toObject === 'function' ? chart.toObject() : chart;
+  return Object.fromEntries(CHART_SUMMARY_FIELDS
+    .filter(field => source[field] !== undefined)
+    .map(field => [field, source[field]]));
+};
+
+module.exports = {
+  CHART_FIELDS,
+  requestedFigureParts,
+  figureProjection,
+  selectTraces,
+  pickFields,
+  summarizeChart
+};
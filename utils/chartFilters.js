@@ -0,0 +1,102 @@
+const { buildReadFilter } = require('../middleware/chartAccess');
+const { createError } = require('../middleware/errorHandler');
+const { parseSearchQuery, toTextSearch } = require('./chartSearch');
+
+/**
+ * Build the MongoDB filter for chart listings from validated query parameters.
+ * Shared by GET /api/charts and GET /api/charts/export so both always agree.
+ *
+ * Supported parameters: search (full-text, see utils/chartSearch.js), owner
+ * (me or a user ID), tags with tagsMatch (any|all), traceType (any of),
+ * createdAfter, createdBefore, updatedAfter, updatedBefore, minPoints, maxPoints.
+ *
+ * @param {Object} query - Validated req.query
+ * @param {Object} [user] - Decoded JWT payload from req.user
+ * @returns {Object} MongoDB filter
+ */
+const buildChartFilter = (query, user) => {
+  // Always restricted to charts the caller may read, and never charts in the trash
+  const conditions = [buildReadFilter(user), { deletedAt: null }];
+
+  if (query.owner === 'me') {
+    if (!user) {
+      throw createError(401, 'Authentication required to filter by owner');
+    }
+    conditions.push({ createdBy: String(user.userId) });
+  } else if (query.owner) {
+    conditions.push({ createdBy: query.owner });
+  }
+
+  if (query.search) {
+    // Full-text index over title, description, tags, axis titles and trace names
+    conditions.push({ $text: { $search: toTextSearch(parseSearchQuery(query.search)) } });
+  }
+
+  if (Array.isArray(query.tags) && query.tags.length > 0) {
+    conditions.push({ tags: { [query.tagsMatch === 'all' ? '$all' : '$in']: query.tags } });
+  }
+
+  if (Array.isArray(query.traceType) && query.traceType.length > 0) {
+    conditions.push({ traceTypes: { $in: query.traceType } });
+  }
+
+  const range = (min, max) => {
+    const bounds = {};
+    if (min !== undefined) bounds.$gte = min;
+    if (max !== undefined) bounds.$lte = max;
+    return bounds;
+  };
+
+  if (query.createdAfter || query.createdBefore) {
+    conditions.push({ createdAt: range(query.createdAfter, query.createdBefore) });
+  }
+
+  if (query.updatedAfter || query.updatedBefore) {
+    conditions.push({ updatedAt: range(query.updatedAfter, query.updatedBefore) });
+  }
+
+  if (query.minPoints !== undefined || query.maxPoints !== undefined) {
+    conditions.push({ dataPointCount: range(query.minPoints, query.maxPoints) });
+  }
+
+  return { $and: conditions };
+};
+
+/**
+ * Resolve the sort for chart listings. Searches sort by relevance unless
+ * another sort is requested.
+ * @param {Object} query - Validated req.query
+ * @returns {{ key: string, field: string, direction: number }}
+ *          key is the requested sort, field the document field ordered on
+ */
+const resolveChartSort = (query) => {
+  const key = query.sort || (query.search ? 'relevance' : '-createdAt');
+  if (key === 'relevance') {
+    if (!query.search) {
+      throw createError(400, 'Sorting by relevance requires a search');
+    }
+    return { key, field: 'score', direction: -1 };
+  }
+
+  const descending = key.startsWith('-');
+  return { key, field: descending ? key.slice(1) : key, direction: descending ? -1 : 1 };
+};
+
+/**
+ * Mongoose sort for chart listings, with _id breaking ties so the order is total
+ * @param {Object} query - Validated req.query
+ * @returns {Object}
+ */
+const buildChartSort = (query) => {
+  const { field, direction } = resolveChartSort(query);
+  if (field === 'score') {
+    return { score: { $meta: 'textScore' }, _id: -1 };
+  }
+  return { [field]: direction, _id: direction };
+};
+
+module.exports = {
+  buildChartFilter,
+  resolveChartSort,
+  buildChartSort
+};
@@ -0,0 +1,118 @@
+const mongoose = require('mongoose');
+const { createError } = require('../middleware/errorHandler');
+
+/**
+ * Keyset (cursor) Pagination for Chart Listings
+ *
+ * Results are ordered by the sort field with the chart _id as a tie-breaker,
+ * so every position in the order is unique. A cursor records the sort key
+ * plus the field value and _id of the last chart returned; the next page
+ * starts strictly after it, which stays correct when charts are inserted or
+ * removed between requests.
+ */
+
+const DATE_FIELDS = ['createdAt', 'updatedAt'];
+const OBJECT_ID_PATTERN = /^[0-9a-fA-F]{24}$/;
+
+/**
+ * Encode the position after a chart as an opaque cursor
+ * @param {Object} sort - Result of resolveChartSort()
+ * @param {Object} chart - Last chart of the page
+ * @returns {string}
+ */
+const encodeCursor = (sort, chart) => {
+  const value = chart[sort.field];
+  return Buffer.from(JSON.stringify({
+    s: sort.key,
+    v: value instanceof Date ? value.toISOString() : (value ?? null),
+    id: String(chart._id)
+  })).toString('base64url');
+};
+
+/**
+ * Decode a cursor produced by encodeCursor()
+ * @param {string} cursor
+ * @param {Object} sort - Result of resolveChartSort() for the current request
+ * @returns {{ value: *, id: ObjectId }}
+ * @throws 400 if the cursor is malformed or belongs to a different sort
+ */
+const decodeCursor = (cursor, sort) => {
+  let position;
+  try {
+    position = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  } catch (error) {
+    throw createError(400, 'Invalid pagination cursor');
+  }
+
+  const valueType = position?.v === null ? 'null' : typeof position?.v;
+  if (!position || typeof position.id !== 'string' || !OBJECT_ID_PATTERN.test(position.id) ||
+      !['string', 'number', 'null'].includes(valueType)) {
+    throw createError(400, 'Invalid pagination cursor');
+  }
+  if (position.s !== sort.key) {
+    throw createError(400, 'Pagination cursor was issued for a different sort');
+  }
+
+  let value = position.v;
+  if (value !== null && DATE_FIELDS.includes(sort.field)) {
+    value = new Date(value);
+    if (Number.isNaN(value.getTime())) {
+      throw createError(400, 'Invalid pagination cursor');
+    }
+  }
+
+  return { value, id: new mongoose.Types.ObjectId(position.id) };
+};
+
+/**
+ * Match the charts that come after a cursor position.
+ * Missing values sort before everything else in ascending order.
+ * @param {Object} sort - Result of resolveChartSort()
+ * @param {{ value: *, id: ObjectId }} position - Result of decodeCursor()
+ * @returns {Object} MongoDB filter
+ */
+const afterCursorFilter = ({ field, direction }, { value, id }) => {
+  const beyond = direction > 0 ? '$gt' : '$lt';
+  const sameValueLaterId = { [field]: value, _id: { [beyond]: id } };
+
+  if (value === null) {
+    return direction > 0
+      ? { $or: [sameValueLaterId, { [field]: { $ne: null } }] }
+      : sameValueLaterId;
+  }
+
+  return {
+    $or: [
+      { [field]: { [beyond]: value } },
+      sameValueLaterId,
+      ...(direction > 0 ? [] : [{ [field]: null }])
+    ]
+  };
+};
+
+/**
+ * Build an RFC 8288 Link header value
+ * @param {Object} req - Express request
+ * @param {Object} links - rel => query parameters to set (null removes a parameter)
+ * @returns {string}
+ */
+const buildLinkHeader = (req, links) => Object.entries(links)
+  .map(([rel, params]) => {
+    const url = new URL(req.originalUrl, `${req.protocol}://${req.get('host')}`);
+    Object.entries(params).forEach(([name, value]) => {
+      if (value === null) {
+        url.searchParams.delete(name);
+      } else {
+        url.searchParams.set(name, String(value));
+      }
+    });
+    return `<${url.toString()}>; rel="${rel}"`;
+  })
+  .join(', ');
+
+module.exports = {
+  encodeCursor,
+  decodeCursor,
+  afterCursorFilter,
+  buildLinkHeader
+};
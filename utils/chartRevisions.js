@@ -0,0 +1,101 @@
+const Chart = require('../chartModel');
+const ChartRevision = require('../chartRevisionModel');
+const { createError } = require('../middleware/errorHandler');
+
+// Chart fields that make up its content (ownership and access settings are not versioned content)
+const CONTENT_FIELDS = ['plotlyData', 'chartTitle', 'description', 'tags'];
+
+/**
+ * Pick the versioned content fields from a chart or snapshot
+ * @param {Object} chart - Chart document or revision snapshot
+ * @returns {Object}
+ */
+const pickContent = (chart) => {
+  return CONTENT_FIELDS.reduce((content, field) => {
+    if (chart[field] !== undefined) {
+      content[field] = chart[field];
+    }
+    return content;
+  }, {});
+};
+
+/**
+ * Current revision number of a chart (charts saved before revisions existed start at 1)
+ * @param {Object} chart - Chart document
+ * @returns {number}
+ */
+const currentRevision = (chart) => chart.revision || 1;
+
+/**
+ * Build a filter matching the chart only while it is still at the given revision
+ * and not in the trash
+ * @param {Object} chart - Chart document as read before the update
+ * @returns {Object} MongoDB filter
+ */
+const sameRevisionFilter = (chart) => ({
+  _id: chart._id,
+  revision: chart.revision ? chart.revision : { $exists: false },
+  deletedAt: null
+});
+
+/**
+ * Apply an update to a chart, first storing the prior document as an immutable revision.
+ *
+ * The revision insert doubles as a lock: the unique (chartId, rev) index rejects a
+ * second writer working from the same prior revision, and the update itself only
+ * matches while the chart is still at that revision. Either race yields a 409.
+ *
+ * @param {Object} existingChart - Lean chart document as read before the update
+ * @param {Object} updateData - Fields to set on the chart
+ * @param {Object} options
+ * @param {string} [options.userId] - Who made the change
+ * @param {string} [options.message] - Optional change message
+ * @returns {Promise<Object>} Updated chart document
+ */
+const updateChartWithRevision = async (existingChart, updateData, { userId, message } = {}) => {
+  const rev = currentRevision(existingChart);
+  let revision;
+
+  try {
+    revision = await ChartRevision.create({
+      chartId: existingChart._id,
+      rev,
+      snapshot: existingChart,
+      changedBy: userId,
+      message
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      throw createError(409, 'Chart was modified by another request. Reload it and try again.');
+    }
+    throw error;
+  }
+
+  const updatedChart = await Chart.findOneAndUpdate(
+    sameRevisionFilter(existingChart),
+    { ...updateData, revision: rev + 1 },
+    {
+      new: true, // Return the updated document
+      runValidators: true // Run mongoose validators
+    }
+  );
+
+  if (!updatedChart) {
+    await ChartRevision.deleteOne({ _id: revision._id });
+    throw createError(409, 'Chart was modified by another request. Reload it and try again.');
+  }
+
+  // Retention is best-effort and must not fail the update
+  ChartRevision.prune(existingChart._id).catch((error) => {
+    console.error('Failed to prune chart revisions:', error.message);
+  });
+
+  return updatedChart;
+};
+
+module.exports = {
+  CONTENT_FIELDS,
+  pickContent,
+  currentRevision,
+  updateChartWithRevision
+};
@@ -0,0 +1,230 @@
+/**
+ * Chart Full-Text Search Helpers
+ *
+ * Search runs on the `chart_text_search` text index (see chartModel.js), which
+ * covers chartTitle, description, tags and the axis titles and trace names
+ * extracted from plotlyData into `searchFields`.
+ *
+ * Query syntax follows MongoDB $text: words match any of their stems,
+ * "quoted phrases" must appear verbatim and a leading minus (-word or
+ * -"phrase") excludes charts containing it.
+ */
+
+const { createError } = require('../middleware/errorHandler');
+const { escapeHtml, decodeStoredText } = require('./html');
+
+// Bounds on what is copied out of plotlyData into the index
+const MAX_SEARCH_FIELD_ITEMS = 100;
+const MAX_SEARCH_FIELD_LENGTH = 200;
+
+// Snippet window around the first match
+const SNIPPET_LENGTH = 160;
+const SNIPPET_LEAD = 60;
+
+const LETTER_OR_DIGIT = '[\\p{L}\\p{N}]';
+const TOKEN_PATTERN = /(-?)"([^"]*)"|(\S+)/g;
+const AXIS_KEY_PATTERN = /^[xyz]axis\d*$/;
+const SCENE_KEY_PATTERN = /^scene\d*$/;
+
+/**
+ * Plain text of a Plotly title (a string or { text })
+ * @param {*} title
+ * @returns {string}
+ */
+const titleText = (title) => {
+  const text = typeof title === 'string' ? title : title?.text;
+  return typeof text === 'string'
+    ? text.replace(/<[^>]*>/g, ' ').replace(/\s+/g, ' ').trim()
+    : '';
+};
+
+/**
+ * Collect distinct, bounded strings
+ * @param {string[]} values
+ * @returns {string[]}
+ */
+const boundedUnique = (values) => [...new Set(
+  values
+    .filter(Boolean)
+    .map(value => value.slice(0, MAX_SEARCH_FIELD_LENGTH))
+)].slice(0, MAX_SEARCH_FIELD_ITEMS);
+
+/**
+ * Extract the searchable text held inside a Plotly figure
+ * @param {Object} plotlyData - Plotly figure ({ data, layout })
+ * @returns {{ axisTitles: string[], traceNames: string[] }}
+ */
+const extractSearchFields = (plotlyData) => {
+  const layout = plotlyData?.layout && typeof plotlyData.layout === 'object' ? plotlyData.layout : {};
+  const traces = Array.isArray(plotlyData?.data) ? plotlyData.data : [];
+
+  const axes = Object.keys(layout)
+    .filter(key => AXIS_KEY_PATTERN.test(key))
+    .map(key => layout[key]);
+
+  // 3D axes live under layout.scene, layout.scene2, ...
+  Object.keys(layout)
+    .filter(key => SCENE_KEY_PATTERN.test(key) && layout[key] && typeof layout[key] === 'object')
+    .forEach(key => {
+      ['xaxis', 'yaxis', 'zaxis'].forEach(axis => axes.push(layout[key][axis]));
+    });
+
+  return {
+    axisTitles: boundedUnique(axes.map(axis => titleText(axis?.title))),
+    traceNames: boundedUnique(traces.map(trace => (
+      typeof trace?.name === 'string' ? trace.name.trim() : ''
+    )))
+  };
+};
+
+/**
+ * Strip punctuation from the ends of a search word
+ * @param {string} word
+ * @returns {string}
+ */
+const trimWord = (word) => word.replace(/^[^\p{L}\p{N}]+|[^\p{L}\p{N}]+$/gu, '');
+
+/**
+ * Parse a search string into terms, phrases and exclusions
+ * @param {string} search - Raw ?search= value
+ * @returns {{ terms: string[], phrases: string[], excludedTerms: string[], excludedPhrases: string[] }}
+ * @throws 400 if nothing remains to match on
+ */
+const parseSearchQuery = (search) => {
+  const parsed = { terms: [], phrases: [], excludedTerms: [], excludedPhrases: [] };
+
+  for (const [, minus, phrase, word] of String(search).matchAll(TOKEN_PATTERN)) {
+    if (phrase !== undefined) {
+      const text = phrase.split(/\s+/).map(trimWord).filter(Boolean).join(' ');
+      if (text) {
+        (minus ? parsed.excludedPhrases : parsed.phrases).push(text);
+      }
+      continue;
+    }
+
+    const negated = word.length > 1 && word.startsWith('-');
+    const text = trimWord(negated ? word.slice(1) : word);
+    if (text) {
+      (negated ? parsed.excludedTerms : parsed.terms).push(text);
+    }
+  }
+
+  if (parsed.terms.length === 0 && parsed.phrases.length === 0) {
+    throw createError(400, 'Search must include at least one word or phrase that is not excluded');
+  }
+
+  return parsed;
+};
+
+/**
+ * Rebuild a normalized $text search string from a parsed query
+ * @param {Object} parsed - Result of parseSearchQuery()
+ * @returns {string}
+ */
+const toTextSearch = (parsed) => [
+  ...parsed.terms,
+  ...parsed.phrases.map(phrase => `"${phrase}"`),
+  ...parsed.excludedTerms.map(term => `-${term}`),
+  ...parsed.excludedPhrases.map(phrase => `-"${phrase}"`)
+].join(' ');
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Approximate the stemming of the text index so that "sales" highlights "sale"
+ * @param {string} term
+ * @returns {string}
+ */
+const stem = (term) => {
+  const lower = term.toLowerCase();
+  const match = lower.match(/^(.{3,}?)(?:ing|ed|es|s)$/u);
+  return match ? match[1] : lower;
+};
+
+/**
+ * Regular expressions locating the positive parts of a query in plain text
+ * @param {Object} parsed - Result of parseSearchQuery()
+ * @returns {RegExp[]}
+ */
+const buildHighlightPatterns = (parsed) => [
+  ...parsed.terms.map(term => new RegExp(
+    `(?<!${LETTER_OR_DIGIT})${escapeRegExp(stem(term))}${LETTER_OR_DIGIT}*`, 'giu'
+  )),
+  ...parsed.phrases.map(phrase => new RegExp(
+    `(?<!${LETTER_OR_DIGIT})${phrase.split(' ').map(escapeRegExp).join(`[^\\p{L}\\p{N}]+`)}(?!${LETTER_OR_DIGIT})`, 'giu'
+  ))
+];
+
+/**
+ * Build an HTML snippet of text with matches wrapped in <mark>
+ * @param {string} text - Plain text
+ * @param {RegExp[]} patterns
+ * @returns {string|null} Escaped HTML, or null without a match
+ */
+const highlightText = (text, patterns) => {
+  const ranges = patterns
+    .flatMap(pattern => [...text.matchAll(pattern)]
+      .filter(match => match[0].length > 0)
+      .map(match => [match.index, match.index + match[0].length]))
+    .sort((a, b) => a[0] - b[0]);
+
+  if (ranges.length === 0) {
+    return null;
+  }
+
+  // Merge overlapping matches
+  const merged = ranges.reduce((list, range) => {
+    const last = list[list.length - 1];
+    if (last && range[0] <= last[1]) {
+      last[1] = Math.max(last[1], range[1]);
+    } else {
+      list.push([...range]);
+    }
+    return list;
+  }, []);
+
+  const start = text.length <= SNIPPET_LENGTH ? 0 : Math.max(0, Math.min(merged[0][0] - SNIPPET_LEAD, text.length - SNIPPET_LENGTH));
+  const end = Math.min(text.length, start + SNIPPET_LENGTH);
+
+  let html = start > 0 ? '…' : '';
+  let position = start;
+  for (const [from, to] of merged) {
+    if (from >= end) break;
+    if (to <= position) continue;
+    html += escapeHtml(text.slice(position, Math.max(position, from)));
+    html += `<mark>${escapeHtml(text.slice(Math.max(position, from), Math.min(to, end)))}</mark>`;
+    position = Math.min(to, end);
+  }
+  html += escapeHtml(text.slice(position, end));
+
+  return end < text.length ? `${html}…` : html;
+};
+
+/**
+ * Highlighted snippets for the fields of a chart that match a query
+ * @param {Object} chart - Lean chart including searchFields
+ * @param {Object} parsed - Result of parseSearchQuery()
+ * @returns {Array<{ field: string, snippet: string }>}
+ */
+const buildHighlights = (chart, parsed) => {
+  const patterns = buildHighlightPatterns(parsed);
+  const fields = [
+    ['chartTitle', [decodeStoredText(chart.chartTitle)]],
+    ['description', [decodeStoredText(chart.description)]],
+    ['tags', (chart.tags || []).map(decodeStoredText)],
+    ['axisTitles', chart.searchFields?.axisTitles || []],
+    ['traceNames', chart.searchFields?.traceNames || []]
+  ];
+
+  return fields.flatMap(([field, values]) => values
+    .map(value => highlightText(value, patterns))
+    .filter(snippet => snippet !== null)
+    .map(snippet => ({ field, snippet })));
+};
+
+module.exports = {
+  extractSearchFields,
+  parseSearchQuery,
+  toTextSearch,
+  buildHighlights
+};
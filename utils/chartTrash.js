@@ -0,0 +1,115 @@
+const Chart = require('../chartModel');
+const ChartRevision = require('../chartRevisionModel');
+const ShareLink = require('../shareLinkModel');
+const Dashboard = require('../dashboardModel');
+
+/**
+ * Chart Trash
+ *
+ * Deleting a chart only sets `deletedAt`. Charts stay restorable for
+ * CHART_TRASH_RETENTION_DAYS and are then purged together with their
+ * revisions and share links by a periodic sweep (or `npm run db:purge-trash`).
+ */
+
+// Unparsable or negative values fall back to the default (`|| default` would turn 0 into the default)
+const parsedRetentionDays = parseInt(process.env.CHART_TRASH_RETENTION_DAYS, 10);
+const TRASH_RETENTION_DAYS = Number.isFinite(parsedRetentionDays) && parsedRetentionDays >= 0
+  ? parsedRetentionDays
+  : 30;
+const parsedSweepMinutes = parseInt(process.env.CHART_TRASH_SWEEP_MINUTES, 10);
+const SWEEP_INTERVAL_MINUTES = Number.isFinite(parsedSweepMinutes) && parsedSweepMinutes >= 0
+  ? parsedSweepMinutes
+  : 60;
+
+// Charts purged per sweep query
+const PURGE_BATCH_SIZE = 500;
+
+/**
+ * When a trashed chart becomes due for purging
+ * @param {Date} deletedAt
+ * @returns {Date}
+ */
+const purgeDate = (deletedAt) => new Date(new Date(deletedAt).getTime() + TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+
+/**
+ * Permanently delete a chart and everything that only exists for it
+ * @param {ObjectId|string} chartId
+ * @returns {Promise<boolean>} Whether the chart existed
+ */
+const purgeChart = async (chartId) => {
+  const result = await Chart.deleteOne({ _id: chartId });
+
+  await ChartRevision.deleteMany({ chartId });
+  await ShareLink.deleteMany({ chartId });
+  await Dashboard.markChartRemoved(chartId);
+
+  return result.deletedCount > 0;
+};
+
+/**
+ * Purge every chart that has been in the trash longer than the retention window
+ * @param {Date} [now]
+ * @returns {Promise<number>} Number of charts purged
+ */
+const purgeExpiredTrash = async (now = new Date()) => {
+  const cutoff = new Date(now.getTime() - TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+  let purged = 0;
+
+  for (;;) {
+    const expired = await Chart.find({ deletedAt: { $ne: null, $lte: cutoff } })
+      .select('_id')
+      .limit(PURGE_BATCH_SIZE)
+      .lean();
+
+    for (const chart of expired) {
+      if (await purgeChart(chart._id)) {
+        purged++;
+      }
+    }
+
+    if (expired.length < PURGE_BATCH_SIZE) {
+      return purged;
+    }
+  }
+};
+
+/**
+ * Run purgeExpiredTrash() every CHART_TRASH_SWEEP_MINUTES (0 disables the sweep)
+ * @returns {NodeJS.Timeout|null}
+ */
+const startTrashSweep = () => {
+  if (SWEEP_INTERVAL_MINUTES <= 0) {
+    return null;
+  }
+
+  let running = false;
+
+  const timer = setInterval(() => {
+    // A slow sweep must not overlap the next one
+    if (running) return;
+    running = true;
+
+    purgeExpiredTrash()
+      .then((purged) => {
+        if (purged > 0) {
+          console.log(`🗑️  Purged ${purged} chart(s) from the trash`);
+        }
+      })
+      .catch(error => console.error('Trash purge failed:', error.message))
+      .finally(() => {
+        running = false;
+      });
+  }, SWEEP_INTERVAL_MINUTES * 60 * 1000);
+
+  // Never keep the process alive just for the sweep
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  TRASH_RETENTION_DAYS,
+  purgeDate,
+  purgeChart,
+  purgeExpiredTrash,
+  startTrashSweep
+};
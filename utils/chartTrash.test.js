@@ -0,0 +1,87 @@
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Load a fresh copy of the module with the given environment
+ */
+const loadChartTrash = (env) => {
+  const saved = { ...process.env };
+  Object.assign(process.env, env);
+  let chartTrash;
+  jest.isolateModules(() => {
+    chartTrash = require('./chartTrash');
+  });
+  process.env = saved;
+  return chartTrash;
+};
+
+describe('chart trash settings', () => {
+  test('fall back to the defaults for non-numeric values', () => {
+    const { TRASH_RETENTION_DAYS, purgeDate } = loadChartTrash({
+      CHART_TRASH_RETENTION_DAYS: 'thirty',
+      CHART_TRASH_SWEEP_MINUTES: 'hourly'
+    });
+
+    expect(TRASH_RETENTION_DAYS).toBe(30);
+    expect(purgeDate(new Date(0)).getTime()).toBe(30 * DAY_MS);
+  });
+
+  test('keep 0 as a valid retention', () => {
+    const { TRASH_RETENTION_DAYS } = loadChartTrash({ CHART_TRASH_RETENTION_DAYS: '0' });
+
+    expect(TRASH_RETENTION_DAYS).toBe(0);
+  });
+
+  test('0 sweep minutes disables the sweep', () => {
+    const { startTrashSweep } = loadChartTrash({ CHART_TRASH_SWEEP_MINUTES: '0' });
+
+    expect(startTrashSweep()).toBeNull();
+  });
+});
+
+describe('startTrashSweep', () => {
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  test('sweeps on the default interval for a non-numeric setting and never overlaps', async () => {
+    let chartTrash;
+    let Chart;
+    jest.isolateModules(() => {
+      process.env.CHART_TRASH_SWEEP_MINUTES = 'hourly';
+      chartTrash = require('./chartTrash');
+      Chart = require('../chartModel');
+      delete process.env.CHART_TRASH_SWEEP_MINUTES;
+    });
+
+    // Only after mongoose has loaded, which warns about fake timers
+    jest.useFakeTimers({ doNotFake: ['setImmediate'] });
+
+    let finishSweep;
+    const find = jest.spyOn(Chart, 'find').mockImplementation(() => ({
+      select() { return this; },
+      limit() { return this; },
+      lean: () => new Promise((resolve) => { finishSweep = () => resolve([]); })
+    }));
+
+    const timer = chartTrash.startTrashSweep();
+
+    jest.advanceTimersByTime(59 * 60 * 1000);
+    expect(find).not.toHaveBeenCalled();
+
+    jest.advanceTimersByTime(60 * 1000);
+    expect(find).toHaveBeenCalledTimes(1);
+
+    // The first sweep is still running, so the next tick is skipped
+    jest.advanceTimersByTime(60 * 60 * 1000);
+    expect(find).toHaveBeenCalledTimes(1);
+
+    finishSweep();
+    await new Promise(resolve => setImmediate(resolve));
+
+    jest.advanceTimersByTime(60 * 60 * 1000);
+    expect(find).toHaveBeenCalledTimes(2);
+
+    clearInterval(timer);
+  });
+});
@@ -0,0 +1,120 @@
+/**
+ * Delimited Text Helpers (CSV / TSV)
+ *
+ * Parsing follows RFC 4180: fields may be quoted, quotes inside quoted
+ * fields are doubled, and quoted fields may contain delimiters and newlines.
+ */
+
+const CSV_TYPE = 'text/csv';
+const TSV_TYPE = 'text/tab-separated-values';
+
+const DELIMITERS = {
+  comma: ',',
+  semicolon: ';',
+  tab: '\t',
+  pipe: '|'
+};
+
+/**
+ * Parse delimited text into rows of string fields
+ * @param {string} text - Raw CSV/TSV content
+ * @param {Object} [options]
+ * @param {string} [options.delimiter] - Field delimiter (default ",")
+ * @returns {Array<Array<string>>} Rows (trailing empty line ignored)
+ */
+const parseDelimited = (text, { delimiter = ',' } = {}) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  let i = 0;
+
+  // Strip a UTF-8 byte order mark left by spreadsheet exports
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+
+  while (i < input.length) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"') {
+        if (input[i + 1] === '"') {
+          field += '"';
+          i += 2;
+          continue;
+        }
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+      i++;
+      continue;
+    }
+
+    if (char === '"' && field === '') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+      if (char === '\r' && input[i + 1] === '\n') {
+        i++;
+      }
+    } else {
+      field += char;
+    }
+    i++;
+  }
+
+  if (inQuotes) {
+    throw new Error('Unterminated quoted field');
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // Drop blank lines
+  return rows.filter(fields => !(fields.length === 1 && fields[0].trim() === ''));
+};
+
+/**
+ * Format one cell. Strings that spreadsheets would evaluate as formulas are
+ * prefixed with a quote to prevent CSV injection; numbers are left alone.
+ */
+const formatCell = (value, delimiter) => {
+  if (value === null || value === undefined) return '';
+
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+
+  if (text.includes(delimiter) || text.includes('"') || /[\r\n]/.test(text)) {
+    return `"${text.replace(/"/g, '""')}"`;
+  }
+  return text;
+};
+
+/**
+ * Format rows as delimited text (CRLF line endings, as RFC 4180 and Excel expect)
+ * @param {Array<Array<*>>} rows - Header row followed by data rows
+ * @param {Object} [options]
+ * @param {string} [options.delimiter] - Field delimiter (default ",")
+ * @returns {string}
+ */
+const formatDelimited = (rows, { delimiter = ',' } = {}) => {
+  return rows.map(row => row.map(value => formatCell(value, delimiter)).join(delimiter)).join('\r\n') + '\r\n';
+};
+
+module.exports = {
+  CSV_TYPE,
+  TSV_TYPE,
+  DELIMITERS,
+  parseDelimited,
+  formatDelimited
+};
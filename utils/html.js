@@ -0,0 +1,43 @@
+/**
+ * HTML Text Helpers
+ *
+ * Free-text chart fields (chartTitle, description, tags) are stored
+ * HTML-escaped by the express-validator `escape()` sanitizer.
+ */
+
+// Entities produced by express-validator's escape()
+const STORED_ENTITIES = {
+  '&amp;': '&',
+  '&lt;': '<',
+  '&gt;': '>',
+  '&quot;': '"',
+  '&#x27;': "'",
+  '&#x2F;': '/',
+  '&#x5C;': '\\',
+  '&#96;': '`'
+};
+
+/**
+ * Escape text for HTML element content or a quoted attribute
+ * @param {*} value
+ * @returns {string}
+ */
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+/**
+ * Undo the escaping applied to stored text fields
+ * @param {string} value - Stored (escaped) text
+ * @returns {string} Plain text
+ */
+const decodeStoredText = (value) => String(value ?? '')
+  .replace(/&(amp|lt|gt|quot|#x27|#x2F|#x5C|#96);/g, entity => STORED_ENTITIES[entity]);
+
+module.exports = {
+  escapeHtml,
+  decodeStoredText
+};
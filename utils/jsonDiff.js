@@ -0,0 +1,103 @@
+/**
+ * JSON Diff Helpers
+ *
+ * Produces a compact, JSON-Patch-like list of operations describing how to
+ * turn one JSON value into another. Paths are JSON Pointers (RFC 6901).
+ * Each operation also carries the previous value so the diff reads both ways.
+ */
+
+/**
+ * Escape a key for use in a JSON Pointer
+ * @param {string|number} key
+ * @returns {string}
+ */
+const escapePointer = (key) => String(key).replace(/~/g, '~0').replace(/\//g, '~1');
+
+const isPlainObject = (value) => {
+  return value !== null && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date);
+};
+
+/**
+ * Compare two JSON values for deep equality
+ * @param {*} a
+ * @param {*} b
+ * @returns {boolean}
+ */
+const deepEqual = (a, b) => {
+  if (a === b) return true;
+  if (a instanceof Date || b instanceof Date) {
+    return a instanceof Date && b instanceof Date && a.getTime() === b.getTime();
+  }
+  if (Array.isArray(a)) {
+    return Array.isArray(b) && a.length === b.length && a.every((item, i) => deepEqual(item, b[i]));
+  }
+  if (isPlainObject(a) && isPlainObject(b)) {
+    const keysA = Object.keys(a);
+    const keysB = Object.keys(b);
+    return keysA.length === keysB.length && keysA.every(key => deepEqual(a[key], b[key]));
+  }
+  // ObjectIds and other BSON values compare by their string form
+  if (a && b && typeof a === 'object' && typeof b === 'object') {
+    return String(a) === String(b);
+  }
+  return false;
+};
+
+/**
+ * Diff two JSON values
+ * @param {*} before - Original value
+ * @param {*} after - New value
+ * @param {string} [basePath] - JSON Pointer prefix
+ * @returns {Array<Object>} Operations: { op, path, value?, previous? }
+ */
+const diff = (before, after, basePath = '') => {
+  if (deepEqual(before, after)) {
+    return [];
+  }
+
+  const bothArrays = Array.isArray(before) && Array.isArray(after);
+  const bothObjects = isPlainObject(before) && isPlainObject(after);
+
+  if (!bothArrays && !bothObjects) {
+    return [{ op: 'replace', path: basePath, value: after, previous: before }];
+  }
+
+  const ops = [];
+
+  if (bothArrays) {
+    const shared = Math.min(before.length, after.length);
+    for (let i = 0; i < shared; i++) {
+      ops.push(...diff(before[i], after[i], `${basePath}/${i}`));
+    }
+    for (let i = shared; i < after.length; i++) {
+      ops.push({ op: 'add', path: `${basePath}/${i}`, value: after[i] });
+    }
+    // Remove from the end so indices stay valid when applied in order
+    for (let i = before.length - 1; i >= shared; i--) {
+      ops.push({ op: 'remove', path: `${basePath}/${i}`, previous: before[i] });
+    }
+    return ops;
+  }
+
+  for (const key of Object.keys(before)) {
+    const path = `${basePath}/${escapePointer(key)}`;
+    if (!(key in after)) {
+      ops.push({ op: 'remove', path, previous: before[key] });
+    } else {
+      ops.push(...diff(before[key], after[key], path));
+    }
+  }
+  for (const key of Object.keys(after)) {
+    if (!(key in before)) {
+      ops.push({ op: 'add', path: `${basePath}/${escapePointer(key)}`, value: after[key] });
+    }
+  }
+
+  return ops;
+};
+
+module.exports = {
+  diff,
+  deepEqual,
+  escapePointer
+};
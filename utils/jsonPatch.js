@@ -0,0 +1,261 @@
+const { createError } = require('../middleware/errorHandler');
+const { deepEqual } = require('./jsonDiff');
+
+/**
+ * JSON Patch (RFC 6902) and JSON Merge Patch (RFC 7396)
+ *
+ * Both appliers work on a deep copy and return the patched result, so a
+ * failing operation never leaves the input half-modified.
+ */
+
+const JSON_PATCH_TYPE = 'application/json-patch+json';
+const MERGE_PATCH_TYPE = 'application/merge-patch+json';
+const PATCH_OPERATIONS = ['add', 'remove', 'replace', 'move', 'copy', 'test'];
+
+// Keys that could pollute object prototypes if written through a patch
+const FORBIDDEN_KEYS = ['__proto__', 'constructor', 'prototype'];
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Parse a JSON Pointer (RFC 6901) into reference tokens
+ * @param {string} pointer - e.g. "/data/0/marker/color"
+ * @returns {Array<string>}
+ */
+const parsePointer = (pointer) => {
+  if (typeof pointer !== 'string' || (pointer !== '' && !pointer.startsWith('/'))) {
+    throw createError(400, `Invalid JSON Pointer: ${pointer}`);
+  }
+  if (pointer === '') {
+    return [];
+  }
+
+  return pointer.slice(1).split('/').map((token) => {
+    const key = token.replace(/~1/g, '/').replace(/~0/g, '~');
+    if (FORBIDDEN_KEYS.includes(key)) {
+      throw createError(400, `Forbidden key in JSON Pointer: ${key}`);
+    }
+    return key;
+  });
+};
+
+/**
+ * Resolve an array index token
+ */
+const arrayIndex = (array, token, { allowEnd = false } = {}) => {
+  if (allowEnd && token === '-') {
+    return array.length;
+  }
+  if (!/^(0|[1-9]\d*)$/.test(token)) {
+    throw createError(409, `Invalid array index: ${token}`);
+  }
+
+  const index = parseInt(token, 10);
+  const max = allowEnd ? array.length : array.length - 1;
+  if (index > max) {
+    throw createError(409, `Array index out of bounds: ${token}`);
+  }
+  return index;
+};
+
+/**
+ * Walk to the parent container of the pointer's last token
+ */
+const resolveParent = (document, tokens, pointer) => {
+  let node = document;
+  for (const token of tokens.slice(0, -1)) {
+    if (Array.isArray(node)) {
+      node = node[arrayIndex(node, token)];
+    } else if (isObject(node) && Object.prototype.hasOwnProperty.call(node, token)) {
+      node = node[token];
+    } else {
+      throw createError(409, `Path not found: ${pointer}`);
+    }
+  }
+
+  if (!Array.isArray(node) && !isObject(node)) {
+    throw createError(409, `Path not found: ${pointer}`);
+  }
+  return node;
+};
+
+/**
+ * Read the value at a pointer
+ */
+const getValue = (document, pointer) => {
+  const tokens = parsePointer(pointer);
+  if (tokens.length === 0) {
+    return document;
+  }
+
+  const parent = resolveParent(document, tokens, pointer);
+  const last = tokens[tokens.length - 1];
+
+  if (Array.isArray(parent)) {
+    return parent[arrayIndex(parent, last)];
+  }
+  if (!Object.prototype.hasOwnProperty.call(parent, last)) {
+    throw createError(409, `Path not found: ${pointer}`);
+  }
+  return parent[last];
+};
+
+const addValue = (document, pointer, value) => {
+  const tokens = parsePointer(pointer);
+  if (tokens.length === 0) {
+    return value;
+  }
+
+  const parent = resolveParent(document, tokens, pointer);
+  const last = tokens[tokens.length - 1];
+
+  if (Array.isArray(parent)) {
+    parent.splice(arrayIndex(parent, last, { allowEnd: true }), 0, value);
+  } else {
+    parent[last] = value;
+  }
+  return document;
+};
+
+const removeValue = (document, pointer) => {
+  const tokens = parsePointer(pointer);
+  if (tokens.length === 0) {
+    throw createError(409, 'Cannot remove the document root');
+  }
+
+  const parent = resolveParent(document, tokens, pointer);
+  const last = tokens[tokens.length - 1];
+
+  if (Array.isArray(parent)) {
+    parent.splice(arrayIndex(parent, last), 1);
+  } else {
+    if (!Object.prototype.hasOwnProperty.call(parent, last)) {
+      throw createError(409, `Path not found: ${pointer}`);
+    }
+    delete parent[last];
+  }
+  return document;
+};
+
+/**
+ * Check the shape of a JSON Patch document without applying it
+ * @param {*} operations
+ * @returns {string|null} Error message, or null if well-formed
+ */
+const validateJsonPatch = (operations) => {
+  if (!Array.isArray(operations)) {
+    return 'JSON Patch document must be an array of operations';
+  }
+  if (operations.length === 0) {
+    return 'JSON Patch document must contain at least one operation';
+  }
+
+  for (const [index, operation] of operations.entries()) {
+    if (!isObject(operation) || !PATCH_OPERATIONS.includes(operation.op)) {
+      return `Operation ${index}: op must be one of ${PATCH_OPERATIONS.join(', ')}`;
+    }
+    if (typeof operation.path !== 'string') {
+      return `Operation ${index}: path must be a JSON Pointer string`;
+    }
+    if (['add', 'replace', 'test'].includes(operation.op) && !('value' in operation)) {
+      return `Operation ${index}: ${operation.op} requires a value`;
+    }
+    if (['move', 'copy'].includes(operation.op) && typeof operation.from !== 'string') {
+      return `Operation ${index}: ${operation.op} requires a from pointer`;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Apply a JSON Patch (RFC 6902)
+ * @param {*} document - Target document (not modified)
+ * @param {Array<Object>} operations - Patch operations
+ * @returns {*} Patched copy of the document
+ */
+const applyJsonPatch = (document, operations) => {
+  const shapeError = validateJsonPatch(operations);
+  if (shapeError) {
+    throw createError(400, shapeError);
+  }
+
+  let result = structuredClone(document);
+
+  operations.forEach((operation, index) => {
+    try {
+      switch (operation.op) {
+        case 'add':
+          result = addValue(result, operation.path, structuredClone(operation.value));
+          break;
+        case 'remove':
+          result = removeValue(result, operation.path);
+          break;
+        case 'replace':
+          getValue(result, operation.path); // Target must exist
+          result = parsePointer(operation.path).length === 0
+            ? structuredClone(operation.value)
+            : addValue(removeValue(result, operation.path), operation.path, structuredClone(operation.value));
+          break;
+        case 'move': {
+          if (operation.path.startsWith(`${operation.from}/`)) {
+            throw createError(409, 'Cannot move a value into one of its own children');
+          }
+          const value = getValue(result, operation.from);
+          result = addValue(removeValue(result, operation.from), operation.path, value);
+          break;
+        }
+        case 'copy':
+          result = addValue(result, operation.path, structuredClone(getValue(result, operation.from)));
+          break;
+        case 'test':
+          if (!deepEqual(getValue(result, operation.path), operation.value)) {
+            throw createError(409, `Test failed at ${operation.path}`);
+          }
+          break;
+      }
+    } catch (error) {
+      error.message = `Operation ${index} (${operation.op}): ${error.message}`;
+      throw error;
+    }
+  });
+
+  return result;
+};
+
+/**
+ * Apply a JSON Merge Patch (RFC 7396)
+ * @param {*} target - Target document (not modified)
+ * @param {*} patch - Merge patch document
+ * @returns {*} Patched copy of the target
+ */
+const applyMergePatch = (target, patch) => {
+  if (!isObject(patch)) {
+    return structuredClone(patch);
+  }
+
+  const result = isObject(target) ? structuredClone(target) : {};
+
+  for (const [key, value] of Object.entries(patch)) {
+    if (FORBIDDEN_KEYS.includes(key)) {
+      throw createError(400, `Forbidden key in merge patch: ${key}`);
+    }
+    if (value === null) {
+      delete result[key];
+    } else {
+      result[key] = applyMergePatch(result[key], value);
+    }
+  }
+
+  return result;
+};
+
+module.exports = {
+  JSON_PATCH_TYPE,
+  MERGE_PATCH_TYPE,
+  PATCH_OPERATIONS,
+  parsePointer,
+  validateJsonPatch,
+  applyJsonPatch,
+  applyMergePatch
+};
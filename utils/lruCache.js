@@ -0,0 +1,56 @@
+/**
+ * Least-recently-used cache
+ *
+ * A Map keeps insertion order, so re-inserting on every hit keeps the
+ * oldest entry first and eviction is a single delete.
+ */
+
+/**
+ * Create an in-memory LRU cache
+ * @param {Object} [options]
+ * @param {number} [options.maxEntries] - Entries kept before the least recently used is evicted (0 disables caching)
+ * @returns {{ get: Function, set: Function, delete: Function, clear: Function, size: number }}
+ */
+const createLruCache = ({ maxEntries = 100 } = {}) => {
+  // NaN or a negative size would make the eviction check never true
+  if (!Number.isFinite(maxEntries) || maxEntries < 0) {
+    throw new TypeError(`maxEntries must be a non-negative number (got ${maxEntries})`);
+  }
+
+  const entries = new Map();
+
+  return {
+    get(key) {
+      if (!entries.has(key)) return undefined;
+      const value = entries.get(key);
+      entries.delete(key);
+      entries.set(key, value);
+      return value;
+    },
+
+    set(key, value) {
+      if (maxEntries <= 0) return;
+      entries.delete(key);
+      entries.set(key, value);
+      while (entries.size > maxEntries) {
+        entries.delete(entries.keys().next().value);
+      }
+    },
+
+    delete(key) {
+      return entries.delete(key);
+    },
+
+    clear() {
+      entries.clear();
+    },
+
+    get size() {
+      return entries.size;
+    }
+  };
+};
+
+module.exports = {
+  createLruCache
+};
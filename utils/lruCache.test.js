@@ -0,0 +1,27 @@
+const { createLruCache } = require('./lruCache');
+
+describe('createLruCache', () => {
+  test('evicts the least recently used entry', () => {
+    const cache = createLruCache({ maxEntries: 2 });
+    cache.set('a', 1);
+    cache.set('b', 2);
+    cache.get('a');
+    cache.set('c', 3);
+
+    expect(cache.size).toBe(2);
+    expect(cache.get('a')).toBe(1);
+    expect(cache.get('b')).toBeUndefined();
+    expect(cache.get('c')).toBe(3);
+  });
+
+  test('stores nothing when maxEntries is 0', () => {
+    const cache = createLruCache({ maxEntries: 0 });
+    cache.set('a', 1);
+
+    expect(cache.size).toBe(0);
+  });
+
+  test.each([NaN, -1, Infinity, '10'])('rejects maxEntries %p instead of growing without bound', (maxEntries) => {
+    expect(() => createLruCache({ maxEntries })).toThrow(TypeError);
+  });
+});
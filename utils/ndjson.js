@@ -0,0 +1,79 @@
+const readline = require('readline');
+const { Transform } = require('stream');
+const { createError } = require('../middleware/errorHandler');
+
+const NDJSON_TYPE = 'application/x-ndjson';
+
+/**
+ * Read newline-delimited JSON from a stream, one record at a time.
+ * Blank lines are skipped. Lines that fail to parse are yielded with an
+ * error instead of a value so callers can report them per item.
+ *
+ * @param {Readable} stream - e.g. an Express request
+ * @param {Object} [options]
+ * @param {number} [options.maxBytes] - Abort with 413 once this many bytes have been read
+ * @returns {AsyncGenerator<{ index: number, value?: *, error?: string }>}
+ */
+async function* readNdjson(stream, { maxBytes = Infinity } = {}) {
+  // Count raw bytes before readline, which buffers a whole line (or a whole newline-free body)
+  let bytes = 0;
+  let tooLarge = null;
+  const counted = new Transform({
+    transform(chunk, encoding, callback) {
+      bytes += chunk.length;
+      if (bytes > maxBytes) {
+        tooLarge = createError(413, `NDJSON body exceeds maximum allowed size of ${maxBytes} bytes`);
+        stream.unpipe(counted);
+        return callback(tooLarge);
+      }
+      callback(null, chunk);
+    }
+  });
+  stream.on('error', error => counted.destroy(error));
+  stream.pipe(counted);
+
+  const lines = readline.createInterface({ input: counted, crlfDelay: Infinity });
+  let index = 0;
+
+  try {
+    for await (const line of lines) {
+      if (tooLarge) {
+        break;
+      }
+      if (line.trim() === '') {
+        continue;
+      }
+
+      let record;
+      try {
+        record = { index, value: JSON.parse(line) };
+      } catch (error) {
+        record = { index, error: `Invalid JSON: ${error.message}` };
+      }
+      index++;
+      yield record;
+    }
+  } finally {
+    lines.close();
+    if (!tooLarge) {
+      stream.unpipe(counted);
+    }
+  }
+
+  if (tooLarge) {
+    throw tooLarge;
+  }
+}
+
+/**
+ * Serialise one record as an NDJSON line
+ * @param {*} value
+ * @returns {string}
+ */
+const toNdjsonLine = (value) => `${JSON.stringify(value)}\n`;
+
+module.exports = {
+  NDJSON_TYPE,
+  readNdjson,
+  toNdjsonLine
+};
@@ -0,0 +1,808 @@
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const mongoose = require('mongoose');
+const { authenticateToken, optionalAuth, requireAdmin } = require('../middleware/auth');
+const { validateCSRF } = require('../middleware/csrf');
+const { verifySignedRequest } = require('../middleware/signedRequest');
+const { authenticateApiKey, SESSION_ONLY_PATHS } = require('../middleware/apiKey');
+const { strictLimiter } = require('../middleware/security');
+const { requiredScope } = require('./apiKeys');
+
+/**
+ * OpenAPI Document
+ *
+ * Generated from the running app rather than written by hand:
+ *   - operations come from the Express router stack,
+ *   - parameters and request bodies from the express-validator chains on each route,
+ *   - authentication and CSRF requirements from the middleware in front of it,
+ *   - summaries and response shapes from the route JSDoc (@route, @desc,
+ *     @access and @returns).
+ *
+ * @returns tags read "<status> key: Type, key: Type[]" for JSON responses,
+ * where Type is a model name, a schema below or a JSON type, or
+ * "<status> media/type, ..." for other bodies.
+ */
+
+const API_VERSION = '1.0.0';
+
+const ROOT_DIR = path.join(__dirname, '..');
+const ROUTES_DIR = path.join(ROOT_DIR, 'routes');
+
+const JSON_TYPES = ['string', 'integer', 'number', 'boolean', 'object'];
+const SAFE_METHODS = ['get', 'head', 'options'];
+
+const OBJECT_ID = { type: 'string', pattern: '^[0-9a-fA-F]{24}$' };
+
+// Schemas that are not models
+const SHARED_SCHEMAS = {
+  Meta: {
+    type: 'object',
+    properties: {
+      timestamp: { type: 'string', format: 'date-time' },
+      version: { type: 'string' }
+    }
+  },
+  Error: {
+    type: 'object',
+    properties: {
+      success: { const: false },
+      error: {
+        description: 'Message, or { status, statusCode, message, timestamp } from the error handler',
+        oneOf: [{ type: 'string' }, { type: 'object' }]
+      },
+      message: { type: 'string' },
+      code: { type: 'string' }
+    }
+  },
+  ValidationError: {
+    type: 'object',
+    properties: {
+      error: { const: 'Validation failed' },
+      details: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            field: { type: 'string' },
+            message: { type: 'string' },
+            value: {}
+          }
+        }
+      }
+    }
+  },
+  Pagination: {
+    type: 'object',
+    description: 'Page-based lists also report total<Items> and <items>PerPage',
+    properties: {
+      currentPage: { type: 'integer' },
+      totalPages: { type: 'integer' },
+      hasNextPage: { type: 'boolean' },
+      hasPrevPage: { type: 'boolean' }
+    },
+    additionalProperties: true
+  },
+  JsonPatch: {
+    type: 'array',
+    description: 'JSON Patch (RFC 6902); paths are relative to plotlyData',
+    items: {
+      type: 'object',
+      required: ['op', 'path'],
+      properties: {
+        op: { enum: ['add', 'remove', 'replace', 'move', 'copy', 'test'] },
+        path: { type: 'string' },
+        from: { type: 'string' },
+        value: {}
+      }
+    }
+  },
+  PlotlyFigure: {
+    type: 'object',
+    description: 'Plotly figure (see "Figure Validation" in the README)',
+    required: ['data'],
+    properties: {
+      data: { type: 'array', items: { type: 'object' } },
+      layout: { type: 'object' },
+      config: { type: 'object' },
+      frames: { type: 'array', items: { type: 'object' } }
+    }
+  }
+};
+
+// Request bodies whose shape follows from the media type
+const MEDIA_TYPE_SCHEMAS = {
+  'application/json-patch+json': { $ref: '#/components/schemas/JsonPatch' },
+  'application/merge-patch+json': { type: 'object', description: 'JSON Merge Patch (RFC 7396) of plotlyData' }
+};
+
+const ERROR_RESPONSES = {
+  ValidationFailed: { description: 'Invalid parameters or body', schema: 'ValidationError' },
+  Unauthorized: { description: 'Not authenticated, or an invalid API key or signature', schema: 'Error' },
+  Forbidden: { description: 'Missing CSRF token, role or API key scope', schema: 'Error' },
+  NotFound: { description: 'Not found, or not visible to the caller', schema: 'Error' },
+  UnsupportedMediaType: { description: 'Unsupported Content-Type', schema: 'Error' },
+  TooManyRequests: { description: 'Write rate limit exceeded', schema: 'Error' }
+};
+
+const SECURITY_SCHEMES = {
+  cookieAuth: {
+    type: 'apiKey',
+    in: 'cookie',
+    name: 'authToken',
+    description: 'Session cookie set by POST /api/auth/login'
+  },
+  csrfToken: {
+    type: 'apiKey',
+    in: 'header',
+    name: 'X-CSRF-Token',
+    description: 'Value of the XSRF-TOKEN cookie (GET /api/csrf-token), required on cookie-based writes'
+  },
+  apiKeyAuth: {
+    type: 'http',
+    scheme: 'bearer',
+    description: 'API key (cak_...) from POST /api/api-keys. Requirements list the scope the key needs; ' +
+      'the admin scope also covers charts:read and charts:write.'
+  },
+  signedRequest: {
+    type: 'apiKey',
+    in: 'header',
+    name: 'X-Signature',
+    description: 'HMAC-signed service request with X-Signature-Key-Id, X-Signature-Timestamp, ' +
+      'X-Signature-Nonce and X-Content-SHA256 (see utils/requestSigning.js)'
+  }
+};
+
+// express-validator implements these as anonymous custom validators
+const CUSTOM_VALIDATOR_SCHEMAS = [
+  [/Array\.isArray\(value\) &&/, { type: 'array' }],
+  [/^value => typeof value === 'object'/, { type: 'object' }],
+  [/^value => typeof value === 'string'/, { type: 'string' }],
+  [/return value === true \|\| value === false/, { type: 'boolean' }],
+  [/checkPlotlyFigure/, { $ref: '#/components/schemas/PlotlyFigure' }],
+  [/^isWebhookUrl$/, { type: 'string', format: 'uri' }],
+  [/^isTraceSelector$/, {
+    oneOf: [{ type: 'integer', minimum: 0 }, { type: 'string', minLength: 1, maxLength: 200 }]
+  }]
+];
+
+/**
+ * Path an Express layer is mounted on, e.g. "/api/charts/:id"
+ * @param {Object} layer - Router stack layer
+ * @returns {string}
+ */
+const mountPath = (layer) => {
+  if (layer.regexp.fast_slash) {
+    return '';
+  }
+
+  let keyIndex = 0;
+  return layer.regexp.source
+    .replace(/^\^/, '')
+    .replace(/\\\/\?\(\?=\\\/\|\$\)$/, '')
+    .replace(/\(\?:\\\/\(\[\^\\?\/\]\+\?\)\)/g, () => `/:${layer.keys[keyIndex++].name}`)
+    .replace(/\\(.)/g, '$1');
+};
+
+/**
+ * Join path segments without duplicate or trailing slashes
+ */
+const joinPaths = (...parts) => {
+  const joined = parts.join('/').replace(/\/{2,}/g, '/').replace(/(.)\/$/, '$1');
+  return joined || '/';
+};
+
+/**
+ * Every route of an app with the middleware that runs before its handlers
+ * @param {Array} stack - Router stack
+ * @param {string} prefix - Mount path of the stack
+ * @param {Array} inherited - { path, handle } of middleware mounted above
+ * @returns {Array<{ method: string, path: string, handlers: Function[] }>}
+ */
+const collectRoutes = (stack, prefix = '', inherited = []) => {
+  const middleware = [...inherited];
+  const routes = [];
+
+  const appliesTo = (routePath) => ({ path: mounted }) => {
+    return !mounted || routePath === mounted || routePath.startsWith(`${mounted}/`);
+  };
+
+  stack.forEach((layer) => {
+    if (layer.route) {
+      const routePath = joinPaths(prefix, layer.route.path);
+      const handlers = [
+        ...middleware.filter(appliesTo(routePath)).map(entry => entry.handle),
+        ...layer.route.stack.map(routeLayer => routeLayer.handle)
+      ];
+      Object.keys(layer.route.methods)
+        .filter(method => method !== '_all')
+        .forEach(method => routes.push({ method, path: routePath, handlers }));
+    } else if (layer.name === 'router') {
+      const routerPath = joinPaths(prefix, mountPath(layer));
+      routes.push(...collectRoutes(layer.handle.stack, routerPath, middleware.filter(appliesTo(routerPath))));
+    } else {
+      middleware.push({ path: prefix + mountPath(layer), handle: layer.handle });
+    }
+  });
+
+  return routes;
+};
+
+/**
+ * Route JSDoc tags by "METHOD /path"
+ * @returns {Map<string, Object>} e.g. { desc: ['...'], access: ['...'], returns: ['200 chart: Chart'] }
+ */
+const readRouteDocs = () => {
+  const files = [
+    path.join(ROOT_DIR, 'app.js'),
+    ...fs.readdirSync(ROUTES_DIR).filter(file => file.endsWith('.js')).map(file => path.join(ROUTES_DIR, file))
+  ];
+  const docs = new Map();
+
+  files.forEach((file) => {
+    const source = fs.readFileSync(file, 'utf8');
+
+    for (const [, block] of source.matchAll(/\/\*\*([\s\S]*?)\*\//g)) {
+      const tags = {};
+      let current = null;
+
+      block.split('\n').map(line => line.replace(/^\s*\*\s?/, '').trim()).forEach((line) => {
+        const tag = line.match(/^@(\w+)\s*(.*)$/);
+        if (tag) {
+          current = { name: tag[1], text: tag[2] };
+          (tags[current.name] = tags[current.name] || []).push(current);
+        } else if (current && line) {
+          current.text += ` ${line}`;
+        }
+      });
+
+      if (tags.route) {
+        const key = tags.route[0].text.replace(/\s+/g, ' ');
+        docs.set(key, Object.fromEntries(
+          Object.entries(tags).map(([name, entries]) => [name, entries.map(entry => entry.text.trim())])
+        ));
+      }
+    }
+  });
+
+  return docs;
+};
+
+/**
+ * Merge validator information into a schema without overriding its type
+ */
+const refine = (schema, patch) => {
+  if (patch.$ref) {
+    Object.keys(schema).forEach(key => delete schema[key]);
+    return Object.assign(schema, patch);
+  }
+  if (schema.$ref) {
+    return schema;
+  }
+  const { type, ...rest } = patch;
+  if (type && !schema.type) {
+    schema.type = type;
+  }
+  return Object.assign(schema, rest);
+};
+
+/**
+ * Schema of one validated field from its express-validator context
+ * @param {Object} context - Built express-validator context
+ * @returns {{ schema: Object, list: boolean }} list is true for comma-separated query lists
+ */
+const fieldSchema = (context) => {
+  let schema = {};
+  let target = schema;
+  let list = false;
+
+  context.stack.forEach((item) => {
+    const kind = item.constructor.name;
+
+    if (kind === 'Sanitization') {
+      const name = item.sanitizer && item.sanitizer.name;
+      if (item.custom && name === 'toList') {
+        schema = { type: 'array', items: {} };
+        target = schema.items;
+        list = true;
+      } else if (name === 'toInt') {
+        refine(target, { type: 'integer' });
+      } else if (name === 'toFloat') {
+        refine(target, { type: 'number' });
+      } else if (name === 'toBoolean') {
+        refine(target, { type: 'boolean' });
+      }
+      return;
+    }
+
+    if (item.negated) {
+      return;
+    }
+
+    if (kind === 'StandardValidation') {
+      const [options = {}] = item.options;
+      switch (item.validator.name) {
+        case 'isInt':
+        case 'isFloat':
+          refine(target, {
+            type: item.validator.name === 'isInt' ? 'integer' : 'number',
+            ...(options.min !== undefined && { minimum: options.min }),
+            ...(options.max !== undefined && { maximum: options.max })
+          });
+          break;
+        case 'isBoolean':
+          refine(target, { type: 'boolean' });
+          break;
+        case 'isIn':
+          refine(target, { enum: options });
+          break;
+        case 'isMongoId':
+          refine(target, OBJECT_ID);
+          break;
+        case 'isISO8601':
+          refine(target, { type: 'string', format: 'date-time' });
+          break;
+        case 'isEmail':
+          refine(target, { type: 'string', format: 'email' });
+          break;
+        case 'isURL':
+          refine(target, { type: 'string', format: 'uri' });
+          break;
+        case 'isLength':
+          refine(target, {
+            type: 'string',
+            ...(options.min && { minLength: options.min }),
+            ...(options.max !== undefined && { maxLength: options.max })
+          });
+          break;
+        case 'matches':
+          if (options instanceof RegExp) {
+            refine(target, { type: 'string', pattern: options.source });
+          }
+          break;
+        default:
+          break;
+      }
+      return;
+    }
+
+    if (kind === 'CustomValidation') {
+      const source = item.validator.name || item.validator.toString();
+      const match = CUSTOM_VALIDATOR_SCHEMAS.find(([pattern]) => pattern.test(source));
+      // Comma-separated lists are already arrays
+      if (match && !(list && match[1].type === 'array')) {
+        refine(target, { ...match[1] });
+      }
+    }
+  });
+
+  return { schema, list };
+};
+
+/**
+ * Parameter schema; query strings and path segments without a stricter type are text
+ */
+const parameterSchema = (schema) => {
+  const result = JSON.parse(JSON.stringify(schema));
+  [result, result.items].filter(Boolean).forEach((node) => {
+    if (!node.type && !node.$ref && !node.enum) {
+      node.type = 'string';
+    }
+  });
+  return result;
+};
+
+/**
+ * Place a (possibly nested, "tiles.*.chartId") body field in an object schema
+ */
+const setBodyField = (root, field, schema, required) => {
+  if (field === '') {
+    return refine(root, schema);
+  }
+
+  const segments = field.replace(/\[(\*|\d+)\]/g, '.$1').split('.');
+  let node = root;
+
+  segments.forEach((segment, index) => {
+    const last = index === segments.length - 1;
+
+    if (segment === '*' || /^\d+$/.test(segment)) {
+      node.type = 'array';
+      node.items = node.items || {};
+      node = node.items;
+      if (last) {
+        refine(node, schema);
+      }
+      return;
+    }
+
+    refine(node, { type: 'object' });
+    node.properties = node.properties || {};
+    node.properties[segment] = node.properties[segment] || {};
+    if (last) {
+      refine(node.properties[segment], schema);
+      if (required) {
+        node.required = [...new Set([...(node.required || []), segment])];
+      }
+    }
+    node = node.properties[segment];
+  });
+
+  return root;
+};
+
+/**
+ * JSON schema of a Mongoose schema (fields hidden with select: false are left out)
+ * @param {mongoose.Schema} schema
+ * @returns {Object}
+ */
+const mongooseSchema = (schema) => {
+  const result = { type: 'object', properties: {} };
+
+  schema.eachPath((pathName, schemaType) => {
+    if (pathName === '__v' || schemaType.options.select === false) {
+      return;
+    }
+    setBodyField(result, pathName, schemaTypeSchema(schemaType), schemaType.isRequired === true);
+  });
+
+  return result;
+};
+
+/**
+ * JSON schema of one Mongoose path
+ */
+const schemaTypeSchema = (schemaType) => {
+  switch (schemaType.instance) {
+    case 'String':
+      return {
+        type: 'string',
+        ...(schemaType.enumValues && schemaType.enumValues.length > 0 && { enum: schemaType.enumValues }),
+        ...(schemaType.options.maxlength && { maxLength: schemaType.options.maxlength })
+      };
+    case 'Number':
+      return { type: 'number' };
+    case 'Boolean':
+      return { type: 'boolean' };
+    case 'Date':
+      return { type: 'string', format: 'date-time' };
+    case 'ObjectId':
+    case 'ObjectID':
+      return { ...OBJECT_ID };
+    case 'Array':
+      return {
+        type: 'array',
+        items: schemaType.schema ? mongooseSchema(schemaType.schema) : schemaTypeSchema(schemaType.caster)
+      };
+    case 'Embedded':
+      return mongooseSchema(schemaType.schema);
+    case 'Map':
+      return { type: 'object', additionalProperties: true };
+    default:
+      return {};
+  }
+};
+
+/**
+ * Schema for a @returns type name
+ * @param {string} type - e.g. Chart, Chart[], integer
+ * @param {Set<string>} refs - Collects referenced component names
+ */
+const typeSchema = (type, refs) => {
+  if (type.endsWith('[]')) {
+    return { type: 'array', items: typeSchema(type.slice(0, -2), refs) };
+  }
+  if (JSON_TYPES.includes(type)) {
+    return { type };
+  }
+  refs.add(type);
+  return { $ref: `#/components/schemas/${type}` };
+};
+
+/**
+ * Response object for a @returns tag
+ * @param {string} text - e.g. "201 chart: Chart, affectedDashboards: object[]"
+ * @param {Set<string>} refs
+ * @returns {[string, Object]} Status code and response
+ */
+const parseReturns = (text, refs) => {
+  const [, status, rest] = text.match(/^(\d{3})\s*(.*)$/);
+  const response = { description: http.STATUS_CODES[status] || status };
+
+  if (!rest && Number(status) >= 400) {
+    response.content = { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } };
+  } else if (rest.includes('/')) {
+    response.content = Object.fromEntries(
+      rest.split(',').map(type => type.trim()).map(type => [
+        type,
+        { schema: { type: /[/+]json$/.test(type) ? 'object' : 'string' } }
+      ])
+    );
+  } else if (rest) {
+    const data = { type: 'object', properties: {} };
+    rest.split(',').forEach((entry) => {
+      const [key, type = 'object'] = entry.split(':').map(part => part.trim());
+      data.properties[key] = typeSchema(type, refs);
+    });
+    response.content = {
+      'application/json': {
+        schema: {
+          type: 'object',
+          properties: {
+            success: { type: 'boolean' },
+            message: { type: 'string' },
+            data,
+            meta: { $ref: '#/components/schemas/Meta' }
+          }
+        }
+      }
+    };
+  }
+
+  return [status, response];
+};
+
+/**
+ * Security requirements of an operation (alternatives; [] means public)
+ */
+const buildSecurity = ({ method, path: routePath, handlers }) => {
+  const auth = handlers.includes(authenticateToken)
+    ? 'required'
+    : (handlers.includes(optionalAuth) ? 'optional' : 'none');
+  const csrf = handlers.includes(validateCSRF) && !SAFE_METHODS.includes(method);
+  const admin = handlers.includes(requireAdmin);
+  const apiPath = routePath.replace(/^\/api/, '');
+  const keys = handlers.includes(authenticateApiKey) &&
+    !SESSION_ONLY_PATHS.some(sessionPath => apiPath === sessionPath || apiPath.startsWith(`${sessionPath}/`));
+  const signed = handlers.includes(verifySignedRequest) && !admin;
+
+  const security = [];
+  if (auth === 'optional') {
+    security.push(csrf ? { csrfToken: [] } : {});
+  }
+  if (auth !== 'none') {
+    security.push(csrf ? { cookieAuth: [], csrfToken: [] } : { cookieAuth: [] });
+  } else if (csrf) {
+    security.push({ csrfToken: [] });
+  }
+  if (keys && (auth !== 'none' || csrf)) {
+    security.push({ apiKeyAuth: [requiredScope(method.toUpperCase()), ...(admin ? ['admin'] : [])] });
+  }
+  if (signed && (auth !== 'none' || csrf)) {
+    security.push({ signedRequest: [] });
+  }
+
+  return { security, auth, csrf, admin };
+};
+
+/**
+ * OpenAPI operation for one route
+ */
+const buildOperation = (route, doc = {}, refs) => {
+  const { handlers } = route;
+  const contexts = handlers
+    .filter(handle => handle && handle.builder && typeof handle.builder.build === 'function')
+    .map(handle => handle.builder.build());
+
+  const parameters = new Map();
+  const body = { type: 'object', properties: {} };
+  let hasBody = false;
+
+  // Path parameters are always there, validated or not
+  for (const [, name] of route.path.matchAll(/:(\w+)/g)) {
+    parameters.set(`path:${name}`, { name, in: 'path', required: true, schema: { type: 'string' } });
+  }
+
+  contexts.forEach((context) => {
+    const { schema, list } = fieldSchema(context);
+    const required = context.optional === false;
+
+    context.fields.forEach((field) => {
+      context.locations.forEach((location) => {
+        if (location === 'body') {
+          // Validators shared with write routes also list body fields
+          if (SAFE_METHODS.includes(route.method)) {
+            return;
+          }
+          hasBody = true;
+          setBodyField(body, field, JSON.parse(JSON.stringify(schema)), required);
+          return;
+        }
+
+        const where = { params: 'path', query: 'query', headers: 'header', cookies: 'cookie' }[location];
+        if (!where) {
+          return;
+        }
+        const key = `${where}:${field}`;
+        parameters.set(key, {
+          name: field,
+          in: where,
+          required: where === 'path' || required,
+          schema: parameters.has(key) && !Object.keys(schema).length
+            ? parameters.get(key).schema
+            : parameterSchema(schema),
+          ...(list && { style: 'form', explode: false, description: 'Comma-separated list' })
+        });
+      });
+    });
+  });
+
+  const { security, auth, csrf, admin } = buildSecurity(route);
+
+  const [desc = '', access] = [doc.desc && doc.desc[0], doc.access && doc.access[0]];
+  const operation = {
+    tags: [route.path.split('/')[route.path.startsWith('/api/') ? 2 : 1] || 'server'],
+    summary: desc.split(/(?<=\.)\s/)[0].replace(/\.$/, ''),
+    ...(desc && { description: access ? `${desc}\n\nAccess: ${access}` : desc }),
+    ...(doc.deprecated && { deprecated: true }),
+    ...(parameters.size > 0 && { parameters: [...parameters.values()] }),
+    security
+  };
+
+  // Content types come from validateContentType(); other bodies are JSON
+  const contentTypes = handlers.find(handle => handle && handle.contentTypes);
+  if ((hasBody || contentTypes) && !SAFE_METHODS.includes(route.method)) {
+    const types = contentTypes ? contentTypes.contentTypes : ['application/json'];
+    operation.requestBody = {
+      required: true,
+      content: Object.fromEntries(types.map((type) => {
+        if (MEDIA_TYPE_SCHEMAS[type]) {
+          return [type, { schema: MEDIA_TYPE_SCHEMAS[type] }];
+        }
+        if (/[/+]json$/.test(type)) {
+          return [type, { schema: Object.keys(body.properties).length > 0 ? body : {} }];
+        }
+        return [type, { schema: { type: 'string' } }];
+      }))
+    };
+  }
+
+  operation.responses = Object.fromEntries((doc.returns || ['200']).map(text => parseReturns(text, refs)));
+
+  const errorResponses = [
+    ['400', contexts.length > 0, 'ValidationFailed'],
+    ['401', auth === 'required', 'Unauthorized'],
+    ['403', csrf || admin, 'Forbidden'],
+    ['404', route.path.includes(':'), 'NotFound'],
+    ['415', !!contentTypes, 'UnsupportedMediaType'],
+    ['429', handlers.includes(strictLimiter), 'TooManyRequests']
+  ];
+  errorResponses.forEach(([status, applies, name]) => {
+    if (applies && !operation.responses[status]) {
+      operation.responses[status] = { $ref: `#/components/responses/${name}` };
+    }
+  });
+
+  return operation;
+};
+
+/**
+ * Build the OpenAPI 3.1 document of an Express app (after all routes are mounted)
+ * @param {Object} app - Express application
+ * @returns {Object}
+ */
+const buildOpenApiDocument = (app) => {
+  const docs = readRouteDocs();
+  const refs = new Set();
+  const paths = {};
+
+  collectRoutes(app._router.stack).forEach((route) => {
+    const openApiPath = route.path.replace(/:(\w+)/g, '{$1}');
+    const doc = docs.get(`${route.method.toUpperCase()} ${route.path}`);
+
+    paths[openApiPath] = paths[openApiPath] || {};
+    paths[openApiPath][route.method] = buildOperation(route, doc, refs);
+  });
+
+  const schemas = { ...SHARED_SCHEMAS };
+  [...refs].sort().forEach((name) => {
+    if (schemas[name]) {
+      return;
+    }
+    if (!mongoose.modelNames().includes(name)) {
+      throw new Error(`Unknown type "${name}" in a route's @returns tag`);
+    }
+    schemas[name] = mongooseSchema(mongoose.model(name).schema);
+  });
+
+  return {
+    openapi: '3.1.0',
+    info: {
+      title: 'Plotly Chart API',
+      version: API_VERSION,
+      description: 'Store, query and share Plotly charts. Cookie-authenticated writes need the ' +
+        'X-CSRF-Token header; API keys and signed service requests do not.'
+    },
+    paths,
+    components: {
+      schemas,
+      responses: Object.fromEntries(Object.entries(ERROR_RESPONSES).map(([name, { description, schema }]) => [
+        name,
+        { description, content: { 'application/json': { schema: { $ref: `#/components/schemas/${schema}` } } } }
+      ])),
+      securitySchemes: SECURITY_SCHEMES
+    }
+  };
+};
+
+const documents = new WeakMap();
+
+/**
+ * The app's OpenAPI document, built on first use
+ * @param {Object} app - Express application
+ * @returns {Object}
+ */
+const getOpenApiDocument = (app) => {
+  if (!documents.has(app)) {
+    documents.set(app, buildOpenApiDocument(app));
+  }
+  return documents.get(app);
+};
+
+/**
+ * Short text for a parameter or body field, e.g. "integer 1-100"
+ */
+const describeSchema = (schema = {}) => {
+  if (schema.$ref) {
+    return schema.$ref.split('/').pop();
+  }
+  if (schema.enum) {
+    return `one of: ${schema.enum.join(', ')}`;
+  }
+  if (schema.type === 'array') {
+    return `list of ${describeSchema(schema.items)}`;
+  }
+  if (schema.minimum !== undefined && schema.maximum !== undefined) {
+    return `${schema.type} ${schema.minimum}-${schema.maximum}`;
+  }
+  if (schema.minimum !== undefined || schema.maximum !== undefined) {
+    return schema.minimum !== undefined
+      ? `${schema.type} >= ${schema.minimum}`
+      : `${schema.type} <= ${schema.maximum}`;
+  }
+  if (schema.maxLength) {
+    return `${schema.type || 'string'} (max ${schema.maxLength} chars)`;
+  }
+  return schema.format || (schema.pattern === OBJECT_ID.pattern ? 'ObjectId' : schema.type) || 'any';
+};
+
+/**
+ * Flat endpoint list of an OpenAPI document (for GET /api and the startup log)
+ * @param {Object} document - OpenAPI document
+ * @returns {Array<Object>} { method, path, summary, access, parameters, body }
+ */
+const listEndpoints = (document) => {
+  return Object.entries(document.paths).flatMap(([openApiPath, operations]) => {
+    return Object.entries(operations).map(([method, operation]) => {
+      const access = (operation.description || '').split('\n\nAccess: ')[1];
+      const bodySchema = operation.requestBody &&
+        Object.values(operation.requestBody.content).find(content => content.schema.properties);
+
+      return {
+        method: method.toUpperCase(),
+        path: openApiPath.replace(/\{(\w+)\}/g, ':$1'),
+        summary: operation.summary,
+        ...(access && { access }),
+        ...(operation.deprecated && { deprecated: true }),
+        ...(operation.parameters && {
+          parameters: Object.fromEntries(operation.parameters.map(parameter => [
+            parameter.name,
+            `${parameter.in}${parameter.required ? ', required' : ''}: ${describeSchema(parameter.schema)}`
+          ]))
+        }),
+        ...(bodySchema && {
+          body: Object.fromEntries(Object.entries(bodySchema.schema.properties).map(([name, schema]) => [
+            name,
+            `${(bodySchema.schema.required || []).includes(name) ? 'required' : 'optional'}: ${describeSchema(schema)}`
+          ]))
+        })
+      };
+    });
+  });
+};
+
+module.exports = {
+  buildOpenApiDocument,
+  getOpenApiDocument,
+  listEndpoints
+};
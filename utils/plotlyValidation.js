@@ -0,0 +1,294 @@
+/**
+ * Plotly Figure Validation
+ *
+ * Checks a Plotly figure ({ data, layout, frames, config }) against the
+ * attributes each common trace type needs to render. Problems are reported
+ * with JSON-style paths such as `data[2].y`.
+ *
+ * Every problem has a level:
+ *   - error:   the figure cannot render correctly (missing required data,
+ *              wrong container types, non-numeric values in numeric columns)
+ *   - warning: plotly.js may cope but the result is probably not intended
+ *              (mismatched array lengths, numeric strings, unknown trace
+ *              types such as typos or types newer than this table)
+ *
+ * In strict mode warnings are promoted to errors; in lenient mode (the
+ * default) they are returned alongside a valid result.
+ */
+
+const VALIDATION_MODES = ['strict', 'lenient'];
+const DEFAULT_MODE = VALIDATION_MODES.includes(process.env.PLOTLY_VALIDATION_MODE)
+  ? process.env.PLOTLY_VALIDATION_MODE
+  : 'lenient';
+
+/**
+ * Trace type specifications
+ *   required:  every attribute must be present
+ *   oneOf:     at least one of the attributes must be present
+ *   numeric:   attributes whose values must be numbers (function form gets the trace)
+ *   sameLength: groups of attributes that must have equal lengths when present
+ *   matrix:    attributes that must be 2D arrays
+ */
+const TRACE_SPECS = {
+  scatter: { oneOf: ['x', 'y'], sameLength: [['x', 'y', 'text']] },
+  scattergl: { oneOf: ['x', 'y'], sameLength: [['x', 'y', 'text']] },
+  bar: {
+    oneOf: ['x', 'y'],
+    // Bars with only x default to horizontal, so x carries the values
+    numeric: (trace) => (trace.orientation === 'h' || (!trace.orientation && trace.y === undefined) ? ['x'] : ['y']),
+    sameLength: [['x', 'y', 'text']]
+  },
+  pie: { required: ['values'], numeric: ['values'], sameLength: [['labels', 'values']] },
+  funnelarea: { required: ['values'], numeric: ['values'], sameLength: [['labels', 'values']] },
+  heatmap: { required: ['z'], numeric: ['z'] },
+  heatmapgl: { required: ['z'], numeric: ['z'] },
+  image: { oneOf: ['z', 'source'] },
+  contour: { required: ['z'], numeric: ['z'] },
+  surface: { required: ['z'], matrix: ['z'], numeric: ['z'] },
+  cone: {
+    required: ['x', 'y', 'z', 'u', 'v', 'w'],
+    numeric: ['x', 'y', 'z', 'u', 'v', 'w'],
+    sameLength: [['x', 'y', 'z', 'u', 'v', 'w']]
+  },
+  streamtube: {
+    required: ['x', 'y', 'z', 'u', 'v', 'w'],
+    numeric: ['x', 'y', 'z', 'u', 'v', 'w'],
+    sameLength: [['x', 'y', 'z', 'u', 'v', 'w']]
+  },
+  volume: {
+    required: ['x', 'y', 'z', 'value'],
+    numeric: ['x', 'y', 'z', 'value'],
+    sameLength: [['x', 'y', 'z', 'value']]
+  },
+  isosurface: {
+    required: ['x', 'y', 'z', 'value'],
+    numeric: ['x', 'y', 'z', 'value'],
+    sameLength: [['x', 'y', 'z', 'value']]
+  },
+  histogram: { oneOf: ['x', 'y'] },
+  histogram2d: { required: ['x', 'y'], sameLength: [['x', 'y']] },
+  histogram2dcontour: { required: ['x', 'y'], sameLength: [['x', 'y']] },
+  box: { oneOf: ['x', 'y'] },
+  violin: { oneOf: ['x', 'y'] },
+  candlestick: {
+    required: ['open', 'high', 'low', 'close'],
+    numeric: ['open', 'high', 'low', 'close'],
+    sameLength: [['x', 'open', 'high', 'low', 'close']]
+  },
+  ohlc: {
+    required: ['open', 'high', 'low', 'close'],
+    numeric: ['open', 'high', 'low', 'close'],
+    sameLength: [['x', 'open', 'high', 'low', 'close']]
+  },
+  funnel: { oneOf: ['x', 'y'], sameLength: [['x', 'y']] },
+  waterfall: { oneOf: ['x', 'y'], sameLength: [['x', 'y']] },
+  scatter3d: { required: ['x', 'y', 'z'], numeric: ['z'], sameLength: [['x', 'y', 'z']] },
+  mesh3d: { required: ['x', 'y', 'z'], numeric: ['x', 'y', 'z'], sameLength: [['x', 'y', 'z']] },
+  scatterpolar: { required: ['r'], sameLength: [['r', 'theta']] },
+  scatterpolargl: { required: ['r'], sameLength: [['r', 'theta']] },
+  scatterternary: { oneOf: ['a', 'b', 'c'], sameLength: [['a', 'b', 'c']] },
+  scattersmith: { required: ['real', 'imag'], sameLength: [['real', 'imag']] },
+  carpet: { oneOf: ['a', 'b', 'x', 'y'] },
+  scattercarpet: { oneOf: ['a', 'b'], sameLength: [['a', 'b']] },
+  contourcarpet: { required: ['z'], numeric: ['z'] },
+  barpolar: { required: ['r'], numeric: ['r'], sameLength: [['r', 'theta']] },
+  scattergeo: { oneOf: ['lat', 'locations'], sameLength: [['lat', 'lon']] },
+  choropleth: { required: ['locations', 'z'], numeric: ['z'], sameLength: [['locations', 'z']] },
+  scattermapbox: { required: ['lat', 'lon'], sameLength: [['lat', 'lon']] },
+  scattermap: { required: ['lat', 'lon'], sameLength: [['lat', 'lon']] },
+  densitymapbox: { required: ['lat', 'lon'], sameLength: [['lat', 'lon', 'z']] },
+  densitymap: { required: ['lat', 'lon'], sameLength: [['lat', 'lon', 'z']] },
+  choroplethmapbox: { required: ['locations', 'z'], numeric: ['z'], sameLength: [['locations', 'z']] },
+  choroplethmap: { required: ['locations', 'z'], numeric: ['z'], sameLength: [['locations', 'z']] },
+  sunburst: { required: ['labels', 'parents'], sameLength: [['labels', 'parents', 'values']] },
+  treemap: { required: ['labels', 'parents'], sameLength: [['labels', 'parents', 'values']] },
+  icicle: { required: ['labels', 'parents'], sameLength: [['labels', 'parents', 'values']] },
+  sankey: { required: ['node', 'link'] },
+  table: { required: ['header', 'cells'] },
+  indicator: {},
+  parcoords: { required: ['dimensions'] },
+  splom: { required: ['dimensions'] }
+};
+
+const TRACE_TYPES = Object.keys(TRACE_SPECS);
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// plotly.py (>= 6) may encode arrays as base64 typed arrays: { dtype, bdata, shape? }
+const isTypedArraySpec = (value) => isPlainObject(value) && typeof value.dtype === 'string' && typeof value.bdata === 'string';
+
+const isArrayLike = (value) => Array.isArray(value) || isTypedArraySpec(value);
+
+/**
+ * Validate a single trace
+ */
+const validateTrace = (trace, index, report) => {
+  const base = `data[${index}]`;
+
+  if (!isPlainObject(trace)) {
+    report('error', base, 'Trace must be an object');
+    return;
+  }
+
+  const type = trace.type === undefined ? 'scatter' : trace.type;
+  if (typeof type !== 'string') {
+    report('error', `${base}.type`, 'Trace type must be a string');
+    return;
+  }
+
+  const spec = TRACE_SPECS[type];
+  if (!spec) {
+    report('warning', `${base}.type`, `Unknown trace type "${type}"`);
+    return;
+  }
+
+  for (const attr of spec.required || []) {
+    if (trace[attr] === undefined || trace[attr] === null) {
+      report('error', `${base}.${attr}`, `${type} traces require "${attr}"`);
+    }
+  }
+
+  if (spec.oneOf && !spec.oneOf.some(attr => trace[attr] !== undefined && trace[attr] !== null)) {
+    report('error', base, `${type} traces require at least one of: ${spec.oneOf.join(', ')}`);
+  }
+
+  // Data attributes must be arrays (sankey/table/etc. use objects and are skipped)
+  const dataAttrs = new Set([
+    ...(spec.required || []),
+    ...(spec.oneOf || []),
+    ...(spec.sameLength || []).flat()
+  ]);
+  for (const attr of dataAttrs) {
+    const value = trace[attr];
+    if (value === undefined || value === null) continue;
+    if (['node', 'link', 'header', 'cells', 'dimensions'].includes(attr)) continue;
+    if (attr === 'text' && typeof value === 'string') continue; // Single label for all points
+    if (attr === 'source' && typeof value === 'string') continue; // Image data URI
+    if (!isArrayLike(value)) {
+      report('error', `${base}.${attr}`, `"${attr}" must be an array`);
+    }
+  }
+
+  for (const attr of spec.matrix || []) {
+    const value = trace[attr];
+    if (Array.isArray(value) && !value.every(row => isArrayLike(row))) {
+      report('error', `${base}.${attr}`, `"${attr}" must be a 2D array`);
+    }
+  }
+
+  const numericAttrs = typeof spec.numeric === 'function' ? spec.numeric(trace) : (spec.numeric || []);
+  for (const attr of numericAttrs) {
+    validateNumeric(trace[attr], `${base}.${attr}`, attr, report);
+  }
+
+  for (const group of spec.sameLength || []) {
+    const present = group
+      .filter(attr => Array.isArray(trace[attr]))
+      .map(attr => ({ attr, length: trace[attr].length }));
+    if (present.length < 2) continue;
+
+    const expected = present[0];
+    for (const other of present.slice(1)) {
+      if (other.length !== expected.length) {
+        report('warning', `${base}.${other.attr}`,
+          `"${other.attr}" has ${other.length} values but "${expected.attr}" has ${expected.length}`);
+      }
+    }
+  }
+};
+
+/**
+ * Validate that an array (or 2D array) contains only numbers.
+ * Nulls are gaps and allowed; numeric strings are only a warning.
+ */
+const validateNumeric = (value, path, attr, report) => {
+  if (!Array.isArray(value)) return;
+
+  const cells = value.some(Array.isArray) ? value.flat() : value;
+  const firstBad = cells.findIndex(item => item !== null && typeof item !== 'number' &&
+    !(typeof item === 'string' && item.trim() !== '' && !Number.isNaN(Number(item))));
+
+  if (firstBad !== -1) {
+    report('error', path, `"${attr}" must contain only numbers (found ${JSON.stringify(cells[firstBad])})`);
+    return;
+  }
+
+  if (cells.some(item => typeof item === 'string')) {
+    report('warning', path, `"${attr}" contains numeric strings`);
+  }
+};
+
+/**
+ * Validate a Plotly figure
+ * @param {*} figure - Candidate Plotly figure
+ * @param {Object} [options]
+ * @param {string} [options.mode] - 'strict' or 'lenient' (defaults to PLOTLY_VALIDATION_MODE or lenient)
+ * @returns {{ valid: boolean, mode: string, errors: Array<Object>, warnings: Array<Object> }}
+ */
+const validatePlotlyFigure = (figure, { mode = DEFAULT_MODE } = {}) => {
+  const errors = [];
+  const warnings = [];
+  const report = (level, path, message) => {
+    const issue = { path, message };
+    if (level === 'error' || (level === 'warning' && mode === 'strict')) {
+      errors.push(issue);
+    } else {
+      warnings.push(issue);
+    }
+  };
+
+  if (!isPlainObject(figure)) {
+    report('error', '', 'Figure must be an object');
+  } else {
+    if (figure.data === undefined && figure.layout === undefined) {
+      report('error', '', 'Figure must include a data array or a layout object');
+    }
+
+    if (figure.data !== undefined) {
+      if (!Array.isArray(figure.data)) {
+        report('error', 'data', 'data must be an array of traces');
+      } else {
+        figure.data.forEach((trace, index) => validateTrace(trace, index, report));
+      }
+    }
+
+    if (figure.layout !== undefined && !isPlainObject(figure.layout)) {
+      report('error', 'layout', 'layout must be an object');
+    }
+
+    if (figure.frames !== undefined && !Array.isArray(figure.frames)) {
+      report('error', 'frames', 'frames must be an array');
+    }
+
+    if (figure.config !== undefined && !isPlainObject(figure.config)) {
+      report('error', 'config', 'config must be an object');
+    }
+  }
+
+  return {
+    valid: errors.length === 0,
+    mode,
+    errors,
+    warnings
+  };
+};
+
+/**
+ * One-line summary of validation errors
+ * @param {Object} result - Result of validatePlotlyFigure
+ * @returns {string}
+ */
+const summarizeErrors = (result) => {
+  return `Invalid Plotly figure: ${result.errors
+    .map(issue => (issue.path ? `${issue.path}: ${issue.message}` : issue.message))
+    .join('; ')}`;
+};
+
+module.exports = {
+  VALIDATION_MODES,
+  DEFAULT_MODE,
+  TRACE_TYPES,
+  isTypedArraySpec,
+  validatePlotlyFigure,
+  summarizeErrors
+};
@@ -0,0 +1,49 @@
+const { validatePlotlyFigure, DEFAULT_MODE } = require('./plotlyValidation');
+
+describe('validatePlotlyFigure', () => {
+  const misspelled = { data: [{ type: 'scater', x: [1], y: [2] }] };
+
+  test('defaults to lenient mode', () => {
+    expect(DEFAULT_MODE).toBe('lenient');
+  });
+
+  test('rejects unknown trace types in strict mode', () => {
+    const result = validatePlotlyFigure(misspelled, { mode: 'strict' });
+
+    expect(result.valid).toBe(false);
+    expect(result.errors).toEqual([{ path: 'data[0].type', message: 'Unknown trace type "scater"' }]);
+  });
+
+  test('warns about unknown trace types in lenient mode', () => {
+    const result = validatePlotlyFigure(misspelled, { mode: 'lenient' });
+
+    expect(result.valid).toBe(true);
+    expect(result.warnings).toEqual([{ path: 'data[0].type', message: 'Unknown trace type "scater"' }]);
+  });
+
+  test('reports missing and non-numeric data with JSON paths', () => {
+    const result = validatePlotlyFigure({
+      data: [
+        { type: 'bar', x: ['a', 'b'], y: [1, 'two'] },
+        { type: 'pie', labels: ['a'] }
+      ]
+    }, { mode: 'lenient' });
+
+    expect(result.valid).toBe(false);
+    expect(result.errors.map(issue => issue.path)).toEqual(['data[0].y', 'data[1].values']);
+  });
+
+  test('promotes length mismatches to errors only in strict mode', () => {
+    const figure = { data: [{ type: 'scatter', x: [1, 2, 3], y: [1, 2] }] };
+
+    expect(validatePlotlyFigure(figure, { mode: 'lenient' }).valid).toBe(true);
+    expect(validatePlotlyFigure(figure, { mode: 'strict' }).valid).toBe(false);
+  });
+
+  test('requires the layout to be an object', () => {
+    const result = validatePlotlyFigure({ data: [], layout: 'wide' }, { mode: 'lenient' });
+
+    expect(result.valid).toBe(false);
+    expect(result.errors[0].path).toBe('layout');
+  });
+});
@@ -0,0 +1,70 @@
+const crypto = require('crypto');
+const { createError } = require('../middleware/errorHandler');
+
+/**
+ * Share Link Tokens
+ *
+ * A token is "<linkId>.<expiry in unix seconds>.<signature>", where the
+ * signature is an HMAC-SHA256 over the first two parts. Tokens are signed
+ * with SHARE_LINK_SECRET, which is deliberately separate from JWT_SECRET so
+ * that rotating one never invalidates (or forges) the other.
+ */
+
+const TOKEN_PATTERN = /^([a-f0-9]{24})\.(\d{1,12})\.([A-Za-z0-9_-]{43})$/;
+
+const SHARE_LINK_SECRET = (() => {
+  if (process.env.SHARE_LINK_SECRET) {
+    return process.env.SHARE_LINK_SECRET;
+  }
+  // A per-process secret breaks links on every restart and across instances
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error('SHARE_LINK_SECRET environment variable is required in production');
+  }
+  // Development only: links still work, but only until the process restarts
+  console.warn('⚠️  SHARE_LINK_SECRET is not set; share links will stop working after a restart');
+  return crypto.randomBytes(32).toString('hex');
+})();
+
+const sign = (value) => crypto.createHmac('sha256', SHARE_LINK_SECRET).update(value).digest('base64url');
+
+/**
+ * Create the token for a share link
+ * @param {Object} link - Share link ({ _id, expiresAt })
+ * @returns {string}
+ */
+const signShareToken = (link) => {
+  const payload = `${link._id}.${Math.floor(new Date(link.expiresAt).getTime() / 1000)}`;
+  return `${payload}.${sign(payload)}`;
+};
+
+/**
+ * Check a token's signature and expiry
+ * @param {string} token
+ * @returns {{ linkId: string, expiresAt: Date }}
+ * @throws 404 for malformed or forged tokens, 410 for expired ones
+ */
+const verifyShareToken = (token) => {
+  const match = TOKEN_PATTERN.exec(String(token));
+  if (!match) {
+    throw createError(404, 'Share link not found');
+  }
+
+  const [, linkId, expiry, signature] = match;
+  const expected = Buffer.from(sign(`${linkId}.${expiry}`));
+  const given = Buffer.from(signature);
+  if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) {
+    throw createError(404, 'Share link not found');
+  }
+
+  const expiresAt = new Date(Number(expiry) * 1000);
+  if (expiresAt <= new Date()) {
+    throw createError(410, 'Share link has expired');
+  }
+
+  return { linkId, expiresAt };
+};
+
+module.exports = {
+  signShareToken,
+  verifyShareToken
+};
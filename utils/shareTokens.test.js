@@ -0,0 +1,74 @@
+const crypto = require('crypto');
+
+/**
+ * Load a fresh copy of the module with the given environment
+ */
+const loadShareTokens = (env) => {
+  const saved = { ...process.env };
+  delete process.env.SHARE_LINK_SECRET;
+  Object.assign(process.env, env);
+  try {
+    let shareTokens;
+    jest.isolateModules(() => {
+      shareTokens = require('./shareTokens');
+    });
+    return shareTokens;
+  } finally {
+    process.env = saved;
+  }
+};
+
+const LINK_ID = '64b0000000000000000000aa';
+const inOneHour = () => new Date(Date.now() + 60 * 60 * 1000);
+
+describe('share tokens', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('round-trip a link ID and expiry', () => {
+    const { signShareToken, verifyShareToken } = loadShareTokens({ SHARE_LINK_SECRET: 'test-secret' });
+    const expiresAt = inOneHour();
+
+    const result = verifyShareToken(signShareToken({ _id: LINK_ID, expiresAt }));
+
+    expect(result.linkId).toBe(LINK_ID);
+    expect(result.expiresAt.getTime()).toBe(Math.floor(expiresAt.getTime() / 1000) * 1000);
+  });
+
+  test('reject tokens signed with another secret or with a changed expiry', () => {
+    const { verifyShareToken } = loadShareTokens({ SHARE_LINK_SECRET: 'test-secret' });
+    const { signShareToken: signElsewhere } = loadShareTokens({ SHARE_LINK_SECRET: 'other-secret' });
+    const { signShareToken } = loadShareTokens({ SHARE_LINK_SECRET: 'test-secret' });
+
+    expect(() => verifyShareToken(signElsewhere({ _id: LINK_ID, expiresAt: inOneHour() })))
+      .toThrow(expect.objectContaining({ statusCode: 404 }));
+
+    const [linkId, expiry, signature] = signShareToken({ _id: LINK_ID, expiresAt: inOneHour() }).split('.');
+    expect(() => verifyShareToken(`${linkId}.${Number(expiry) + 3600}.${signature}`))
+      .toThrow(expect.objectContaining({ statusCode: 404 }));
+  });
+
+  test('answer 410 for expired tokens', () => {
+    const { signShareToken, verifyShareToken } = loadShareTokens({ SHARE_LINK_SECRET: 'test-secret' });
+    const token = signShareToken({ _id: LINK_ID, expiresAt: new Date(Date.now() - 1000) });
+
+    expect(() => verifyShareToken(token)).toThrow(expect.objectContaining({ statusCode: 410 }));
+  });
+
+  test('refuse to start in production without SHARE_LINK_SECRET', () => {
+    expect(() => loadShareTokens({ NODE_ENV: 'production' }))
+      .toThrow('SHARE_LINK_SECRET environment variable is required in production');
+  });
+
+  test('fall back to a random secret outside production', () => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const randomBytes = jest.spyOn(crypto, 'randomBytes');
+
+    const { signShareToken, verifyShareToken } = loadShareTokens({ NODE_ENV: 'development' });
+
+    expect(randomBytes).toHaveBeenCalledWith(32);
+    expect(console.warn).toHaveBeenCalled();
+    expect(verifyShareToken(signShareToken({ _id: LINK_ID, expiresAt: inOneHour() })).linkId).toBe(LINK_ID);
+  });
+});
@@ -0,0 +1,1034 @@
+const { toArray } = require('./traceData');
+
+/**
+ * Static SVG Rendering
+ *
+ * Renders the common Plotly trace types (scatter/line, area, bar, histogram
+ * and pie) to a standalone SVG string without a browser, for places that
+ * cannot run plotly.js: emails, PDFs, chat previews.
+ *
+ * Layout colours, axis titles and layout.title from the figure are honoured.
+ * Traces of other types are skipped and listed in the SVG <desc>.
+ */
+
+const PLOTLY_JS_COLORWAY = [
+  '#1f77b4', '#ff7f0e', '#2ca02c', '#d62728', '#9467bd',
+  '#8c564b', '#e377c2', '#7f7f7f', '#bcbd22', '#17becf'
+];
+
+const PLOTLY_PY_COLORWAY = [
+  '#636efa', '#EF553B', '#00cc96', '#ab63fa', '#FFA15A',
+  '#19d3f3', '#FF6692', '#B6E880', '#FF97FF', '#FECB52'
+];
+
+// Defaults per theme; colours set in the figure's layout take precedence
+const RENDER_THEMES = {
+  light: {
+    paper: '#ffffff',
+    plot: '#ffffff',
+    text: '#444444',
+    grid: '#eeeeee',
+    zeroline: '#444444',
+    colorway: PLOTLY_JS_COLORWAY
+  },
+  dark: {
+    paper: '#111111',
+    plot: '#111111',
+    text: '#f2f5fa',
+    grid: '#283442',
+    zeroline: '#283442',
+    colorway: PLOTLY_PY_COLORWAY
+  },
+  plotly: {
+    paper: '#ffffff',
+    plot: '#E5ECF6',
+    text: '#2a3f5f',
+    grid: '#ffffff',
+    zeroline: '#ffffff',
+    colorway: PLOTLY_PY_COLORWAY
+  }
+};
+
+const DEFAULT_WIDTH = 700;
+const DEFAULT_HEIGHT = 450;
+const MIN_SIZE = 100;
+const MAX_SIZE = 4000;
+
+const DEFAULT_FONT = '"Open Sans", verdana, arial, sans-serif';
+const DEFAULT_MARGIN = { l: 80, r: 80, t: 100, b: 80 };
+
+const DASHES = {
+  dash: '9,3',
+  dot: '3,3',
+  dashdot: '9,3,3,3',
+  longdash: '15,5',
+  longdashdot: '15,5,3,5'
+};
+
+const DATE_PATTERN = /^\d{4}-\d{2}(-\d{2})?([ T]\d{2}:\d{2}(:\d{2}(\.\d+)?)?)?(Z|[+-]\d{2}:?\d{2})?$/;
+const COLOR_PATTERN = /^(#[0-9a-f]{3,8}|(rgb|rgba|hsl|hsla)\(\s*[-\d.%\s,]+\)|[a-z]{3,30})$/i;
+
+const DAY = 24 * 60 * 60 * 1000;
+const MONTH_NAMES = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+// ---------------------------------------------------------------------------
+// Small helpers
+// ---------------------------------------------------------------------------
+
+const escapeXml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const estimateTextWidth = (text, fontSize) => String(text).length * fontSize * 0.58;
+
+/**
+ * Plain text from a Plotly title (string or { text }) with its HTML-like markup removed
+ */
+const plainText = (title) => {
+  const text = title && typeof title === 'object' ? title.text : title;
+  if (text === undefined || text === null) return '';
+  return String(text)
+    .replace(/<br\s*\/?>/gi, ' ')
+    .replace(/<[^>]*>/g, '')
+    .trim();
+};
+
+/**
+ * Only let well-formed colour values into attributes
+ */
+const safeColor = (value, fallback) => (
+  typeof value === 'string' && COLOR_PATTERN.test(value.trim()) ? value.trim() : fallback
+);
+
+const finiteNumber = (value) => {
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+  if (typeof value === 'string' && value.trim() !== '') {
+    const number = Number(value);
+    return Number.isFinite(number) ? number : null;
+  }
+  return null;
+};
+
+const isDateLike = (value) => typeof value === 'string' && DATE_PATTERN.test(value.trim());
+
+/**
+ * Parse a Plotly date string as UTC milliseconds (Plotly dates carry no timezone)
+ */
+const parseDate = (value) => {
+  if (!isDateLike(value)) return null;
+  let text = value.trim().replace(' ', 'T');
+  if (/T/.test(text) && !/(Z|[+-]\d{2}:?\d{2})$/.test(text)) text += 'Z';
+  const time = Date.parse(text);
+  return Number.isNaN(time) ? null : time;
+};
+
+const pad2 = (value) => String(value).padStart(2, '0');
+
+const toDateString = (time) => {
+  const date = new Date(time);
+  const day = `${date.getUTCFullYear()}-${pad2(date.getUTCMonth() + 1)}-${pad2(date.getUTCDate())}`;
+  return time % DAY === 0 ? day : `${day} ${pad2(date.getUTCHours())}:${pad2(date.getUTCMinutes())}`;
+};
+
+/**
+ * Round a raw tick spacing to 1, 2 or 5 times a power of ten
+ */
+const niceStep = (raw) => {
+  if (!(raw > 0)) return 1;
+  const power = Math.pow(10, Math.floor(Math.log10(raw)));
+  const fraction = raw / power;
+  if (fraction < 1.5) return power;
+  if (fraction < 3) return 2 * power;
+  if (fraction < 7) return 5 * power;
+  return 10 * power;
+};
+
+const formatNumber = (value, step) => {
+  const abs = Math.abs(value);
+  const suffixes = [[1e9, 'G'], [1e6, 'M'], [1e3, 'k']];
+  for (const [size, suffix] of suffixes) {
+    if (abs >= size && step >= size / 10) {
+      const decimals = Math.max(0, -Math.floor(Math.log10(step / size)));
+      return `${Number((value / size).toFixed(Math.min(decimals, 6)))}${suffix}`;
+    }
+  }
+  const decimals = Math.max(0, -Math.floor(Math.log10(step)));
+  return String(Number(value.toFixed(Math.min(decimals, 10))));
+};
+
+// Reduce rather than spread: large traces exceed the argument limit
+const extent = (values) => values.reduce(
+  ([min, max], value) => [Math.min(min, value), Math.max(max, value)],
+  [Infinity, -Infinity]
+);
+
+const truncate = (text, length) => (text.length > length ? `${text.slice(0, length - 1)}…` : text);
+
+// ---------------------------------------------------------------------------
+// Styling
+// ---------------------------------------------------------------------------
+
+/**
+ * Resolve colours and fonts: theme defaults, then the figure's template, then its layout.
+ * An explicit theme replaces the figure's template, as switching templates does in plotly.js.
+ */
+const resolveStyle = (layout, themeName) => {
+  const theme = RENDER_THEMES[themeName] || RENDER_THEMES.light;
+  const template = themeName ? {} : (layout.template?.layout || {});
+  const pick = (key) => layout[key] ?? template[key];
+  const font = { ...(template.font || {}), ...(layout.font || {}) };
+  const colorway = Array.isArray(pick('colorway')) && pick('colorway').length > 0
+    ? pick('colorway').map(color => safeColor(color, null)).filter(Boolean)
+    : theme.colorway;
+
+  return {
+    paper: safeColor(pick('paper_bgcolor'), theme.paper),
+    plot: safeColor(pick('plot_bgcolor'), theme.plot),
+    text: safeColor(font.color, theme.text),
+    fontFamily: typeof font.family === 'string' ? font.family : DEFAULT_FONT,
+    fontSize: finiteNumber(font.size) || 12,
+    grid: theme.grid,
+    zeroline: theme.zeroline,
+    colorway: colorway.length > 0 ? colorway : theme.colorway,
+    axisDefaults: (name) => template[name] || {}
+  };
+};
+
+const traceColor = (trace, index, style) => {
+  const fallback = style.colorway[index % style.colorway.length];
+  return safeColor(trace.marker?.color, null) || safeColor(trace.line?.color, null) || fallback;
+};
+
+// ---------------------------------------------------------------------------
+// Trace normalisation
+// ---------------------------------------------------------------------------
+
+/**
+ * Bin histogram samples into bars
+ */
+const binHistogram = (trace, samples, binSpec) => {
+  const present = samples.filter(value => value !== null && value !== undefined && value !== '');
+
+  const times = present.map(parseDate);
+  const isDate = present.length > 0 && times.every(time => time !== null);
+  const numbers = isDate ? times : present.map(finiteNumber);
+
+  if (present.length === 0 || (!isDate && numbers.some(number => number === null))) {
+    // Categorical histogram: one bar per distinct value
+    const counts = new Map();
+    present.forEach(value => counts.set(String(value), (counts.get(String(value)) || 0) + 1));
+    return { positions: [...counts.keys()], values: [...counts.values()], width: null };
+  }
+
+  const [min, max] = extent(numbers);
+  const binCount = Math.min(finiteNumber(trace.nbinsx ?? trace.nbinsy) || Math.ceil(Math.log2(numbers.length)) + 1, 200);
+
+  const toBinNumber = (value) => (isDate ? parseDate(value) : finiteNumber(value));
+  let size = finiteNumber(binSpec?.size) || niceStep((max - min) / binCount || 1);
+  if (isDate && size < 1000) size = DAY;
+  const start = toBinNumber(binSpec?.start) ?? Math.floor(min / size) * size;
+  const end = toBinNumber(binSpec?.end) ?? max;
+  const total = Math.min(Math.max(Math.floor((end - start) / size) + 1, 1), 10000);
+
+  const counts = new Array(total).fill(0);
+  numbers.forEach(number => {
+    const bin = Math.floor((number - start) / size);
+    if (bin >= 0 && bin < total) counts[bin]++;
+  });
+
+  const centers = counts.map((count, bin) => start + (bin + 0.5) * size);
+  return {
+    positions: isDate ? centers.map(toDateString) : centers,
+    values: counts,
+    width: size
+  };
+};
+
+/**
+ * Turn renderable traces into scatter, bar and pie series
+ * @returns {{ scatter: Array, bars: Array, pies: Array, skipped: Array<string> }}
+ */
+const normaliseTraces = (traces, style) => {
+  const series = { scatter: [], bars: [], pies: [], skipped: [] };
+  let barOrientation = null;
+
+  traces.forEach((trace, index) => {
+    if (!trace || typeof trace !== 'object' || trace.visible === false || trace.visible === 'legendonly') {
+      return;
+    }
+
+    const type = trace.type || 'scatter';
+    const name = plainText(trace.name) || `trace ${index}`;
+    const color = traceColor(trace, index, style);
+    const showInLegend = trace.showlegend !== false;
+
+    if (type === 'scatter' || type === 'scattergl') {
+      let x = toArray(trace.x);
+      let y = toArray(trace.y);
+      if (!x && !y) return;
+      if (!x) x = y.map((value, i) => i);
+      if (!y) y = x.map((value, i) => i);
+      const length = Math.min(x.length, y.length);
+
+      series.scatter.push({
+        index,
+        name,
+        color,
+        showInLegend,
+        x: x.slice(0, length),
+        y: y.slice(0, length),
+        mode: trace.mode || (length < 20 && !trace.stackgroup ? 'lines+markers' : 'lines'),
+        fill: trace.fill || (trace.stackgroup ? 'tonexty' : 'none'),
+        fillColor: safeColor(trace.fillcolor, null),
+        stackgroup: trace.stackgroup ? String(trace.stackgroup) : null,
+        lineWidth: finiteNumber(trace.line?.width) ?? 2,
+        lineDash: DASHES[trace.line?.dash] || null,
+        lineShape: trace.line?.shape,
+        connectGaps: trace.connectgaps === true,
+        markerSize: finiteNumber(trace.marker?.size) ?? 6,
+        markerColors: Array.isArray(trace.marker?.color) ? trace.marker.color : null,
+        opacity: finiteNumber(trace.opacity) ?? 1
+      });
+      return;
+    }
+
+    if (type === 'bar' || type === 'histogram') {
+      let positions;
+      let values;
+      let width = finiteNumber(trace.width);
+      let orientation;
+
+      if (type === 'bar') {
+        orientation = trace.orientation || (trace.y === undefined && trace.x !== undefined ? 'h' : 'v');
+        const along = toArray(orientation === 'h' ? trace.y : trace.x);
+        values = toArray(orientation === 'h' ? trace.x : trace.y) || [];
+        positions = along || values.map((value, i) => i);
+      } else {
+        orientation = trace.orientation || (trace.x === undefined && trace.y !== undefined ? 'h' : 'v');
+        const samples = toArray(orientation === 'h' ? trace.y : trace.x) || [];
+        const binned = binHistogram(trace, samples, orientation === 'h' ? trace.ybins : trace.xbins);
+        positions = binned.positions;
+        values = binned.values;
+        width = width ?? binned.width;
+      }
+
+      // One orientation per figure; plotly would need a second axis pair for the rest
+      barOrientation = barOrientation || orientation;
+      if (orientation !== barOrientation) {
+        series.skipped.push(`${type} trace ${index} (mixed bar orientation)`);
+        return;
+      }
+
+      series.bars.push({
+        index,
+        name,
+        color,
+        showInLegend,
+        positions,
+        values,
+        width,
+        orientation,
+        isHistogram: type === 'histogram',
+        colors: Array.isArray(trace.marker?.color) ? trace.marker.color : null,
+        opacity: finiteNumber(trace.opacity) ?? 1
+      });
+      return;
+    }
+
+    if (type === 'pie') {
+      const values = toArray(trace.values) || [];
+      const labels = toArray(trace.labels) || values.map((value, i) => String(i));
+      series.pies.push({
+        index,
+        name,
+        labels: labels.map(label => String(label)),
+        values: values.map(value => Math.max(finiteNumber(value) || 0, 0)),
+        colors: Array.isArray(trace.marker?.colors) ? trace.marker.colors : null,
+        hole: Math.min(Math.max(finiteNumber(trace.hole) || 0, 0), 0.95),
+        sort: trace.sort !== false,
+        clockwise: trace.direction === 'clockwise',
+        rotation: finiteNumber(trace.rotation) || 0,
+        textinfo: typeof trace.textinfo === 'string' ? trace.textinfo : 'percent',
+        showInLegend
+      });
+      return;
+    }
+
+    series.skipped.push(`${type} trace ${index}`);
+  });
+
+  return series;
+};
+
+// ---------------------------------------------------------------------------
+// Axes
+// ---------------------------------------------------------------------------
+
+/**
+ * Build an axis from the raw values plotted along it
+ * @param {Array} rawValues - Every value that will be placed on the axis
+ * @param {Object} axisLayout - layout.xaxis / layout.yaxis
+ * @param {Object} [options]
+ * @param {boolean} [options.includeZero] - Keep zero in range (bar/area value axes)
+ * @param {number} [options.padFraction] - Padding added to each end of the data extent
+ */
+const buildAxis = (rawValues, axisLayout, { includeZero = false, padFraction = 0.05 } = {}) => {
+  const present = rawValues.filter(value => value !== null && value !== undefined && value !== '');
+
+  let type = ['linear', 'date', 'category'].includes(axisLayout.type) ? axisLayout.type : null;
+  if (!type) {
+    if (present.length > 0 && present.every(value => finiteNumber(value) !== null)) type = 'linear';
+    else if (present.length > 0 && present.every(value => parseDate(value) !== null)) type = 'date';
+    else if (present.length === 0) type = 'linear';
+    else type = 'category';
+  }
+
+  const categories = [];
+  if (type === 'category') {
+    const seen = new Set();
+    present.forEach(value => {
+      const key = String(value);
+      if (!seen.has(key)) {
+        seen.add(key);
+        categories.push(key);
+      }
+    });
+  }
+  const categoryIndex = new Map(categories.map((category, i) => [category, i]));
+
+  const toNumber = (value) => {
+    if (value === null || value === undefined || value === '') return null;
+    if (type === 'date') return typeof value === 'number' ? value : parseDate(value);
+    if (type === 'category') return categoryIndex.has(String(value)) ? categoryIndex.get(String(value)) : null;
+    return finiteNumber(value);
+  };
+
+  return {
+    type,
+    categories,
+    toNumber,
+    title: plainText(axisLayout.title),
+    layout: axisLayout,
+    includeZero,
+    padFraction,
+    min: null,
+    max: null
+  };
+};
+
+/**
+ * Fix an axis range from the numeric extent of what is drawn on it
+ */
+const setAxisRange = (axis, drawn) => {
+  const explicit = Array.isArray(axis.layout.range) && axis.layout.autorange !== true
+    ? axis.layout.range.map(axis.toNumber)
+    : null;
+
+  if (explicit && explicit.every(value => value !== null) && explicit[0] !== explicit[1]) {
+    [axis.min, axis.max] = explicit;
+    return;
+  }
+
+  if (axis.type === 'category') {
+    axis.min = -0.5;
+    axis.max = Math.max(axis.categories.length - 0.5, 0.5);
+    return;
+  }
+
+  const values = drawn.filter(value => value !== null && Number.isFinite(value));
+  let [min, max] = values.length > 0 ? extent(values) : [0, 1];
+
+  if (axis.includeZero) {
+    min = Math.min(min, 0);
+    max = Math.max(max, 0);
+  }
+
+  if (min === max) {
+    const spread = axis.type === 'date' ? DAY : Math.abs(min) || 1;
+    min -= spread;
+    max += spread;
+  }
+
+  const pad = (max - min) * axis.padFraction;
+  axis.min = axis.includeZero && min === 0 ? 0 : min - pad;
+  axis.max = axis.includeZero && max === 0 ? 0 : max + pad;
+};
+
+const DATE_STEPS = [
+  1000, 2000, 5000, 15000, 30000,
+  60000, 120000, 300000, 900000, 1800000,
+  3600000, 7200000, 10800000, 21600000, 43200000,
+  DAY, 2 * DAY, 7 * DAY, 14 * DAY
+];
+const MONTH_STEPS = [1, 2, 3, 6, 12, 24, 60, 120, 240, 600, 1200];
+
+const dateTicks = (min, max, target) => {
+  const span = max - min;
+  const ticks = [];
+  const step = DATE_STEPS.find(candidate => span / candidate <= target);
+
+  if (step) {
+    const start = Math.ceil(min / step) * step;
+    for (let time = start; time <= max; time += step) {
+      const date = new Date(time);
+      let label;
+      if (step >= DAY) {
+        label = `${MONTH_NAMES[date.getUTCMonth()]} ${date.getUTCDate()}`;
+        if (span > 300 * DAY || ticks.length === 0) label += `, ${date.getUTCFullYear()}`;
+      } else {
+        label = `${pad2(date.getUTCHours())}:${pad2(date.getUTCMinutes())}${step < 60000 ? `:${pad2(date.getUTCSeconds())}` : ''}`;
+      }
+      ticks.push({ value: time, label });
+    }
+    return ticks;
+  }
+
+  // Calendar steps: whole months or years, aligned to the step
+  const months = MONTH_STEPS.find(candidate => span / (candidate * 30 * DAY) <= target) || 1200;
+  const first = new Date(min);
+  let year = first.getUTCFullYear();
+  let month = 0;
+  if (months >= 12) {
+    year = Math.floor(year / (months / 12)) * (months / 12);
+  } else {
+    month = Math.floor(first.getUTCMonth() / months) * months;
+  }
+
+  // Date.UTC rolls month overflow into the year
+  for (let time = Date.UTC(year, month, 1); time <= max; time = Date.UTC(year, month, 1)) {
+    if (time >= min) {
+      const date = new Date(time);
+      const label = months >= 12
+        ? String(date.getUTCFullYear())
+        : `${MONTH_NAMES[date.getUTCMonth()]} ${date.getUTCFullYear()}`;
+      ticks.push({ value: time, label });
+    }
+    month += months;
+  }
+  return ticks;
+};
+
+/**
+ * Tick positions and labels for an axis drawn over `length` pixels
+ */
+const axisTicks = (axis, length, spacing) => {
+  const target = Math.max(Math.floor(length / spacing), 2);
+
+  if (axis.type === 'category') {
+    const every = Math.max(Math.ceil(axis.categories.length / target), 1);
+    return axis.categories
+      .map((category, i) => ({ value: i, label: truncate(category, 20) }))
+      .filter(tick => tick.value % every === 0 && tick.value >= axis.min && tick.value <= axis.max);
+  }
+
+  if (axis.type === 'date') {
+    return dateTicks(axis.min, axis.max, target);
+  }
+
+  const step = niceStep((axis.max - axis.min) / target);
+  const ticks = [];
+  for (let value = Math.ceil(axis.min / step) * step; value <= axis.max + step * 1e-9; value += step) {
+    const clean = Math.abs(value) < step * 1e-9 ? 0 : value;
+    ticks.push({ value: clean, label: formatNumber(clean, step) });
+  }
+  return ticks;
+};
+
+// ---------------------------------------------------------------------------
+// Drawing
+// ---------------------------------------------------------------------------
+
+const textElement = (x, y, text, { size, color, anchor = 'middle', weight, transform, baseline } = {}) => {
+  const attributes = [
+    `x="${round(x)}"`,
+    `y="${round(y)}"`,
+    `text-anchor="${anchor}"`,
+    size ? `font-size="${size}"` : '',
+    color ? `fill="${color}"` : '',
+    weight ? `font-weight="${weight}"` : '',
+    baseline ? `dominant-baseline="${baseline}"` : '',
+    transform ? `transform="${transform}"` : ''
+  ].filter(Boolean).join(' ');
+  return `<text ${attributes}>${escapeXml(text)}</text>`;
+};
+
+/**
+ * Legend entries stacked at the right of the plot area
+ */
+const drawLegend = (items, left, top, style) => {
+  if (items.length === 0) return '';
+  const parts = ['<g class="legend">'];
+  items.forEach((item, i) => {
+    const y = top + i * 20;
+    if (item.symbol === 'line') {
+      parts.push(`<line x1="${round(left)}" y1="${round(y)}" x2="${round(left + 30)}" y2="${round(y)}" stroke="${item.color}" stroke-width="2"${item.dash ? ` stroke-dasharray="${item.dash}"` : ''}/>`);
+      if (item.markers) parts.push(`<circle cx="${round(left + 15)}" cy="${round(y)}" r="3" fill="${item.color}"/>`);
+    } else if (item.symbol === 'marker') {
+      parts.push(`<circle cx="${round(left + 15)}" cy="${round(y)}" r="4" fill="${item.color}"/>`);
+    } else {
+      parts.push(`<rect x="${round(left + 8)}" y="${round(y - 6)}" width="14" height="12" fill="${item.color}"/>`);
+    }
+    parts.push(textElement(left + 38, y, truncate(item.name, 40), { anchor: 'start', baseline: 'central', color: style.text }));
+  });
+  parts.push('</g>');
+  return parts.join('');
+};
+
+const legendWidth = (items, style) => (
+  items.length === 0 ? 0 : Math.max(...items.map(item => estimateTextWidth(truncate(item.name, 40), style.fontSize))) + 50
+);
+
+/**
+ * Path through points, breaking at gaps unless connectGaps is set
+ */
+const linePath = (points, { connectGaps, shape }) => {
+  const segments = [];
+  let current = [];
+  points.forEach(point => {
+    if (point === null) {
+      if (!connectGaps && current.length > 0) {
+        segments.push(current);
+        current = [];
+      }
+      return;
+    }
+    current.push(point);
+  });
+  if (current.length > 0) segments.push(current);
+
+  return segments.map(segment => segment.map(([x, y], i) => {
+    if (i === 0) return `M${round(x)},${round(y)}`;
+    const [px, py] = segment[i - 1];
+    if (shape === 'hv') return `H${round(x)}V${round(y)}`;
+    if (shape === 'vh') return `V${round(y)}H${round(x)}`;
+    if (shape === 'hvh') return `H${round((px + x) / 2)}V${round(y)}H${round(x)}`;
+    if (shape === 'vhv') return `V${round((py + y) / 2)}H${round(x)}V${round(y)}`;
+    return `L${round(x)},${round(y)}`;
+  }).join('')).join('');
+};
+
+/**
+ * Render scatter, area, bar and histogram traces on one pair of axes
+ */
+const renderCartesian = (series, layout, style, box) => {
+  const orientation = series.bars[0]?.orientation || 'v';
+  const barmode = ['group', 'stack', 'relative', 'overlay'].includes(layout.barmode) ? layout.barmode : 'group';
+  const bargap = finiteNumber(layout.bargap) ?? (series.bars.every(bar => bar.isHistogram) ? 0 : 0.2);
+
+  // Which raw values land on which axis
+  const positions = series.bars.flatMap(bar => bar.positions);
+  const values = series.bars.flatMap(bar => bar.values);
+  const xRaw = series.scatter.flatMap(trace => trace.x).concat(orientation === 'h' ? values : positions);
+  const yRaw = series.scatter.flatMap(trace => trace.y).concat(orientation === 'h' ? positions : values);
+
+  const hasFill = series.scatter.some(trace => trace.fill !== 'none');
+  const xaxis = buildAxis(xRaw, { ...style.axisDefaults('xaxis'), ...(layout.xaxis || {}) }, {
+    includeZero: series.bars.length > 0 && orientation === 'h',
+    padFraction: series.bars.length > 0 && orientation === 'h' ? 0.05 : (series.scatter.some(t => t.mode.includes('markers')) ? 0.05 : 0)
+  });
+  const yaxis = buildAxis(yRaw, { ...style.axisDefaults('yaxis'), ...(layout.yaxis || {}) }, {
+    includeZero: (series.bars.length > 0 && orientation === 'v') || hasFill,
+    padFraction: 0.05
+  });
+  const positionAxis = orientation === 'h' ? yaxis : xaxis;
+  const valueAxis = orientation === 'h' ? xaxis : yaxis;
+
+  // Scatter traces: numeric points, with stack groups accumulated per x value
+  const stackTotals = new Map();
+  const scatterPoints = series.scatter.map(trace => {
+    const totals = trace.stackgroup ? (stackTotals.get(trace.stackgroup) || new Map()) : null;
+    if (totals) stackTotals.set(trace.stackgroup, totals);
+
+    return trace.x.map((rawX, i) => {
+      const x = xaxis.toNumber(rawX);
+      let y = yaxis.toNumber(trace.y[i]);
+      if (x === null) return null;
+      let base = null;
+      if (totals) {
+        base = totals.get(x) || 0;
+        y = base + (y || 0);
+        totals.set(x, y);
+      }
+      return y === null ? null : { x, y, base, raw: i };
+    });
+  });
+
+  // Bars: slot width along the position axis, then offsets per group or stack
+  const allPositions = series.bars.flatMap(bar => bar.positions.map(positionAxis.toNumber)).filter(value => value !== null);
+  const distinct = [...new Set(allPositions)].sort((a, b) => a - b);
+  let slot = positionAxis.type === 'category' ? 1 : Infinity;
+  for (let i = 1; i < distinct.length; i++) slot = Math.min(slot, distinct[i] - distinct[i - 1]);
+  if (!Number.isFinite(slot)) slot = positionAxis.type === 'date' ? DAY : 1;
+
+  const stackUp = new Map();
+  const stackDown = new Map();
+  const barRects = series.bars.map((bar, barIndex) => {
+    const slotWidth = bar.width || slot;
+    const groupWidth = slotWidth * (1 - bargap);
+    const width = barmode === 'group' ? groupWidth / series.bars.length : groupWidth;
+    const offset = barmode === 'group' ? -groupWidth / 2 + barIndex * width : -width / 2;
+
+    return bar.positions.map((rawPosition, i) => {
+      const position = positionAxis.toNumber(rawPosition);
+      const value = finiteNumber(bar.values[i]);
+      if (position === null || value === null) return null;
+
+      let from = 0;
+      if (barmode === 'stack' || barmode === 'relative') {
+        const stacks = barmode === 'relative' && value < 0 ? stackDown : stackUp;
+        from = stacks.get(position) || 0;
+        stacks.set(position, from + value);
+      }
+      return { start: position + offset, end: position + offset + width, from, to: from + value, index: i };
+    });
+  });
+
+  // Axis ranges from everything that is drawn
+  const xExtent = [];
+  const yExtent = [];
+  scatterPoints.forEach(points => points.forEach(point => {
+    if (!point) return;
+    xExtent.push(point.x);
+    yExtent.push(point.y, point.base);
+  }));
+  barRects.forEach(rects => rects.forEach(rect => {
+    if (!rect) return;
+    (orientation === 'h' ? yExtent : xExtent).push(rect.start, rect.end);
+    (orientation === 'h' ? xExtent : yExtent).push(rect.from, rect.to);
+  }));
+
+  // Bars already include their half-slot, so only pad the value axis
+  if (series.bars.length > 0) positionAxis.padFraction = series.scatter.length > 0 ? 0.02 : 0;
+  setAxisRange(xaxis, xExtent);
+  setAxisRange(yaxis, yExtent);
+
+  const { left, top, width, height } = box;
+  const scaleX = (value) => left + ((value - xaxis.min) / (xaxis.max - xaxis.min)) * width;
+  const scaleY = (value) => top + height - ((value - yaxis.min) / (yaxis.max - yaxis.min)) * height;
+
+  const parts = [];
+  parts.push(`<rect x="${round(left)}" y="${round(top)}" width="${round(width)}" height="${round(height)}" fill="${style.plot}"/>`);
+
+  // Grid lines, zero lines and tick labels
+  const xTicks = axisTicks(xaxis, width, 80);
+  const yTicks = axisTicks(yaxis, height, 50);
+  const gridColor = (axis) => safeColor(axis.layout.gridcolor, style.grid);
+
+  parts.push('<g class="grid">');
+  if (xaxis.layout.showgrid !== false) {
+    xTicks.forEach(tick => parts.push(`<line x1="${round(scaleX(tick.value))}" y1="${round(top)}" x2="${round(scaleX(tick.value))}" y2="${round(top + height)}" stroke="${gridColor(xaxis)}" stroke-width="1"/>`));
+  }
+  if (yaxis.layout.showgrid !== false) {
+    yTicks.forEach(tick => parts.push(`<line x1="${round(left)}" y1="${round(scaleY(tick.value))}" x2="${round(left + width)}" y2="${round(scaleY(tick.value))}" stroke="${gridColor(yaxis)}" stroke-width="1"/>`));
+  }
+  if (xaxis.type === 'linear' && xaxis.layout.zeroline !== false && xaxis.min < 0 && xaxis.max > 0) {
+    parts.push(`<line x1="${round(scaleX(0))}" y1="${round(top)}" x2="${round(scaleX(0))}" y2="${round(top + height)}" stroke="${safeColor(xaxis.layout.zerolinecolor, style.zeroline)}" stroke-width="1"/>`);
+  }
+  if (yaxis.type === 'linear' && yaxis.layout.zeroline !== false && yaxis.min <= 0 && yaxis.max >= 0) {
+    parts.push(`<line x1="${round(left)}" y1="${round(scaleY(0))}" x2="${round(left + width)}" y2="${round(scaleY(0))}" stroke="${safeColor(yaxis.layout.zerolinecolor, style.zeroline)}" stroke-width="1"/>`);
+  }
+  parts.push('</g>');
+
+  parts.push(`<g class="ticks" font-size="${style.fontSize}" fill="${style.text}">`);
+  if (xaxis.layout.showticklabels !== false) {
+    xTicks.forEach(tick => parts.push(textElement(scaleX(tick.value), top + height + style.fontSize + 6, tick.label)));
+  }
+  if (yaxis.layout.showticklabels !== false) {
+    yTicks.forEach(tick => parts.push(textElement(left - 6, scaleY(tick.value), tick.label, { anchor: 'end', baseline: 'central' })));
+  }
+  parts.push('</g>');
+
+  const axisLine = (axis, x1, y1, x2, y2) => (axis.layout.showline
+    ? `<line x1="${round(x1)}" y1="${round(y1)}" x2="${round(x2)}" y2="${round(y2)}" stroke="${safeColor(axis.layout.linecolor, style.text)}" stroke-width="1"/>`
+    : '');
+  parts.push(axisLine(xaxis, left, top + height, left + width, top + height));
+  parts.push(axisLine(yaxis, left, top, left, top + height));
+
+  if (xaxis.title) {
+    parts.push(textElement(left + width / 2, top + height + style.fontSize * 2 + 24, xaxis.title, { size: style.fontSize + 2, color: style.text }));
+  }
+  if (yaxis.title) {
+    const x = left - Math.min(60, box.marginLeft - 16);
+    parts.push(textElement(x, top + height / 2, yaxis.title, {
+      size: style.fontSize + 2,
+      color: style.text,
+      transform: `rotate(-90 ${round(x)} ${round(top + height / 2)})`
+    }));
+  }
+
+  // Data, clipped to the plot area
+  parts.push(`<g clip-path="url(#plot-clip)">`);
+
+  series.bars.forEach((bar, barIndex) => {
+    parts.push(`<g class="bars"${bar.opacity < 1 ? ` opacity="${bar.opacity}"` : ''}>`);
+    barRects[barIndex].forEach(rect => {
+      if (!rect) return;
+      const color = (bar.colors && safeColor(bar.colors[rect.index], null)) || bar.color;
+      const [x1, x2, y1, y2] = orientation === 'h'
+        ? [scaleX(Math.min(rect.from, rect.to)), scaleX(Math.max(rect.from, rect.to)), scaleY(rect.end), scaleY(rect.start)]
+        : [scaleX(rect.start), scaleX(rect.end), scaleY(Math.max(rect.from, rect.to)), scaleY(Math.min(rect.from, rect.to))];
+      parts.push(`<rect x="${round(x1)}" y="${round(y1)}" width="${round(Math.max(x2 - x1, 0.5))}" height="${round(Math.max(y2 - y1, 0))}" fill="${color}"/>`);
+    });
+    parts.push('</g>');
+  });
+
+  let previous = null;
+  series.scatter.forEach((trace, traceIndex) => {
+    const points = scatterPoints[traceIndex];
+    const pixels = points.map(point => (point ? [scaleX(point.x), scaleY(point.y)] : null));
+    parts.push(`<g class="trace"${trace.opacity < 1 ? ` opacity="${trace.opacity}"` : ''}>`);
+
+    if (trace.fill === 'tozeroy' || trace.fill === 'tonexty' || trace.fill === 'tozerox') {
+      const present = points.filter(Boolean);
+      if (present.length > 0) {
+        let lower;
+        if (trace.fill === 'tonexty' && trace.stackgroup) {
+          lower = present.map(point => [scaleX(point.x), scaleY(point.base)]).reverse();
+        } else if (trace.fill === 'tonexty' && previous) {
+          lower = previous.filter(Boolean).map(point => [scaleX(point.x), scaleY(point.y)]).reverse();
+        } else if (trace.fill === 'tozerox') {
+          const zero = scaleX(Math.min(Math.max(0, xaxis.min), xaxis.max));
+          lower = present.map(point => [zero, scaleY(point.y)]).reverse();
+        } else {
+          const zero = scaleY(Math.min(Math.max(0, yaxis.min), yaxis.max));
+          lower = [[scaleX(present[present.length - 1].x), zero], [scaleX(present[0].x), zero]];
+        }
+        const upper = present.map(point => [scaleX(point.x), scaleY(point.y)]);
+        const outline = [...upper, ...lower].map(([x, y], i) => `${i === 0 ? 'M' : 'L'}${round(x)},${round(y)}`).join('');
+        parts.push(`<path d="${outline}Z" fill="${trace.fillColor || trace.color}" fill-opacity="${trace.fillColor ? 1 : 0.5}" stroke="none"/>`);
+      }
+    }
+
+    if (trace.mode.includes('lines')) {
+      const d = linePath(pixels, { connectGaps: trace.connectGaps, shape: trace.lineShape });
+      if (d) {
+        parts.push(`<path d="${d}" fill="none" stroke="${trace.color}" stroke-width="${trace.lineWidth}" stroke-linejoin="round"${trace.lineDash ? ` stroke-dasharray="${trace.lineDash}"` : ''}/>`);
+      }
+    }
+
+    if (trace.mode.includes('markers')) {
+      const radius = Math.max(trace.markerSize / 2, 0.5);
+      pixels.forEach((pixel, i) => {
+        if (!pixel) return;
+        const color = (trace.markerColors && safeColor(trace.markerColors[points[i].raw], null)) || trace.color;
+        parts.push(`<circle cx="${round(pixel[0])}" cy="${round(pixel[1])}" r="${round(radius)}" fill="${color}"/>`);
+      });
+    }
+
+    parts.push('</g>');
+    previous = points;
+  });
+
+  parts.push('</g>');
+  return parts.join('');
+};
+
+/**
+ * Point on a circle, with angles in degrees clockwise from 12 o'clock
+ */
+const polar = (cx, cy, radius, degrees) => {
+  const radians = ((degrees - 90) * Math.PI) / 180;
+  return [cx + radius * Math.cos(radians), cy + radius * Math.sin(radians)];
+};
+
+/**
+ * Render pie and donut traces side by side
+ */
+const renderPies = (pies, style, box, colorFor) => {
+  const parts = [];
+  const cellWidth = box.width / pies.length;
+
+  pies.forEach((pie, pieIndex) => {
+    const cx = box.left + cellWidth * (pieIndex + 0.5);
+    const cy = box.top + box.height / 2;
+    const radius = Math.max(Math.min(cellWidth, box.height) / 2 - 4, 1);
+    const inner = radius * pie.hole;
+    const total = pie.values.reduce((sum, value) => sum + value, 0);
+
+    let slices = pie.labels.map((label, i) => ({ label, value: pie.values[i] || 0, i }));
+    if (pie.sort) slices = [...slices].sort((a, b) => b.value - a.value);
+
+    parts.push('<g class="pie">');
+    if (total <= 0) {
+      parts.push(`<circle cx="${round(cx)}" cy="${round(cy)}" r="${round(radius)}" fill="none" stroke="${style.grid}"/>`);
+    }
+
+    let angle = -pie.rotation;
+    slices.forEach(slice => {
+      if (total <= 0 || slice.value <= 0) return;
+      const sweep = (slice.value / total) * 360;
+      const start = angle;
+      const end = pie.clockwise ? angle + sweep : angle - sweep;
+      angle = end;
+
+      const color = (pie.colors && safeColor(pie.colors[slice.i], null)) || colorFor(slice.label);
+      if (sweep >= 359.999) {
+        parts.push(`<circle cx="${round(cx)}" cy="${round(cy)}" r="${round(radius)}" fill="${color}"/>`);
+        if (inner > 0) parts.push(`<circle cx="${round(cx)}" cy="${round(cy)}" r="${round(inner)}" fill="${style.paper}"/>`);
+      } else {
+        const large = sweep > 180 ? 1 : 0;
+        const sweepFlag = pie.clockwise ? 1 : 0;
+        const [x1, y1] = polar(cx, cy, radius, start);
+        const [x2, y2] = polar(cx, cy, radius, end);
+        let d = `M${round(x1)},${round(y1)}A${round(radius)},${round(radius)} 0 ${large} ${sweepFlag} ${round(x2)},${round(y2)}`;
+        if (inner > 0) {
+          const [x3, y3] = polar(cx, cy, inner, end);
+          const [x4, y4] = polar(cx, cy, inner, start);
+          d += `L${round(x3)},${round(y3)}A${round(inner)},${round(inner)} 0 ${large} ${1 - sweepFlag} ${round(x4)},${round(y4)}Z`;
+        } else {
+          d += `L${round(cx)},${round(cy)}Z`;
+        }
+        parts.push(`<path d="${d}" fill="${color}" stroke="${style.paper}" stroke-width="1"/>`);
+      }
+
+      // Slice labels, only where they fit
+      if (pie.textinfo !== 'none' && sweep >= 12) {
+        const labelParts = [];
+        if (pie.textinfo.includes('label')) labelParts.push(truncate(slice.label, 16));
+        if (pie.textinfo.includes('value')) labelParts.push(String(slice.value));
+        if (pie.textinfo.includes('percent')) labelParts.push(`${Number(((slice.value / total) * 100).toFixed(1))}%`);
+        const middle = (start + end) / 2;
+        const [tx, ty] = polar(cx, cy, inner + (radius - inner) * (inner > 0 ? 0.5 : 0.65), middle);
+        parts.push(textElement(tx, ty, labelParts.join(' '), { baseline: 'central', color: '#ffffff' }));
+      }
+    });
+    parts.push('</g>');
+  });
+
+  return parts.join('');
+};
+
+// ---------------------------------------------------------------------------
+// Entry point
+// ---------------------------------------------------------------------------
+
+/**
+ * Render a Plotly figure to an SVG document
+ * @param {Object} figure - Plotly figure ({ data, layout })
+ * @param {Object} [options]
+ * @param {number} [options.width] - Pixels (default: layout.width or 700)
+ * @param {number} [options.height] - Pixels (default: layout.height or 450)
+ * @param {string} [options.theme] - One of RENDER_THEMES; replaces the figure's template
+ * @returns {{ svg: string, skipped: Array<string> }}
+ */
+const renderFigureSvg = (figure, { width, height, theme } = {}) => {
+  const layout = figure?.layout && typeof figure.layout === 'object' ? figure.layout : {};
+  const traces = Array.isArray(figure?.data) ? figure.data : [];
+  const style = resolveStyle(layout, theme);
+
+  const clampSize = (value, fallback) => Math.min(Math.max(Math.round(finiteNumber(value) || fallback), MIN_SIZE), MAX_SIZE);
+  const svgWidth = clampSize(width ?? layout.width, DEFAULT_WIDTH);
+  const svgHeight = clampSize(height ?? layout.height, DEFAULT_HEIGHT);
+
+  const series = normaliseTraces(traces, style);
+  const hasCartesian = series.scatter.length > 0 || series.bars.length > 0;
+  if (hasCartesian && series.pies.length > 0) {
+    // Plotly places pies in their own domain; keep the cartesian traces
+    series.pies.forEach(pie => series.skipped.push(`pie trace ${pie.index} (mixed with cartesian traces)`));
+    series.pies = [];
+  }
+
+  // Pies share colours by label, like plotly.js
+  const labelColors = new Map();
+  const colorFor = (label) => {
+    if (!labelColors.has(label)) labelColors.set(label, style.colorway[labelColors.size % style.colorway.length]);
+    return labelColors.get(label);
+  };
+
+  let legendItems = [];
+  if (hasCartesian) {
+    legendItems = [
+      ...series.bars.map(bar => ({ ...bar, symbol: 'bar' })),
+      ...series.scatter.map(trace => ({
+        ...trace,
+        symbol: trace.mode.includes('lines') ? 'line' : (trace.fill !== 'none' ? 'bar' : 'marker'),
+        markers: trace.mode.includes('markers'),
+        dash: trace.lineDash
+      }))
+    ].sort((a, b) => a.index - b.index).filter(item => item.showInLegend);
+  } else {
+    const seen = new Set();
+    series.pies.filter(pie => pie.showInLegend).forEach(pie => {
+      const order = pie.sort
+        ? pie.labels.map((label, i) => ({ label, i })).sort((a, b) => (pie.values[b.i] || 0) - (pie.values[a.i] || 0))
+        : pie.labels.map((label, i) => ({ label, i }));
+      order.forEach(({ label, i }) => {
+        if (seen.has(label)) return;
+        seen.add(label);
+        legendItems.push({ name: label, color: (pie.colors && safeColor(pie.colors[i], null)) || colorFor(label), symbol: 'bar' });
+      });
+    });
+  }
+
+  const showLegend = layout.showlegend === true
+    || (layout.showlegend !== false && (series.pies.length > 0 || legendItems.length > 1));
+  if (!showLegend) legendItems = [];
+  legendItems = legendItems.slice(0, Math.max(Math.floor((svgHeight - 40) / 20), 1));
+
+  const margin = { ...DEFAULT_MARGIN };
+  if (layout.margin && typeof layout.margin === 'object') {
+    ['l', 'r', 't', 'b'].forEach(side => {
+      const value = finiteNumber(layout.margin[side]);
+      if (value !== null) margin[side] = Math.max(value, 0);
+    });
+  }
+  margin.r = Math.max(margin.r, legendWidth(legendItems, style) + 10);
+
+  const box = {
+    left: margin.l,
+    top: margin.t,
+    width: Math.max(svgWidth - margin.l - margin.r, 10),
+    height: Math.max(svgHeight - margin.t - margin.b, 10),
+    marginLeft: margin.l
+  };
+
+  const title = plainText(layout.title);
+  const parts = [];
+  parts.push(`<svg xmlns="http://www.w3.org/2000/svg" width="${svgWidth}" height="${svgHeight}" viewBox="0 0 ${svgWidth} ${svgHeight}" role="img" font-family="${escapeXml(style.fontFamily)}" font-size="${style.fontSize}">`);
+  parts.push(`<title>${escapeXml(title || 'Chart')}</title>`);
+  if (series.skipped.length > 0) {
+    parts.push(`<desc>Not rendered: ${escapeXml(series.skipped.join(', '))}</desc>`);
+  }
+  parts.push(`<defs><clipPath id="plot-clip"><rect x="${round(box.left)}" y="${round(box.top)}" width="${round(box.width)}" height="${round(box.height)}"/></clipPath></defs>`);
+  parts.push(`<rect width="100%" height="100%" fill="${style.paper}"/>`);
+
+  if (hasCartesian) {
+    parts.push(renderCartesian(series, layout, style, box));
+  } else if (series.pies.length > 0) {
+    parts.push(renderPies(series.pies, style, box, colorFor));
+  } else {
+    parts.push(textElement(svgWidth / 2, svgHeight / 2, 'No renderable traces', { color: style.text, baseline: 'central' }));
+  }
+
+  if (title) {
+    const titleLayout = typeof layout.title === 'object' ? layout.title : {};
+    const titleX = finiteNumber(titleLayout.x);
+    const x = titleX === null ? svgWidth / 2 : titleX * svgWidth;
+    const anchor = titleLayout.xanchor === 'left' || (titleX !== null && titleX < 0.3 && titleLayout.xanchor !== 'center')
+      ? 'start'
+      : (titleLayout.xanchor === 'right' ? 'end' : 'middle');
+    parts.push(textElement(x, Math.max(margin.t / 2, 20), truncate(title, 120), {
+      size: finiteNumber(titleLayout.font?.size) || style.fontSize + 5,
+      color: safeColor(titleLayout.font?.color, style.text),
+      anchor,
+      baseline: 'central'
+    }));
+  }
+
+  parts.push(drawLegend(legendItems, box.left + box.width + 10, box.top + 10, style));
+  parts.push('</svg>');
+
+  return { svg: parts.join(''), skipped: series.skipped };
+};
+
+module.exports = {
+  RENDER_THEMES,
+  MIN_SIZE,
+  MAX_SIZE,
+  renderFigureSvg
+};
@@ -0,0 +1,197 @@
+const { createError } = require('../middleware/errorHandler');
+
+/**
+ * Build Plotly figures from tabular data (e.g. a parsed CSV)
+ *
+ * The first row holds column names. Column kinds are detected from the
+ * values: number, date (ISO-style), category or empty.
+ */
+
+const TABLE_TRACE_TYPES = ['scatter', 'line', 'area', 'bar', 'histogram', 'box', 'pie'];
+const MAX_TRACES = 50;
+
+const NUMBER_PATTERN = /^[-+]?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?$/;
+const DATE_PATTERN = /^\d{4}[-/]\d{2}[-/]\d{2}([ T]\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/;
+
+const isEmpty = (value) => value === undefined || value.trim() === '';
+
+/**
+ * Detect the kind of a column from its raw string values
+ * @param {Array<string>} values
+ * @returns {'number'|'date'|'category'|'empty'}
+ */
+const detectColumnKind = (values) => {
+  const present = values.filter(value => !isEmpty(value)).map(value => value.trim());
+
+  if (present.length === 0) return 'empty';
+  if (present.every(value => NUMBER_PATTERN.test(value))) return 'number';
+  if (present.every(value => DATE_PATTERN.test(value) && !Number.isNaN(Date.parse(value.replace(/\//g, '-'))))) {
+    return 'date';
+  }
+  return 'category';
+};
+
+/**
+ * Convert a raw value according to its column kind (empty cells become null gaps)
+ */
+const convertValue = (value, kind) => {
+  if (isEmpty(value)) return null;
+  const trimmed = value.trim();
+  if (kind === 'number') return Number(trimmed);
+  if (kind === 'date') return trimmed.replace(/\//g, '-');
+  return trimmed;
+};
+
+/**
+ * Describe the columns of a table
+ * @param {Array<Array<string>>} rows - Header row followed by data rows
+ * @returns {Array<{ name: string, kind: string, values: Array }>}
+ */
+const describeColumns = (rows) => {
+  const [header, ...body] = rows;
+
+  return header.map((rawName, index) => {
+    const name = rawName.trim() || `column_${index + 1}`;
+    const raw = body.map(row => row[index]);
+    const kind = detectColumnKind(raw);
+    return { name, kind, values: raw.map(value => convertValue(value, kind)) };
+  });
+};
+
+/**
+ * Build one trace of the requested type
+ */
+const buildTrace = (type, name, xValues, yValues) => {
+  switch (type) {
+    case 'line':
+      return { type: 'scatter', mode: 'lines', name, x: xValues, y: yValues };
+    case 'area':
+      return { type: 'scatter', mode: 'lines', fill: 'tozeroy', name, x: xValues, y: yValues };
+    case 'bar':
+      return { type: 'bar', name, x: xValues, y: yValues };
+    case 'histogram':
+      return { type: 'histogram', name, x: yValues };
+    case 'box':
+      return { type: 'box', name, y: yValues };
+    default:
+      return { type: 'scatter', mode: 'markers', name, x: xValues, y: yValues };
+  }
+};
+
+/**
+ * Build a Plotly figure from a table and a mapping spec
+ * @param {Array<Array<string>>} rows - Header row followed by data rows
+ * @param {Object} mapping
+ * @param {string} [mapping.x] - Column for the x axis (default: first column)
+ * @param {Array<string>} [mapping.y] - Columns that become traces (default: all other numeric columns)
+ * @param {string} [mapping.type] - One of TABLE_TRACE_TYPES (default: scatter)
+ * @param {string} [mapping.groupBy] - Category column; one trace per value
+ * @param {string} [mapping.title] - Figure title
+ * @returns {{ figure: Object, columns: Array<{ name: string, kind: string }> }}
+ */
+const buildFigureFromTable = (rows, mapping = {}) => {
+  if (rows.length < 2) {
+    throw createError(400, 'Table must have a header row and at least one data row');
+  }
+
+  const columns = describeColumns(rows);
+  const byName = new Map(columns.map(column => [column.name, column]));
+  const available = columns.map(column => column.name).join(', ');
+
+  const requireColumn = (name) => {
+    const column = byName.get(name);
+    if (!column) {
+      throw createError(400, `Unknown column "${name}". Available columns: ${available}`);
+    }
+    return column;
+  };
+
+  const type = mapping.type || 'scatter';
+  const xColumn = mapping.x ? requireColumn(mapping.x) : columns[0];
+  const groupColumn = mapping.groupBy ? requireColumn(mapping.groupBy) : null;
+
+  const yColumns = mapping.y && mapping.y.length > 0
+    ? mapping.y.map(requireColumn)
+    : columns.filter(column => column.kind === 'number' && column !== xColumn && column !== groupColumn);
+
+  if (yColumns.length === 0) {
+    throw createError(400, `No numeric columns to plot. Choose columns with ?y=. Available columns: ${available}`);
+  }
+
+  for (const column of yColumns) {
+    if (column.kind !== 'number' && type !== 'histogram') {
+      throw createError(400, `Column "${column.name}" is not numeric and cannot be plotted as values`);
+    }
+  }
+
+  const data = [];
+
+  if (type === 'pie') {
+    if (groupColumn || yColumns.length > 1) {
+      throw createError(400, 'Pie charts take exactly one value column and no groupBy');
+    }
+    data.push({ type: 'pie', labels: xColumn.values, values: yColumns[0].values, name: yColumns[0].name });
+  } else {
+    // Group row indices by category value, in order of first appearance
+    const groups = new Map();
+    if (groupColumn) {
+      groupColumn.values.forEach((value, index) => {
+        const key = value === null ? '(blank)' : String(value);
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(index);
+      });
+    } else {
+      groups.set(null, xColumn.values.map((value, index) => index));
+    }
+
+    if (groups.size * yColumns.length > MAX_TRACES) {
+      throw createError(400, `Mapping would create more than ${MAX_TRACES} traces`);
+    }
+
+    for (const yColumn of yColumns) {
+      for (const [group, indices] of groups) {
+        let name = yColumn.name;
+        if (group !== null) {
+          name = yColumns.length > 1 ? `${yColumn.name} - ${group}` : group;
+        }
+        data.push(buildTrace(
+          type,
+          name,
+          indices.map(index => xColumn.values[index]),
+          indices.map(index => yColumn.values[index])
+        ));
+      }
+    }
+  }
+
+  const layout = {};
+  if (mapping.title) {
+    layout.title = { text: mapping.title };
+  }
+  if (type !== 'pie') {
+    layout.xaxis = { title: { text: type === 'histogram' ? yColumns.map(c => c.name).join(', ') : xColumn.name } };
+    if (xColumn.kind === 'date' && type !== 'histogram' && type !== 'box') {
+      layout.xaxis.type = 'date';
+    }
+    if (yColumns.length === 1 && type !== 'histogram') {
+      layout.yaxis = { title: { text: yColumns[0].name } };
+    }
+  }
+  if (type === 'bar' && data.length > 1) {
+    layout.barmode = 'group';
+  }
+  if (groupColumn) {
+    layout.legend = { title: { text: groupColumn.name } };
+  }
+
+  return {
+    figure: { data, layout },
+    columns: columns.map(({ name, kind }) => ({ name, kind }))
+  };
+};
+
+module.exports = {
+  TABLE_TRACE_TYPES,
+  detectColumnKind,
+  buildFigureFromTable
+};
@@ -0,0 +1,207 @@
+const { isTypedArraySpec } = require('./plotlyValidation');
+
+/**
+ * Trace Data Extraction
+ *
+ * Turns the arrays inside plotlyData.data[*] into tables: a tidy "long"
+ * table with one row per point, or a "wide" table with one row per shared
+ * x value and one column per trace.
+ */
+
+const TYPED_ARRAYS = {
+  i1: Int8Array,
+  u1: Uint8Array,
+  u1c: Uint8ClampedArray,
+  i2: Int16Array,
+  u2: Uint16Array,
+  i4: Int32Array,
+  u4: Uint32Array,
+  f4: Float32Array,
+  f8: Float64Array
+};
+
+// Trace types whose points have no implicit x index
+const NO_IMPLICIT_X = ['pie', 'histogram', 'box', 'violin'];
+
+/**
+ * Decode a plotly.py base64 typed array ({ dtype, bdata, shape? }) into plain arrays
+ * @param {Object} spec
+ * @returns {Array} 1D array, or 2D array when a two-dimensional shape is given
+ */
+const decodeTypedArray = (spec) => {
+  const ArrayType = TYPED_ARRAYS[spec.dtype];
+  if (!ArrayType) return [];
+
+  const buffer = Buffer.from(spec.bdata, 'base64');
+  const values = Array.from(new ArrayType(buffer.buffer, buffer.byteOffset, Math.floor(buffer.length / ArrayType.BYTES_PER_ELEMENT)));
+
+  const shape = typeof spec.shape === 'string' ? spec.shape.split(',').map(Number) : spec.shape;
+  if (Array.isArray(shape) && shape.length === 2) {
+    const [rows, cols] = shape;
+    return Array.from({ length: rows }, (_, row) => values.slice(row * cols, (row + 1) * cols));
+  }
+  return values;
+};
+
+/**
+ * Normalise a trace attribute to a plain array (or undefined)
+ */
+const toArray = (value) => {
+  if (Array.isArray(value)) return value;
+  if (isTypedArraySpec(value)) return decodeTypedArray(value);
+  return undefined;
+};
+
+/**
+ * Extract x/y/z/text columns from one trace
+ * @param {Object} trace
+ * @returns {{ x?: Array, y?: Array, z?: Array, text?: Array, matrix: boolean }}
+ */
+const traceColumns = (trace) => {
+  if (trace.type === 'pie') {
+    return { x: toArray(trace.labels), y: toArray(trace.values), text: toArray(trace.text), matrix: false };
+  }
+
+  let x = toArray(trace.x);
+  const y = toArray(trace.y);
+  const z = toArray(trace.z);
+  const text = toArray(trace.text);
+
+  // Heatmaps and surfaces store z as rows of columns
+  const matrix = Array.isArray(z) && z.some(Array.isArray);
+
+  if (!x && y && !matrix && !NO_IMPLICIT_X.includes(trace.type)) {
+    // plotly.js plots y against its index when x is missing
+    x = y.map((value, index) => index);
+  }
+
+  return { x, y, z, text, matrix };
+};
+
+/**
+ * Name each trace, making duplicates unique
+ */
+const traceNames = (traces) => {
+  const seen = new Map();
+  return traces.map((trace, index) => {
+    const base = trace && trace.name ? String(trace.name) : `trace ${index}`;
+    const count = seen.get(base) || 0;
+    seen.set(base, count + 1);
+    return count === 0 ? base : `${base} (${count + 1})`;
+  });
+};
+
+/**
+ * Flatten all traces into a tidy table: trace, x, y and z/text when any trace has them
+ * @param {Object} figure - Plotly figure
+ * @returns {Array<Array<*>>} Header row followed by data rows
+ */
+const toLongTable = (figure) => {
+  const traces = Array.isArray(figure?.data) ? figure.data.filter(Boolean) : [];
+  const names = traceNames(traces);
+  const extracted = traces.map(traceColumns);
+
+  const hasZ = extracted.some(columns => columns.z);
+  const hasText = extracted.some(columns => columns.text);
+  const header = ['trace', 'x', 'y', ...(hasZ ? ['z'] : []), ...(hasText ? ['text'] : [])];
+
+  const rows = [header];
+  extracted.forEach((columns, traceIndex) => {
+    const pushRow = (x, y, z, text) => {
+      rows.push([names[traceIndex], x, y, ...(hasZ ? [z] : []), ...(hasText ? [text] : [])]);
+    };
+
+    if (columns.matrix) {
+      // One row per cell: x = column coordinate, y = row coordinate
+      columns.z.forEach((zRow, rowIndex) => {
+        (Array.isArray(zRow) ? zRow : [zRow]).forEach((value, colIndex) => {
+          const text = Array.isArray(columns.text?.[rowIndex]) ? columns.text[rowIndex][colIndex] : undefined;
+          pushRow(columns.x ? columns.x[colIndex] : colIndex, columns.y ? columns.y[rowIndex] : rowIndex, value, text);
+        });
+      });
+      return;
+    }
+
+    const length = Math.max(
+      columns.x?.length || 0,
+      columns.y?.length || 0,
+      columns.z?.length || 0,
+      columns.text?.length || 0
+    );
+    for (let i = 0; i < length; i++) {
+      pushRow(columns.x?.[i], columns.y?.[i], columns.z?.[i], columns.text?.[i]);
+    }
+  });
+
+  return rows;
+};
+
+/**
+ * Align traces on shared x values: one row per distinct x, one column per trace.
+ * Only traces with 1D x and y data are included.
+ * @param {Object} figure - Plotly figure
+ * @returns {Array<Array<*>>} Header row followed by data rows
+ */
+const toWideTable = (figure) => {
+  const traces = Array.isArray(figure?.data) ? figure.data.filter(Boolean) : [];
+  const names = traceNames(traces);
+
+  const series = traces
+    .map((trace, index) => ({ name: names[index], ...traceColumns(trace) }))
+    .filter(columns => columns.x && columns.y && !columns.matrix);
+
+  // Distinct x values in order of first appearance (numeric x is sorted afterwards)
+  const rowsByX = new Map();
+  series.forEach((columns, seriesIndex) => {
+    columns.x.forEach((x, i) => {
+      const key = JSON.stringify(x);
+      if (!rowsByX.has(key)) {
+        rowsByX.set(key, [x, ...new Array(series.length).fill(null)]);
+      }
+      rowsByX.get(key)[seriesIndex + 1] = columns.y[i] ?? null;
+    });
+  });
+
+  const rows = [...rowsByX.values()];
+  if (rows.every(row => typeof row[0] === 'number')) {
+    rows.sort((a, b) => a[0] - b[0]);
+  }
+
+  return [['x', ...series.map(columns => columns.name)], ...rows];
+};
+
+/**
+ * Distinct trace types of a figure (plotly.js draws untyped traces as scatter)
+ * @param {Object} figure - Plotly figure
+ * @returns {string[]}
+ */
+const listTraceTypes = (figure) => {
+  const traces = Array.isArray(figure?.data) ? figure.data.filter(Boolean) : [];
+  return [...new Set(traces.map(trace => (typeof trace.type === 'string' ? trace.type : 'scatter')))];
+};
+
+/**
+ * Count the data points of a figure: the longest column of each trace,
+ * or every cell of a z matrix
+ * @param {Object} figure - Plotly figure
+ * @returns {number}
+ */
+const countDataPoints = (figure) => {
+  const traces = Array.isArray(figure?.data) ? figure.data.filter(Boolean) : [];
+  return traces.reduce((total, trace) => {
+    const { x, y, z, matrix } = traceColumns(trace);
+    if (matrix) {
+      return total + z.reduce((cells, row) => cells + (Array.isArray(row) ? row.length : 1), 0);
+    }
+    return total + Math.max(x?.length || 0, y?.length || 0, z?.length || 0);
+  }, 0);
+};
+
+module.exports = {
+  decodeTypedArray,
+  toArray,
+  toLongTable,
+  toWideTable,
+  listTraceTypes,
+  countDataPoints
+};
@@ -0,0 +1,412 @@
+const crypto = require('crypto');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const mongoose = require('mongoose');
+const Webhook = require('../webhookModel');
+const WebhookDelivery = require('../webhookDeliveryModel');
+const User = require('../userModel');
+const { canReadChart } = require('../middleware/chartAccess');
+const { summarizeChart } = require('./chartFields');
+
+/**
+ * Outgoing Webhooks
+ *
+ * Chart events are stored as one WebhookDelivery per subscribed webhook and
+ * POSTed right away. Failed attempts are retried with exponential backoff by
+ * a periodic sweep; a delivery is leased (nextAttemptAt pushed forward) before
+ * each attempt so that only one server instance sends it.
+ *
+ * Every request is signed: X-Webhook-Signature is
+ * `sha256=` + hex HMAC-SHA256(secret, `${X-Webhook-Timestamp}.${body}`).
+ *
+ * Webhooks may only reach public addresses. Hosts are checked when a webhook
+ * is saved and again on the address each request actually connects to, so a
+ * DNS record changed afterwards cannot point deliveries at internal services.
+ * Response bodies are never read.
+ */
+
+const WEBHOOK_EVENTS = Webhook.EVENTS;
+
+const MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 6;
+const REQUEST_TIMEOUT_MS = parseInt(process.env.WEBHOOK_TIMEOUT_MS, 10) || 10000;
+
+// First retry after 30s, then 1, 2, 4, 8 minutes...
+const RETRY_BASE_SECONDS = 30;
+const RETRY_SWEEP_SECONDS = 15;
+const RETRY_BATCH_SIZE = 50;
+
+// How long an attempt holds a delivery before another instance may take it
+const LEASE_MS = REQUEST_TIMEOUT_MS + 60 * 1000;
+
+// Loopback, private (RFC 1918, ULA), link-local, CGNAT, multicast and reserved ranges
+const PRIVATE_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+  ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.0.2.0', 24],
+  ['192.168.0.0', 16], ['198.18.0.0', 15], ['198.51.100.0', 24], ['203.0.113.0', 24],
+  ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([address, prefix]) => PRIVATE_ADDRESSES.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['100::', 64], ['2001:db8::', 32],
+  ['fc00::', 7], ['fe80::', 10], ['fec0::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => PRIVATE_ADDRESSES.addSubnet(address, prefix, 'ipv6'));
+
+// Only for local development against a receiver on this machine or network
+const ALLOW_PRIVATE_URLS = process.env.WEBHOOK_ALLOW_PRIVATE_URLS === 'true' &&
+  process.env.NODE_ENV !== 'production';
+
+/**
+ * New random signing secret for a webhook
+ * @returns {string}
+ */
+const generateWebhookSecret = () => `whsec_${crypto.randomBytes(24).toString('base64url')}`;
+
+/**
+ * Signature header value for a request body
+ * @param {string} secret - Webhook secret
+ * @param {number} timestamp - Unix seconds sent as X-Webhook-Timestamp
+ * @param {string} body - Exact request body
+ * @returns {string}
+ */
+const signPayload = (secret, timestamp, body) => {
+  const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `sha256=${digest}`;
+};
+
+/**
+ * Whether an IP address is not publicly routable
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean}
+ */
+const isPrivateAddress = (address) => {
+  // IPv4-mapped IPv6 (::ffff:10.0.0.1) is checked as IPv4
+  const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+  if (mapped) {
+    return isPrivateAddress(mapped[1]);
+  }
+
+  const family = net.isIP(address);
+  if (family === 0) {
+    return true;
+  }
+  return PRIVATE_ADDRESSES.check(address, family === 4 ? 'ipv4' : 'ipv6');
+};
+
+/**
+ * Error for a webhook host that resolves to a private address
+ * @param {string} hostname
+ * @returns {Error}
+ */
+const privateHostError = (hostname) => {
+  const error = new Error(`Webhook host ${hostname} resolves to a private or reserved address`);
+  error.code = 'WEBHOOK_PRIVATE_ADDRESS';
+  return error;
+};
+
+/**
+ * Resolve a webhook URL's host and check that every address is public
+ * @param {string} url - Webhook URL
+ * @returns {Promise<void>} Rejects when the host is private or cannot be resolved
+ */
+const assertPublicUrl = async (url) => {
+  if (ALLOW_PRIVATE_URLS) {
+    return;
+  }
+
+  const hostname = new URL(url).hostname.replace(/^\[(.*)\]$/, '$1');
+  const addresses = net.isIP(hostname)
+    ? [{ address: hostname }]
+    : await dns.promises.lookup(hostname, { all: true, verbatim: true });
+
+  if (addresses.length === 0 || addresses.some(({ address }) => isPrivateAddress(address))) {
+    throw privateHostError(hostname);
+  }
+};
+
+/**
+ * dns.lookup for outgoing requests that refuses private addresses, so the
+ * check applies to the address actually connected to
+ */
+const publicLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) {
+      return callback(error);
+    }
+    if (!ALLOW_PRIVATE_URLS && addresses.some(({ address }) => isPrivateAddress(address))) {
+      return callback(privateHostError(hostname));
+    }
+    if (options.all) {
+      return callback(null, addresses);
+    }
+    return callback(null, addresses[0].address, addresses[0].family);
+  });
+};
+
+/**
+ * POST a body to a webhook URL without following redirects
+ * @param {string} url
+ * @param {Object} headers
+ * @param {string} body
+ * @returns {Promise<number>} Response status code
+ */
+const postWebhook = async (url, headers, body) => {
+  // IP literals never go through the lookup
+  await assertPublicUrl(url);
+
+  return new Promise((resolve, reject) => {
+    const target = new URL(url);
+    const request = (target.protocol === 'https:' ? https : http).request(target, {
+      method: 'POST',
+      headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+      lookup: publicLookup
+    }, (response) => {
+      clearTimeout(timer);
+      // The body is discarded, never stored or shown
+      response.resume();
+      resolve(response.statusCode);
+    });
+
+    const timer = setTimeout(() => {
+      const error = new Error(`No response within ${REQUEST_TIMEOUT_MS} ms`);
+      error.name = 'TimeoutError';
+      request.destroy(error);
+    }, REQUEST_TIMEOUT_MS);
+
+    request.on('error', (error) => {
+      clearTimeout(timer);
+      reject(error);
+    });
+    request.end(body);
+  });
+};
+
+/**
+ * Delay before the next attempt after a failed one
+ * @param {number} attempt - Number of attempts made so far (1-based)
+ * @returns {number} Milliseconds
+ */
+const retryDelay = (attempt) => RETRY_BASE_SECONDS * 1000 * 2 ** (attempt - 1);
+
+/**
+ * POST a delivery to its webhook once and record the attempt
+ * @param {Object} delivery - Lean WebhookDelivery
+ * @param {Object|null} webhook - Lean Webhook including its secret
+ * @returns {Promise<Object>} Updated delivery
+ */
+const attemptDelivery = async (delivery, webhook) => {
+  const started = Date.now();
+  const attempt = { at: new Date(started) };
+
+  if (!webhook || !webhook.active) {
+    attempt.error = 'Webhook was deleted or deactivated';
+  } else {
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = Math.floor(started / 1000);
+
+    try {
+      // A redirect counts as a failure rather than being followed
+      attempt.statusCode = await postWebhook(webhook.url, {
+        'Content-Type': 'application/json',
+        'User-Agent': 'Plotly-Chart-API-Webhooks/1.0',
+        'X-Webhook-Id': delivery.payload.id,
+        'X-Webhook-Delivery': String(delivery._id),
+        'X-Webhook-Event': delivery.event,
+        'X-Webhook-Timestamp': String(timestamp),
+        'X-Webhook-Signature': signPayload(webhook.secret, timestamp, body)
+      }, body);
+    } catch (error) {
+      attempt.error = error.message;
+    }
+  }
+  attempt.durationMs = Date.now() - started;
+
+  const attemptCount = delivery.attempts.length + 1;
+  let next;
+  if (attempt.statusCode >= 200 && attempt.statusCode < 300) {
+    next = { status: 'succeeded', nextAttemptAt: null };
+  } else if (attemptCount >= MAX_ATTEMPTS || !webhook || !webhook.active) {
+    next = { status: 'failed', nextAttemptAt: null };
+  } else {
+    next = { nextAttemptAt: new Date(Date.now() + retryDelay(attemptCount)) };
+  }
+
+  return WebhookDelivery.findByIdAndUpdate(
+    delivery._id,
+    { $push: { attempts: attempt }, $set: next },
+    { new: true }
+  ).lean();
+};
+
+/**
+ * Lease a due delivery and attempt it. Does nothing when the delivery is not
+ * due or another instance holds it.
+ * @param {ObjectId|string} deliveryId
+ * @returns {Promise<Object|null>} Updated delivery, or null if it was not attempted
+ */
+const deliver = async (deliveryId) => {
+  const now = new Date();
+  const delivery = await WebhookDelivery.findOneAndUpdate(
+    { _id: deliveryId, status: 'pending', nextAttemptAt: { $lte: now } },
+    { $set: { nextAttemptAt: new Date(now.getTime() + LEASE_MS) } },
+    { new: true }
+  ).lean();
+
+  if (!delivery) {
+    return null;
+  }
+
+  const webhook = await Webhook.findById(delivery.webhookId).select('+secret').lean();
+  return attemptDelivery(delivery, webhook);
+};
+
+/**
+ * Webhooks that receive an event for a chart: subscribed, active and owned by
+ * someone allowed to read the chart
+ * @param {string} event
+ * @param {Object} chart
+ * @returns {Promise<Object[]>}
+ */
+const findSubscribers = async (event, chart) => {
+  const webhooks = await Webhook.find({ active: true, events: event }).select('_id createdBy').lean();
+  if (webhooks.length === 0 || chart.visibility !== 'private') {
+    return webhooks;
+  }
+
+  // Roles are looked up now so that revoked admin rights take effect immediately
+  const ownerIds = [...new Set(webhooks.map(webhook => webhook.createdBy))]
+    .filter(id => mongoose.isValidObjectId(id));
+  const admins = await User.find({ _id: { $in: ownerIds }, role: 'admin' }).select('_id').lean();
+  const adminIds = new Set(admins.map(admin => String(admin._id)));
+
+  return webhooks.filter(webhook => canReadChart(chart, {
+    userId: webhook.createdBy,
+    role: adminIds.has(webhook.createdBy) ? 'admin' : 'user'
+  }));
+};
+
+/**
+ * Queue and send a chart event to its subscribers. Never throws and is not
+ * meant to be awaited by request handlers.
+ * @param {string} event - One of WEBHOOK_EVENTS
+ * @param {Object} chart - Chart document (lean or hydrated) after the change
+ * @param {Object} [extra] - Additional payload data (e.g. sourceChartId)
+ * @returns {Promise<void>}
+ */
+const emitChartEvent = async (event, chart, extra = {}) => {
+  try {
+    const summary = summarizeChart(chart);
+    const webhooks = await findSubscribers(event, summary);
+    if (webhooks.length === 0) {
+      return;
+    }
+
+    const payload = {
+      id: `evt_${crypto.randomUUID()}`,
+      event,
+      createdAt: new Date().toISOString(),
+      data: {
+        chart: summary,
+        ...extra
+      }
+    };
+
+    const now = new Date();
+    const deliveries = await WebhookDelivery.insertMany(webhooks.map(webhook => ({
+      webhookId: webhook._id,
+      event,
+      payload,
+      nextAttemptAt: now
+    })));
+
+    deliveries.forEach((delivery) => {
+      deliver(delivery._id).catch((error) => {
+        console.error('Webhook delivery failed:', error.message);
+      });
+    });
+  } catch (error) {
+    console.error(`Failed to queue ${event} webhooks:`, error.message);
+  }
+};
+
+/**
+ * Send a stored delivery's payload again as a new delivery
+ * @param {Object} delivery - Lean WebhookDelivery to repeat
+ * @returns {Promise<Object>} The new delivery after its first attempt
+ */
+const redeliver = async (delivery) => {
+  const copy = await WebhookDelivery.create({
+    webhookId: delivery.webhookId,
+    event: delivery.event,
+    payload: delivery.payload,
+    redeliveryOf: delivery._id,
+    nextAttemptAt: new Date()
+  });
+
+  return (await deliver(copy._id)) || copy.toObject();
+};
+
+/**
+ * Attempt every pending delivery whose retry is due
+ * @returns {Promise<number>} Number of deliveries attempted
+ */
+const processDueDeliveries = async () => {
+  let attempted = 0;
+
+  for (;;) {
+    const due = await WebhookDelivery.find({ status: 'pending', nextAttemptAt: { $lte: new Date() } })
+      .select('_id')
+      .sort({ nextAttemptAt: 1 })
+      .limit(RETRY_BATCH_SIZE)
+      .lean();
+
+    for (const delivery of due) {
+      if (await deliver(delivery._id)) {
+        attempted++;
+      }
+    }
+
+    if (due.length < RETRY_BATCH_SIZE) {
+      return attempted;
+    }
+  }
+};
+
+/**
+ * Retry due deliveries every RETRY_SWEEP_SECONDS
+ * @returns {NodeJS.Timeout}
+ */
+const startWebhookRetries = () => {
+  let running = false;
+
+  const timer = setInterval(() => {
+    // A slow sweep must not overlap the next one
+    if (running) return;
+    running = true;
+
+    processDueDeliveries()
+      .catch(error => console.error('Webhook retry sweep failed:', error.message))
+      .finally(() => {
+        running = false;
+      });
+  }, RETRY_SWEEP_SECONDS * 1000);
+
+  // Never keep the process alive just for retries
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  MAX_ATTEMPTS,
+  generateWebhookSecret,
+  signPayload,
+  retryDelay,
+  isPrivateAddress,
+  assertPublicUrl,
+  emitChartEvent,
+  redeliver,
+  processDueDeliveries,
+  startWebhookRetries
+};
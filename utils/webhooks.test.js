@@ -0,0 +1,80 @@
+const crypto = require('crypto');
+const dns = require('dns');
+const Webhook = require('../webhookModel');
+const {
+  WEBHOOK_EVENTS,
+  signPayload,
+  isPrivateAddress,
+  assertPublicUrl
+} = require('./webhooks');
+
+describe('webhook events', () => {
+  test('are the same list the model accepts', () => {
+    expect(WEBHOOK_EVENTS).toBe(Webhook.EVENTS);
+    expect(Webhook.schema.path('events').caster.enumValues).toEqual(WEBHOOK_EVENTS);
+  });
+});
+
+describe('signPayload', () => {
+  test('signs the timestamp and body with HMAC-SHA256', () => {
+    const expected = crypto.createHmac('sha256', 'whsec_test').update('1700000000.{"a":1}').digest('hex');
+
+    expect(signPayload('whsec_test', 1700000000, '{"a":1}')).toBe(`sha256=${expected}`);
+  });
+});
+
+describe('isPrivateAddress', () => {
+  test.each([
+    '127.0.0.1',
+    '10.1.2.3',
+    '172.16.0.1',
+    '192.168.1.1',
+    '169.254.169.254',
+    '100.64.0.1',
+    '0.0.0.0',
+    '::1',
+    'fd00::1',
+    'fe80::1',
+    '::ffff:10.0.0.1',
+    'not-an-ip'
+  ])('treats %s as private', (address) => {
+    expect(isPrivateAddress(address)).toBe(true);
+  });
+
+  test.each(['93.184.216.34', '2606:2800:220:1:248:1893:25c8:1946', '::ffff:93.184.216.34'])(
+    'treats %s as public', (address) => {
+      expect(isPrivateAddress(address)).toBe(false);
+    }
+  );
+});
+
+describe('assertPublicUrl', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('rejects literal private addresses without a lookup', async () => {
+    const lookup = jest.spyOn(dns.promises, 'lookup');
+
+    await expect(assertPublicUrl('http://[::1]:8080/hook')).rejects.toThrow('private or reserved');
+    await expect(assertPublicUrl('http://169.254.169.254/latest')).rejects.toThrow('private or reserved');
+    expect(lookup).not.toHaveBeenCalled();
+  });
+
+  test('rejects hosts with any private address', async () => {
+    jest.spyOn(dns.promises, 'lookup').mockResolvedValue([
+      { address: '93.184.216.34', family: 4 },
+      { address: '10.0.0.5', family: 4 }
+    ]);
+
+    await expect(assertPublicUrl('https://hooks.example.com/x')).rejects.toMatchObject({
+      code: 'WEBHOOK_PRIVATE_ADDRESS'
+    });
+  });
+
+  test('accepts hosts that only resolve to public addresses', async () => {
+    jest.spyOn(dns.promises, 'lookup').mockResolvedValue([{ address: '93.184.216.34', family: 4 }]);
+
+    await expect(assertPublicUrl('https://hooks.example.com/x')).resolves.toBeUndefined();
+  });
+});
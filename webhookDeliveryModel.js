@@ -0,0 +1,61 @@
+// webhookDeliveryModel.js
+const mongoose = require('mongoose');
+
+// Deliveries are kept this long for the delivery log before MongoDB removes them
+const WEBHOOK_DELIVERY_RETENTION_DAYS = parseInt(process.env.WEBHOOK_DELIVERY_RETENTION_DAYS, 10) || 30;
+
+/**
+ * One attempt to POST an event to a webhook
+ */
+const AttemptSchema = new mongoose.Schema({
+  at: { type: Date, required: true },
+  statusCode: { type: Number }, // Missing when no response arrived
+  durationMs: { type: Number },
+  error: { type: String } // Network error, timeout or refused address
+}, {
+  _id: false
+});
+
+/**
+ * An event queued for one webhook, with every attempt made to deliver it
+ */
+const WebhookDeliverySchema = new mongoose.Schema({
+  webhookId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Webhook',
+    required: true,
+    immutable: true
+  },
+  event: {
+    type: String,
+    required: true,
+    immutable: true
+  },
+  payload: {
+    type: mongoose.Schema.Types.Mixed, // Exact JSON body sent (its id stays the same on redelivery)
+    required: true,
+    immutable: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'succeeded', 'failed'],
+    default: 'pending'
+  },
+  attempts: [AttemptSchema],
+  nextAttemptAt: {
+    type: Date // When a pending delivery is due; also leases it to one worker
+  },
+  redeliveryOf: {
+    type: mongoose.Schema.Types.ObjectId, // Delivery this one was manually repeated from
+    immutable: true
+  }
+}, {
+  timestamps: true,
+  versionKey: false
+});
+
+WebhookDeliverySchema.index({ webhookId: 1, createdAt: -1 });
+WebhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+WebhookDeliverySchema.index({ createdAt: 1 }, { expireAfterSeconds: WEBHOOK_DELIVERY_RETENTION_DAYS * 24 * 60 * 60 });
+
+module.exports = mongoose.model('WebhookDelivery', WebhookDeliverySchema);
@@ -0,0 +1,60 @@
+// webhookModel.js
+const mongoose = require('mongoose');
+
+// Chart lifecycle events a webhook can subscribe to
+const WEBHOOK_EVENTS = [
+  'chart.created',
+  'chart.updated',
+  'chart.deleted',
+  'chart.restored',
+  'chart.duplicated'
+];
+
+/**
+ * A subscription that receives signed POST requests for chart events.
+ * Deliveries only include charts the subscription's owner may read.
+ */
+const WebhookSchema = new mongoose.Schema({
+  url: {
+    type: String,
+    required: true,
+    maxlength: 2000
+  },
+  events: {
+    type: [{ type: String, enum: WEBHOOK_EVENTS }],
+    validate: {
+      validator: events => events.length > 0,
+      message: 'A webhook must subscribe to at least one event'
+    }
+  },
+  description: {
+    type: String,
+    maxlength: 500
+  },
+  secret: {
+    type: String, // HMAC key for the X-Webhook-Signature header; only shown on creation
+    required: true,
+    select: false
+  },
+  active: {
+    type: Boolean, // Inactive webhooks get no new deliveries
+    default: true
+  },
+  createdBy: {
+    type: String, // userId from the authenticated JWT
+    required: true,
+    immutable: true,
+    index: true
+  }
+}, {
+  timestamps: true,
+  versionKey: false
+});
+
+// Find the subscribers of an event
+WebhookSchema.index({ active: 1, events: 1 });
+
+// Single source for the event list (utils/webhooks.js and validation read it from here)
+WebhookSchema.statics.EVENTS = WEBHOOK_EVENTS;
+
+module.exports = mongoose.model('Webhook', WebhookSchema);